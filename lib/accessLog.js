@@ -0,0 +1,379 @@
+/**
+ * HTTP Access Log
+ *
+ * Writes one entry per request once its response has finished (or the client has
+ * gone away), recording method, path, status, bytes sent, duration, remote address
+ * and request ID.
+ *
+ * Features:
+ * - JSON lines or Apache combined log format
+ * - Remote address is the client behind any trusted proxy (req.clientIdentity)
+ * - IP access control decisions (req.accessDecision) in both formats
+ * - stdout or file sink with size-based rotation (`access.log`, `access.log.1`, ...)
+ * - Flushed and closed by the shutdown coordinator before the process exits
+ *
+ * @module accessLog
+ * @requires fs
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { getRequestId } = require('./context');
+
+/**
+ * Default access log settings
+ */
+const DEFAULT_OPTIONS = {
+    format: 'json',              // 'json' or 'combined'
+    destination: 'stdout',       // 'stdout', 'off' or a file path
+    maxFileSize: 10 * 1024 * 1024, // Rotate the log file once it reaches this size
+    maxFiles: 5                  // Rotated files kept besides the active one
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a date as used by Apache logs: 10/Oct/2000:13:55:36 -0700
+ *
+ * @private
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted timestamp
+ */
+function formatClfDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const absolute = Math.abs(offset);
+
+    return `${pad(date.getDate())}/${MONTHS[date.getMonth()]}/${date.getFullYear()}:` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ` +
+        `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+/**
+ * Quote a value for the combined format, escaping quotes and control characters
+ *
+ * @private
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted value, or "-" when empty
+ */
+function quote(value) {
+    if (!value) {
+        return '"-"';
+    }
+    return `"${String(value).replace(/["\\]/g, '\\$&').replace(/[\x00-\x1f\x7f]/g, char => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`)}"`;
+}
+
+/**
+ * Render an entry in Apache combined format, followed by request ID, duration and
+ * the IP access decision (`policy:decision:reason`)
+ *
+ * @param {Object} entry - Access log entry
+ * @returns {string} Log line without trailing newline
+ */
+function formatCombined(entry) {
+    return [
+        entry.remoteAddress || '-',
+        '-',
+        '-',
+        `[${formatClfDate(new Date(entry.timestamp))}]`,
+        quote(`${entry.method} ${entry.path} HTTP/${entry.httpVersion}`),
+        entry.status,
+        entry.bytes > 0 ? entry.bytes : '-',
+        quote(entry.referer),
+        quote(entry.userAgent),
+        entry.requestId || '-',
+        entry.durationMs,
+        entry.accessDecision ?
+            `${entry.accessDecision.policy}:${entry.accessDecision.decision}:${entry.accessDecision.reason}` :
+            '-'
+    ].join(' ');
+}
+
+/**
+ * Render an entry as a JSON line
+ *
+ * @param {Object} entry - Access log entry
+ * @returns {string} Log line without trailing newline
+ */
+function formatJson(entry) {
+    return JSON.stringify(entry);
+}
+
+const FORMATTERS = {
+    json: formatJson,
+    combined: formatCombined
+};
+
+/**
+ * Client address for a request: the address derived from trusted forwarding
+ * headers when present, otherwise the TCP peer
+ *
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {string|undefined} Client IP address
+ */
+function clientAddress(req) {
+    if (req.clientIdentity) {
+        return req.clientIdentity.ip;
+    }
+    return req.socket ? req.socket.remoteAddress : undefined;
+}
+
+/**
+ * Sink writing log lines to standard output
+ */
+class StdoutSink {
+    write(line) {
+        process.stdout.write(line);
+    }
+
+    close() {
+        return new Promise(resolve => {
+            // An empty write calls back once everything queued before it is flushed
+            process.stdout.write('', () => resolve());
+        });
+    }
+}
+
+/**
+ * Sink appending log lines to a file, rotating it when it grows past maxFileSize
+ */
+class FileSink {
+    /**
+     * @param {string} filePath - Active log file path
+     * @param {Object} options - Rotation options
+     * @param {number} options.maxFileSize - Size in bytes that triggers rotation
+     * @param {number} options.maxFiles - Rotated files to keep
+     * @throws {Error} If the log file cannot be opened
+     */
+    constructor(filePath, options) {
+        this.filePath = filePath;
+        this.maxFileSize = options.maxFileSize;
+        this.maxFiles = options.maxFiles;
+        this.stream = null;
+        this.size = 0;
+        this.closed = false;
+        this.open();
+    }
+
+    /**
+     * Open the active file for appending
+     *
+     * @private
+     */
+    open() {
+        try {
+            this.size = fs.statSync(this.filePath).size;
+        } catch (error) {
+            this.size = 0;
+        }
+
+        // Open synchronously so the file exists before the first rotation check;
+        // a stream opened lazily may not have created it yet during a burst
+        this.stream = fs.createWriteStream(null, { fd: fs.openSync(this.filePath, 'a') });
+        this.stream.on('error', error => {
+            console.error(`Access log write failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Shift access.log.N to access.log.N+1, dropping the oldest, and start a new file
+     *
+     * Renaming is safe while the previous stream still flushes: it keeps writing
+     * through its open descriptor into the renamed file.
+     *
+     * @private
+     */
+    rotate() {
+        this.stream.end();
+
+        try {
+            for (let index = this.maxFiles - 1; index >= 1; index--) {
+                const source = `${this.filePath}.${index}`;
+                if (fs.existsSync(source)) {
+                    fs.renameSync(source, `${this.filePath}.${index + 1}`);
+                }
+            }
+            if (this.maxFiles > 0) {
+                fs.renameSync(this.filePath, `${this.filePath}.1`);
+            } else {
+                fs.unlinkSync(this.filePath);
+            }
+        } catch (error) {
+            console.error(`Access log rotation failed: ${error.message}`);
+        }
+
+        this.open();
+    }
+
+    write(line) {
+        if (this.closed) {
+            return;
+        }
+
+        const length = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + length > this.maxFileSize) {
+            this.rotate();
+        }
+
+        this.size += length;
+        this.stream.write(line);
+    }
+
+    close() {
+        this.closed = true;
+        return new Promise(resolve => {
+            if (this.stream.closed) {
+                resolve();
+                return;
+            }
+            this.stream.end(() => resolve());
+        });
+    }
+}
+
+/**
+ * Access Logger Class
+ *
+ * Attaches to each request/response pair and emits one entry when the exchange ends.
+ */
+class AccessLogger {
+    /**
+     * @param {Object} [options] - Access log options (see DEFAULT_OPTIONS)
+     * @param {Object} [options.sink] - Custom sink with write(line) and close()
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        const formatter = FORMATTERS[this.options.format];
+        if (!formatter) {
+            throw new Error(`Unknown access log format '${this.options.format}'`);
+        }
+        this.formatter = formatter;
+
+        if (options.sink) {
+            this.sink = options.sink;
+        } else if (this.options.destination === 'off') {
+            this.sink = null;
+        } else if (this.options.destination === 'stdout') {
+            this.sink = new StdoutSink();
+        } else {
+            this.sink = new FileSink(this.options.destination, this.options);
+        }
+    }
+
+    /**
+     * Start tracking a request; the entry is written when the response finishes
+     *
+     * Must be called from inside the request's correlation context so the request
+     * ID can be captured.
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {http.ServerResponse} res - HTTP response object
+     * @param {number} [startTime=Date.now()] - Time the request was received (ms)
+     */
+    track(req, res, startTime = Date.now()) {
+        if (!this.sink) {
+            return;
+        }
+
+        const requestId = getRequestId();
+        let bytes = 0;
+
+        // Count body bytes as they are handed to the response
+        const count = (chunk, encoding) => {
+            if (chunk && typeof chunk !== 'function') {
+                bytes += typeof chunk === 'string' ?
+                    Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8') :
+                    chunk.length;
+            }
+        };
+        const originalWrite = res.write;
+        const originalEnd = res.end;
+        res.write = function countedWrite(chunk, encoding, callback) {
+            count(chunk, encoding);
+            return originalWrite.call(this, chunk, encoding, callback);
+        };
+        res.end = function countedEnd(chunk, encoding, callback) {
+            count(chunk, encoding);
+            return originalEnd.call(this, chunk, encoding, callback);
+        };
+
+        let logged = false;
+        const onDone = () => {
+            if (logged) {
+                return;
+            }
+            logged = true;
+            res.removeListener('finish', onDone);
+            res.removeListener('close', onDone);
+
+            this.write({
+                timestamp: new Date(startTime).toISOString(),
+                requestId,
+                remoteAddress: clientAddress(req),
+                method: req.method,
+                path: req.url,
+                httpVersion: req.httpVersion,
+                status: res.statusCode,
+                bytes: req.method === 'HEAD' ? 0 : bytes,
+                durationMs: Date.now() - startTime,
+                completed: res.writableFinished,
+                referer: req.headers.referer || req.headers.referrer,
+                userAgent: req.headers['user-agent'],
+                accessDecision: req.accessDecision
+            });
+        };
+
+        res.once('finish', onDone);
+        res.once('close', onDone);
+    }
+
+    /**
+     * Format and write an entry
+     *
+     * @param {Object} entry - Access log entry
+     */
+    write(entry) {
+        if (!this.sink) {
+            return;
+        }
+        try {
+            this.sink.write(`${this.formatter(entry)}\n`);
+        } catch (error) {
+            console.error(`Access log write failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Flush buffered entries and release the sink
+     *
+     * @returns {Promise<void>} Resolves once pending entries are written
+     */
+    async close() {
+        if (this.sink) {
+            await this.sink.close();
+        }
+    }
+}
+
+/**
+ * Create an access logger
+ *
+ * @param {Object} [options] - Access log options
+ * @returns {AccessLogger} Configured access logger
+ */
+function createAccessLogger(options = {}) {
+    return new AccessLogger(options);
+}
+
+module.exports = {
+    AccessLogger,
+    FileSink,
+    StdoutSink,
+    createAccessLogger,
+    formatCombined,
+    formatJson,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,447 @@
+/**
+ * Request Body Parsing Pipeline
+ *
+ * Reads request bodies through `validateRequestStream` so the payload size limit is
+ * enforced while buffering, decodes them according to the Content-Type charset and
+ * parses the supported media types into `req.body`.
+ *
+ * Features:
+ * - Streaming size enforcement (413 Payload Too Large) before the body is complete
+ * - Charset-aware decoding with strict rejection of invalid byte sequences
+ * - JSON, application/x-www-form-urlencoded and text/* parsing
+ * - Malformed payloads reported as ValidationError with the byte offset of the failure
+ *
+ * @module body
+ */
+
+'use strict';
+
+const { ValidationError } = require('./errors');
+const { validateRequestStream, DEFAULT_CONFIG } = require('./validation');
+
+/**
+ * Media types decoded to strings but otherwise left unparsed
+ */
+const TEXT_TYPES = ['application/xml'];
+
+/**
+ * Parse a Content-Type header into its media type and parameters
+ *
+ * @param {string} header - Content-Type header value
+ * @returns {{type: string|null, params: Object<string, string>}} Parsed header
+ */
+function parseContentType(header) {
+    if (!header || typeof header !== 'string') {
+        return { type: null, params: {} };
+    }
+
+    const [type, ...rawParams] = header.split(';');
+    const params = {};
+
+    rawParams.forEach(param => {
+        const index = param.indexOf('=');
+        if (index === -1) {
+            return;
+        }
+        const name = param.slice(0, index).trim().toLowerCase();
+        let value = param.slice(index + 1).trim();
+        if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+            value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+        }
+        if (name) {
+            params[name] = value;
+        }
+    });
+
+    return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Check whether a request announces a body
+ *
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {boolean} True when the request carries Content-Length > 0 or Transfer-Encoding
+ */
+function hasBody(req) {
+    if (req.headers['transfer-encoding'] !== undefined) {
+        return true;
+    }
+    const contentLength = req.headers['content-length'];
+    return contentLength !== undefined && contentLength !== '0';
+}
+
+/**
+ * Buffer the request body while enforcing the size limit
+ *
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} [options] - Read options
+ * @param {number} [options.maxBodySize] - Maximum body size in bytes
+ * @param {number} [options.timeout] - Time allowed for the body to arrive
+ * @returns {Promise<Buffer>} Complete request body
+ * @throws {ValidationError} With status 413 when the body exceeds maxBodySize
+ */
+async function readBody(req, options = {}) {
+    const maxBodySize = options.maxBodySize !== undefined ? options.maxBodySize : DEFAULT_CONFIG.maxBodySize;
+    const chunks = [];
+
+    await validateRequestStream(req, maxBodySize, {
+        timeout: options.timeout,
+        onData: chunk => chunks.push(chunk)
+    });
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Create a strict decoder for a charset label
+ *
+ * @private
+ * @param {string} charset - Charset label from the Content-Type header
+ * @returns {TextDecoder} Decoder that throws on invalid input
+ * @throws {ValidationError} With status 415 when the charset is not supported
+ */
+function createDecoder(charset) {
+    try {
+        return new TextDecoder(charset, { fatal: true });
+    } catch (error) {
+        throw new ValidationError(
+            `Unsupported charset '${charset}'`,
+            'charset',
+            charset,
+            { statusCode: 415, httpErrorType: 'unsupported_media_type' }
+        );
+    }
+}
+
+/**
+ * Find the byte offset of the first undecodable sequence
+ *
+ * Decoding a growing prefix in streaming mode only fails once an invalid byte is
+ * part of the prefix, so the failure point can be found by binary search.
+ *
+ * @private
+ * @param {Buffer} buffer - Body bytes
+ * @param {string} encoding - Decoder encoding name
+ * @returns {number} Offset of the first invalid byte
+ */
+function findDecodeErrorOffset(buffer, encoding) {
+    let low = 0;
+    let high = buffer.length;
+
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        try {
+            new TextDecoder(encoding, { fatal: true }).decode(buffer.subarray(0, mid + 1), { stream: true });
+            low = mid + 1;
+        } catch (error) {
+            high = mid;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Decode body bytes to text using the declared charset
+ *
+ * @param {Buffer} buffer - Body bytes
+ * @param {string} [charset='utf-8'] - Charset label
+ * @returns {string} Decoded text
+ * @throws {ValidationError} When the charset is unsupported or the bytes are invalid for it
+ */
+function decodeBody(buffer, charset = 'utf-8') {
+    const decoder = createDecoder(charset);
+
+    try {
+        return decoder.decode(buffer);
+    } catch (error) {
+        const offset = findDecodeErrorOffset(buffer, decoder.encoding);
+        throw new ValidationError(
+            `Request body is not valid ${decoder.encoding} (byte offset ${offset})`,
+            'body',
+            null,
+            { offset, charset: decoder.encoding }
+        );
+    }
+}
+
+/**
+ * Convert a character index in decoded text back to a byte offset in the body
+ *
+ * @private
+ * @param {Buffer} buffer - Body bytes
+ * @param {string} text - Decoded text
+ * @param {number} index - Character index in text
+ * @param {string} encoding - Decoder encoding name
+ * @returns {number} Byte offset
+ */
+function toByteOffset(buffer, text, index, encoding) {
+    if (encoding === 'utf-8') {
+        const bom = buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF ? 3 : 0;
+        return bom + Buffer.byteLength(text.slice(0, index), 'utf8');
+    }
+
+    // Generic fallback: smallest prefix whose decoding covers the first `index` characters
+    let low = 0;
+    let high = buffer.length;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        const decoded = new TextDecoder(encoding).decode(buffer.subarray(0, mid), { stream: true });
+        if (decoded.length >= index) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Locate the character index of the first JSON syntax error
+ *
+ * JSON.parse error messages differ between V8 versions and do not always carry a
+ * position, so the failure point is found with a minimal grammar scanner.
+ *
+ * @private
+ * @param {string} text - JSON text that failed to parse
+ * @returns {number|null} Character index of the error, or null if it cannot be located
+ */
+function locateJsonError(text) {
+    const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+    let i = 0;
+
+    const fail = () => {
+        throw { jsonErrorIndex: i };
+    };
+
+    const skipWhitespace = () => {
+        while (i < text.length && ' \t\n\r'.includes(text[i])) {
+            i++;
+        }
+    };
+
+    const parseString = () => {
+        i++;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '"') {
+                i++;
+                return;
+            }
+            if (char === '\\') {
+                i++;
+                if (text[i] === 'u') {
+                    if (!/^[0-9a-fA-F]{4}$/.test(text.substr(i + 1, 4))) {
+                        fail();
+                    }
+                    i += 5;
+                } else if (i < text.length && '"\\/bfnrt'.includes(text[i])) {
+                    i++;
+                } else {
+                    fail();
+                }
+            } else if (char < ' ') {
+                fail();
+            } else {
+                i++;
+            }
+        }
+        fail();
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        const char = text[i];
+
+        if (char === '{') {
+            i++;
+            skipWhitespace();
+            if (text[i] === '}') {
+                i++;
+                return;
+            }
+            for (;;) {
+                skipWhitespace();
+                if (text[i] !== '"') fail();
+                parseString();
+                skipWhitespace();
+                if (text[i] !== ':') fail();
+                i++;
+                parseValue();
+                skipWhitespace();
+                if (text[i] === ',') {
+                    i++;
+                    continue;
+                }
+                if (text[i] === '}') {
+                    i++;
+                    return;
+                }
+                fail();
+            }
+        }
+
+        if (char === '[') {
+            i++;
+            skipWhitespace();
+            if (text[i] === ']') {
+                i++;
+                return;
+            }
+            for (;;) {
+                parseValue();
+                skipWhitespace();
+                if (text[i] === ',') {
+                    i++;
+                    continue;
+                }
+                if (text[i] === ']') {
+                    i++;
+                    return;
+                }
+                fail();
+            }
+        }
+
+        if (char === '"') {
+            parseString();
+            return;
+        }
+
+        NUMBER.lastIndex = i;
+        if (NUMBER.exec(text)) {
+            i = NUMBER.lastIndex;
+            return;
+        }
+
+        for (const literal of ['true', 'false', 'null']) {
+            if (text.startsWith(literal, i)) {
+                i += literal.length;
+                return;
+            }
+        }
+
+        fail();
+    };
+
+    try {
+        parseValue();
+        skipWhitespace();
+        if (i < text.length) fail();
+        return null;
+    } catch (error) {
+        // Extremely deep nesting can exhaust the stack; the position is then unknown
+        return error && typeof error.jsonErrorIndex === 'number' ? error.jsonErrorIndex : null;
+    }
+}
+
+/**
+ * Parse a JSON body
+ *
+ * @private
+ * @param {string} text - Decoded body text
+ * @param {Buffer} buffer - Body bytes
+ * @param {string} encoding - Decoder encoding name
+ * @returns {*} Parsed JSON value
+ * @throws {ValidationError} With the byte offset of the syntax error
+ */
+function parseJson(text, buffer, encoding) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // The SyntaxError text is not passed on: some V8 versions quote part of the body in it
+        const index = locateJsonError(text);
+        const offset = index === null ? null : toByteOffset(buffer, text, index, encoding);
+        throw new ValidationError(
+            offset === null ?
+                'Malformed JSON request body' :
+                `Malformed JSON request body (byte offset ${offset})`,
+            'body',
+            null,
+            { offset, contentType: 'application/json' }
+        );
+    }
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded body
+ *
+ * Repeated keys are collected into arrays. The result has a null prototype so
+ * keys such as `__proto__` cannot alter object behaviour.
+ *
+ * @private
+ * @param {string} text - Decoded body text
+ * @param {Buffer} buffer - Body bytes
+ * @param {string} encoding - Decoder encoding name
+ * @returns {Object} Parsed form fields
+ * @throws {ValidationError} When a percent-escape is malformed
+ */
+function parseUrlEncoded(text, buffer, encoding) {
+    const badEscape = /%(?![0-9a-fA-F]{2})/.exec(text);
+    if (badEscape) {
+        const offset = toByteOffset(buffer, text, badEscape.index, encoding);
+        throw new ValidationError(
+            `Malformed urlencoded request body (byte offset ${offset})`,
+            'body',
+            text.substr(badEscape.index, 3),
+            { offset, contentType: 'application/x-www-form-urlencoded' }
+        );
+    }
+
+    const fields = Object.create(null);
+    for (const [key, value] of new URLSearchParams(text)) {
+        if (key in fields) {
+            fields[key] = [].concat(fields[key], value);
+        } else {
+            fields[key] = value;
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Read, decode and parse the request body into `req.body`
+ *
+ * The raw bytes remain available as `req.rawBody`. Media types without a parser
+ * (for example multipart/form-data) are left as a Buffer in `req.body`.
+ *
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} [options] - Parse options
+ * @param {number} [options.maxBodySize] - Maximum body size in bytes
+ * @param {number} [options.timeout] - Time allowed for the body to arrive
+ * @returns {Promise<*>} Parsed body
+ * @throws {ValidationError} When the body is too large, undecodable or malformed
+ */
+async function parseBody(req, options = {}) {
+    const buffer = await readBody(req, options);
+    const { type, params } = parseContentType(req.headers['content-type']);
+
+    req.rawBody = buffer;
+
+    if (type === 'application/json' || type === 'application/x-www-form-urlencoded' ||
+        (type && type.startsWith('text/')) || TEXT_TYPES.includes(type)) {
+        const decoder = createDecoder(params.charset || 'utf-8');
+        const text = decodeBody(buffer, params.charset || 'utf-8');
+
+        if (type === 'application/json') {
+            req.body = buffer.length === 0 ? null : parseJson(text, buffer, decoder.encoding);
+        } else if (type === 'application/x-www-form-urlencoded') {
+            req.body = parseUrlEncoded(text, buffer, decoder.encoding);
+        } else {
+            req.body = text;
+        }
+    } else {
+        req.body = buffer;
+    }
+
+    return req.body;
+}
+
+module.exports = {
+    parseBody,
+    readBody,
+    decodeBody,
+    parseContentType,
+    hasBody
+};
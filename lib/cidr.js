@@ -0,0 +1,159 @@
+/**
+ * CIDR Range Matching
+ *
+ * Parses IPv4 and IPv6 CIDR ranges and tests client addresses against them,
+ * for the trusted-proxy list and IP access control.
+ *
+ * Features:
+ * - IPv4 ("10.0.0.0/8") and IPv6 ("2001:db8::/32") ranges; a bare address is a
+ *   single-host range
+ * - IPv4-mapped IPv6 addresses ("::ffff:10.0.0.1") match IPv4 ranges
+ * - Brackets and zone identifiers ("[fe80::1%eth0]") are stripped before matching
+ * - Invalid ranges throw when the list is built, never while matching
+ *
+ * @module cidr
+ * @requires net
+ */
+
+'use strict';
+
+const net = require('net');
+
+/**
+ * IPv4-mapped IPv6 address ("::ffff:192.0.2.1")
+ */
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i;
+
+/**
+ * Normalize an address for matching and logging
+ *
+ * @param {string} address - IPv4 or IPv6 address, optionally bracketed or with a zone
+ * @returns {string|null} Normalized address, or null when it is not an IP address
+ */
+function normalizeAddress(address) {
+    if (typeof address !== 'string') {
+        return null;
+    }
+
+    let value = address.trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+        value = value.slice(1, -1);
+    }
+
+    const zoneIndex = value.indexOf('%');
+    if (zoneIndex !== -1) {
+        value = value.slice(0, zoneIndex);
+    }
+
+    const mapped = IPV4_MAPPED_PATTERN.exec(value);
+    if (mapped) {
+        value = mapped[1];
+    }
+
+    return net.isIP(value) ? value.toLowerCase() : null;
+}
+
+/**
+ * Parse one CIDR range
+ *
+ * @param {string} range - "address/prefix" or a bare address
+ * @returns {Object} `{ address, prefix, family }` where family is 'ipv4' or 'ipv6'
+ * @throws {Error} If the address or prefix length is invalid
+ */
+function parseCidr(range) {
+    const [addressPart, prefixPart, ...rest] = String(range).trim().split('/');
+    const address = normalizeAddress(addressPart);
+    if (!address || rest.length > 0) {
+        throw new Error(`Invalid CIDR range '${range}'`);
+    }
+
+    const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+    const maxPrefix = family === 'ipv4' ? 32 : 128;
+
+    if (prefixPart === undefined) {
+        return { address, prefix: maxPrefix, family };
+    }
+
+    const prefix = Number(prefixPart);
+    if (!/^\d{1,3}$/.test(prefixPart) || prefix > maxPrefix) {
+        throw new Error(`Invalid prefix length in CIDR range '${range}'`);
+    }
+
+    return { address, prefix, family };
+}
+
+/**
+ * Check that every entry of a list is a valid CIDR range
+ *
+ * @param {Array<string>} ranges - Candidate ranges
+ * @returns {Array<string>} The entries that failed to parse
+ */
+function findInvalidRanges(ranges) {
+    return ranges.filter(range => {
+        try {
+            parseCidr(range);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+}
+
+/**
+ * CidrList Class
+ */
+class CidrList {
+    /**
+     * @param {Array<string>} [ranges] - CIDR ranges or bare addresses
+     * @throws {Error} If any range is invalid
+     */
+    constructor(ranges = []) {
+        this.ranges = ranges.map(parseCidr);
+        this.blockList = new net.BlockList();
+
+        for (const { address, prefix, family } of this.ranges) {
+            this.blockList.addSubnet(address, prefix, family);
+        }
+    }
+
+    /**
+     * Number of ranges in the list
+     *
+     * @returns {number} Range count
+     */
+    get size() {
+        return this.ranges.length;
+    }
+
+    /**
+     * Whether an address falls inside any range
+     *
+     * @param {string} address - Address to test
+     * @returns {boolean} False for an empty list or a value that is not an IP address
+     */
+    contains(address) {
+        const normalized = normalizeAddress(address);
+        if (!normalized || this.ranges.length === 0) {
+            return false;
+        }
+        return this.blockList.check(normalized, net.isIPv4(normalized) ? 'ipv4' : 'ipv6');
+    }
+}
+
+/**
+ * Create a CIDR list
+ *
+ * @param {Array<string>} [ranges] - CIDR ranges or bare addresses
+ * @returns {CidrList} Matcher for the ranges
+ */
+function createCidrList(ranges = []) {
+    return new CidrList(ranges);
+}
+
+module.exports = {
+    CidrList,
+    createCidrList,
+    parseCidr,
+    findInvalidRanges,
+    normalizeAddress
+};
@@ -0,0 +1,576 @@
+/**
+ * Cluster Supervisor
+ *
+ * Runs one server process per core: the primary forks workers, keeps them running
+ * and coordinates their graceful shutdown; each worker drains through its own
+ * ShutdownCoordinator.
+ *
+ * Features:
+ * - Configurable worker count (defaults to the available parallelism)
+ * - Crashed workers restarted with exponential backoff
+ * - SIGTERM, SIGINT and SIGUSR2 forwarded to every worker as a drain request
+ * - SIGHUP (or reload()) replaces every worker: the old generation is drained only
+ *   after the new one reports ready, and keeps serving if it never does
+ * - Workers that outlive the shutdown timeout are killed
+ * - Worker `shutdown-completed` summaries aggregated into one EXIT_CODES exit code
+ *
+ * @module cluster
+ * @requires cluster
+ * @requires events
+ * @requires os
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const cluster = require('cluster');
+const os = require('os');
+const { logger } = require('./errors');
+const { EXIT_CODES } = require('./shutdown');
+
+/**
+ * Default supervisor settings
+ */
+const DEFAULT_OPTIONS = {
+    workers: typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length,
+    restartDelayMs: 1000,       // First restart delay; doubles for each consecutive crash
+    maxRestartDelayMs: 30000,   // Upper bound for the restart delay
+    stableAfterMs: 30000,       // A worker running this long resets the backoff
+    shutdownTimeoutMs: 45000,   // Time workers get to drain before they are killed
+    readyTimeoutMs: 30000,      // Time a replacement worker gets to report ready during reload
+    signals: ['SIGTERM', 'SIGINT', 'SIGUSR2']
+};
+
+/**
+ * IPC message types exchanged between the primary and its workers
+ */
+const MESSAGES = {
+    SHUTDOWN: 'cluster:shutdown',
+    SHUTDOWN_COMPLETED: 'cluster:shutdown-completed',
+    READY: 'cluster:ready',
+    NOT_READY: 'cluster:not-ready'
+};
+
+/**
+ * Map a worker's exit to an EXIT_CODES value
+ *
+ * @private
+ * @param {Object} result - Worker result with exitCode, signal and timedOut
+ * @returns {number} Exit code following EXIT_CODES semantics
+ */
+function classifyExit(result) {
+    if (result.timedOut) {
+        return EXIT_CODES.TIMEOUT;
+    }
+    if (Object.values(EXIT_CODES).includes(result.exitCode)) {
+        return result.exitCode;
+    }
+    // Killed by a signal or exited without going through its coordinator
+    return EXIT_CODES.SIGNAL_ERROR;
+}
+
+/**
+ * Cluster Primary Class
+ *
+ * Emits 'worker-started', 'worker-listening', 'worker-exited',
+ * 'worker-restart-scheduled', 'reload-started', 'reload-completed',
+ * 'reload-failed' and 'shutdown-completed'.
+ */
+class ClusterPrimary extends EventEmitter {
+    /**
+     * @param {Object} [options] - Supervisor options (see DEFAULT_OPTIONS)
+     * @param {Object} [options.workerEnv] - Extra environment variables for workers
+     */
+    constructor(options = {}) {
+        super();
+
+        if (!cluster.isPrimary) {
+            throw new Error('ClusterPrimary must be created in the primary process');
+        }
+
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (!(this.options.workers >= 1)) {
+            throw new Error('Cluster requires at least one worker');
+        }
+
+        this.slots = new Map();          // Slot number to { worker, startedAt, crashes, restartTimer }
+        this.candidates = new Set();     // Replacement workers not yet ready
+        this.retiring = new Set();       // Replaced workers still draining
+        this.results = new Map();        // Worker ID to shutdown result
+        this.reloadInProgress = null;
+        this.shuttingDown = false;
+        this.shutdownSignal = null;
+        this.shutdownStartTime = null;
+        this.shutdownTimer = null;
+        this.signalHandlers = new Map();
+
+        this.onWorkerExit = this.onWorkerExit.bind(this);
+        this.onWorkerMessage = this.onWorkerMessage.bind(this);
+    }
+
+    /**
+     * Fork the workers and install the signal handlers
+     *
+     * @returns {ClusterPrimary} The primary, for chaining
+     */
+    start() {
+        cluster.on('exit', this.onWorkerExit);
+        cluster.on('message', this.onWorkerMessage);
+
+        this.options.signals.forEach(signal => {
+            const handler = () => this.shutdown(signal);
+            this.signalHandlers.set(signal, handler);
+            process.on(signal, handler);
+        });
+
+        const reloadHandler = () => this.reload('SIGHUP');
+        this.signalHandlers.set('SIGHUP', reloadHandler);
+        process.on('SIGHUP', reloadHandler);
+
+        for (let slot = 1; slot <= this.options.workers; slot++) {
+            this.slots.set(slot, { worker: null, startedAt: 0, crashes: 0, restartTimer: null });
+            this.fork(slot);
+        }
+
+        logger.logInfo('Cluster primary started', {
+            pid: process.pid,
+            workers: this.options.workers
+        });
+
+        return this;
+    }
+
+    /**
+     * Fork a worker process for a slot
+     *
+     * @private
+     * @param {number} slot - Slot number
+     * @returns {cluster.Worker} New worker
+     */
+    spawn(slot) {
+        const worker = cluster.fork({ ...this.options.workerEnv, CLUSTER_WORKER_SLOT: String(slot) });
+        worker.slot = slot;
+
+        worker.once('listening', (address) => {
+            this.emit('worker-listening', { slot, pid: worker.process.pid, address });
+        });
+
+        this.emit('worker-started', { slot, pid: worker.process.pid });
+        return worker;
+    }
+
+    /**
+     * Fork the worker for a slot
+     *
+     * @private
+     * @param {number} slot - Slot number
+     */
+    fork(slot) {
+        const entry = this.slots.get(slot);
+        entry.worker = this.spawn(slot);
+        entry.startedAt = Date.now();
+        entry.restartTimer = null;
+    }
+
+    /**
+     * Record a worker's exit and restart it unless the cluster is shutting down
+     *
+     * @private
+     * @param {cluster.Worker} worker - Worker that exited
+     * @param {number|null} exitCode - Exit code
+     * @param {string|null} signal - Signal that killed the worker
+     */
+    onWorkerExit(worker, exitCode, signal) {
+        const slot = worker.slot;
+        const entry = this.slots.get(slot);
+        const current = Boolean(entry && entry.worker === worker);
+        const replaced = this.retiring.delete(worker) || this.candidates.delete(worker);
+        if (!current && !replaced) {
+            return;
+        }
+        if (current) {
+            entry.worker = null;
+        }
+
+        this.emit('worker-exited', { slot, pid: worker.process.pid, exitCode, signal, current });
+
+        if (this.shuttingDown) {
+            const result = this.results.get(worker.id) || {};
+            this.results.set(worker.id, { ...result, slot, pid: worker.process.pid, exitCode, signal });
+            this.checkShutdownComplete();
+            return;
+        }
+
+        // Retired and rejected replacement workers are not restarted
+        if (!current) {
+            return;
+        }
+
+        // Consecutive crashes back off exponentially; a worker that ran long enough starts over
+        const uptime = Date.now() - entry.startedAt;
+        entry.crashes = uptime >= this.options.stableAfterMs ? 1 : entry.crashes + 1;
+        const delayMs = Math.min(
+            this.options.maxRestartDelayMs,
+            this.options.restartDelayMs * 2 ** (entry.crashes - 1)
+        );
+
+        logger.logWarning('Cluster worker exited unexpectedly, restarting', {
+            slot,
+            pid: worker.process.pid,
+            exitCode,
+            signal,
+            uptimeMs: uptime,
+            restartDelayMs: delayMs
+        });
+
+        entry.restartTimer = setTimeout(() => this.fork(slot), delayMs);
+        this.emit('worker-restart-scheduled', { slot, delayMs, crashes: entry.crashes });
+    }
+
+    /**
+     * Collect shutdown summaries reported by workers
+     *
+     * @private
+     * @param {cluster.Worker} worker - Sending worker
+     * @param {Object} message - IPC message
+     */
+    onWorkerMessage(worker, message) {
+        if (message && message.type === MESSAGES.SHUTDOWN_COMPLETED && this.shuttingDown) {
+            const result = this.results.get(worker.id) || {};
+            this.results.set(worker.id, { ...result, summary: message.summary });
+        }
+    }
+
+    /**
+     * Ask every worker to drain and exit, then exit with the aggregated code
+     *
+     * @param {string} [signal='SIGTERM'] - Signal that triggered the shutdown
+     */
+    shutdown(signal = 'SIGTERM') {
+        if (this.shuttingDown) {
+            logger.logWarning('Cluster shutdown already in progress', { signal });
+            return;
+        }
+
+        this.shuttingDown = true;
+        this.shutdownSignal = signal;
+        this.shutdownStartTime = Date.now();
+
+        logger.logInfo('Cluster shutting down, draining workers', {
+            signal,
+            workers: this.liveWorkers().length
+        });
+
+        this.slots.forEach(entry => {
+            clearTimeout(entry.restartTimer);
+            entry.restartTimer = null;
+        });
+
+        // Retiring workers are already draining
+        this.liveWorkers()
+            .filter(worker => !this.retiring.has(worker))
+            .forEach(worker => this.requestDrain(worker, signal));
+
+        this.shutdownTimer = setTimeout(() => {
+            const remaining = this.liveWorkers();
+            logger.logWarning('Cluster workers did not drain in time, killing them', {
+                remaining: remaining.length,
+                timeoutMs: this.options.shutdownTimeoutMs
+            });
+            remaining.forEach(worker => {
+                this.results.set(worker.id, { ...this.results.get(worker.id), timedOut: true });
+                worker.process.kill('SIGKILL');
+            });
+        }, this.options.shutdownTimeoutMs);
+
+        this.checkShutdownComplete();
+    }
+
+    /**
+     * Finish the shutdown once every worker has exited
+     *
+     * @private
+     */
+    checkShutdownComplete() {
+        if (this.liveWorkers().length > 0) {
+            return;
+        }
+
+        clearTimeout(this.shutdownTimer);
+        cluster.removeListener('exit', this.onWorkerExit);
+        cluster.removeListener('message', this.onWorkerMessage);
+        this.signalHandlers.forEach((handler, signal) => process.removeListener(signal, handler));
+        this.signalHandlers.clear();
+
+        const workers = Array.from(this.results, ([id, result]) => ({
+            id,
+            ...result,
+            classifiedExitCode: classifyExit(result)
+        }));
+        const exitCode = workers.reduce((worst, worker) => Math.max(worst, worker.classifiedExitCode), EXIT_CODES.GRACEFUL);
+
+        const summary = {
+            signal: this.shutdownSignal,
+            duration: Date.now() - this.shutdownStartTime,
+            workers,
+            exitCode
+        };
+
+        logger.logInfo('Cluster shutdown completed', {
+            signal: summary.signal,
+            duration: summary.duration,
+            workers: workers.length,
+            failedWorkers: workers.filter(worker => worker.classifiedExitCode !== EXIT_CODES.GRACEFUL).length,
+            exitCode
+        });
+
+        this.emit('shutdown-completed', summary);
+
+        process.exit(exitCode);
+    }
+
+    /**
+     * Ask a worker to drain through its coordinator and exit
+     *
+     * @private
+     * @param {cluster.Worker} worker - Worker to stop
+     * @param {string} signal - Reason passed to the worker's coordinator
+     */
+    requestDrain(worker, signal) {
+        try {
+            worker.send({ type: MESSAGES.SHUTDOWN, signal });
+        } catch (error) {
+            // The worker is already going away; its exit is recorded either way
+        }
+    }
+
+    /**
+     * Replace every worker with a new generation
+     *
+     * Replacement workers are forked next to the current ones. Only when all of
+     * them report ready are the current workers drained; otherwise the
+     * replacements are stopped and the current workers keep serving.
+     *
+     * @param {string} [reason='manual'] - What triggered the reload (e.g. SIGHUP)
+     * @returns {Promise<Object>} `{ reloaded, reason, duration, workers, error? }`
+     */
+    reload(reason = 'manual') {
+        if (this.shuttingDown) {
+            logger.logWarning('Cluster reload ignored during shutdown', { reason });
+            return Promise.resolve({ reloaded: false, reason, duration: 0, workers: 0, error: 'shutting down' });
+        }
+        if (this.reloadInProgress) {
+            logger.logWarning('Cluster reload already in progress', { reason });
+            return this.reloadInProgress;
+        }
+
+        this.reloadInProgress = this.replaceGeneration(reason).finally(() => {
+            this.reloadInProgress = null;
+        });
+        return this.reloadInProgress;
+    }
+
+    /**
+     * Fork, check and swap in a new worker generation
+     *
+     * @private
+     * @param {string} reason - What triggered the reload
+     * @returns {Promise<Object>} Reload result
+     */
+    async replaceGeneration(reason) {
+        const startTime = Date.now();
+        const slots = Array.from(this.slots.keys());
+
+        logger.logInfo('Cluster reload started, forking replacement workers', { reason, workers: slots.length });
+        this.emit('reload-started', { reason });
+
+        const candidates = slots.map(slot => {
+            const worker = this.spawn(slot);
+            this.candidates.add(worker);
+            return worker;
+        });
+
+        const outcomes = await Promise.allSettled(candidates.map(worker => this.waitForReady(worker)));
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+
+        if (failure || this.shuttingDown) {
+            // Replacements that did report ready are stopped along with the failed ones
+            candidates.filter(worker => this.candidates.has(worker)).forEach(worker => {
+                this.candidates.delete(worker);
+                if (!this.shuttingDown) {
+                    this.retiring.add(worker);
+                    this.requestDrain(worker, 'RELOAD_FAILED');
+                }
+            });
+
+            const result = {
+                reloaded: false,
+                reason,
+                duration: Date.now() - startTime,
+                workers: 0,
+                error: failure ? failure.reason.message : 'shutting down'
+            };
+            logger.logError(new Error('Cluster reload failed, previous workers keep serving'), null, {
+                ...result,
+                failedWorkers: outcomes.filter(outcome => outcome.status === 'rejected').length
+            });
+            this.emit('reload-failed', result);
+            return result;
+        }
+
+        // Swap the new generation in, then drain the old one through its coordinators
+        candidates.forEach(worker => {
+            const entry = this.slots.get(worker.slot);
+            const previous = entry.worker;
+
+            this.candidates.delete(worker);
+            clearTimeout(entry.restartTimer);
+            entry.restartTimer = null;
+            entry.worker = worker;
+            entry.startedAt = Date.now();
+            entry.crashes = 0;
+
+            if (previous) {
+                this.retiring.add(previous);
+                this.requestDrain(previous, 'RELOAD');
+            }
+        });
+
+        const result = { reloaded: true, reason, duration: Date.now() - startTime, workers: candidates.length };
+        logger.logInfo('Cluster reload completed, previous workers draining', result);
+        this.emit('reload-completed', result);
+        return result;
+    }
+
+    /**
+     * Wait for a worker to report that it is listening and ready
+     *
+     * @private
+     * @param {cluster.Worker} worker - Replacement worker
+     * @returns {Promise<void>} Resolves when ready
+     * @throws {Error} When the worker reports not ready, exits or times out
+     */
+    waitForReady(worker) {
+        return new Promise((resolve, reject) => {
+            const settle = (error) => {
+                clearTimeout(timer);
+                worker.removeListener('message', onMessage);
+                worker.removeListener('exit', onExit);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            const onMessage = (message) => {
+                if (message && message.type === MESSAGES.READY) {
+                    settle();
+                } else if (message && message.type === MESSAGES.NOT_READY) {
+                    settle(new Error(`Worker ${worker.process.pid} is not ready: ${message.error}`));
+                }
+            };
+
+            const onExit = (exitCode, signal) => {
+                settle(new Error(`Worker ${worker.process.pid} exited before becoming ready (code ${exitCode}, signal ${signal})`));
+            };
+
+            const timer = setTimeout(() => {
+                settle(new Error(`Worker ${worker.process.pid} did not become ready within ${this.options.readyTimeoutMs}ms`));
+            }, this.options.readyTimeoutMs);
+
+            worker.on('message', onMessage);
+            worker.once('exit', onExit);
+        });
+    }
+
+    /**
+     * Workers that have not exited yet
+     *
+     * @returns {Array<cluster.Worker>} Live workers, including replacements and retiring workers
+     */
+    liveWorkers() {
+        return Array.from(this.slots.values())
+            .map(entry => entry.worker)
+            .filter(Boolean)
+            .concat(Array.from(this.candidates), Array.from(this.retiring));
+    }
+}
+
+/**
+ * Connect a worker's ShutdownCoordinator to the primary
+ *
+ * Drain requests from the primary start the coordinator's shutdown sequence, and
+ * the coordinator's summary is reported back before the worker exits. Does
+ * nothing outside a cluster worker.
+ *
+ * @param {ShutdownCoordinator} coordinator - The worker's coordinator
+ * @returns {boolean} True when running as a cluster worker
+ */
+function attachWorker(coordinator) {
+    if (!cluster.isWorker) {
+        return false;
+    }
+
+    coordinator.trackEventListener(process, 'message', (message) => {
+        if (message && message.type === MESSAGES.SHUTDOWN) {
+            coordinator.handleSignal(message.signal || 'SIGTERM');
+        }
+    });
+
+    coordinator.on('shutdown-completed', (summary) => {
+        if (process.connected) {
+            process.send({ type: MESSAGES.SHUTDOWN_COMPLETED, summary });
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Tell the primary whether this worker is ready to take over traffic
+ *
+ * Call once the server is listening. The primary waits for this report before
+ * draining the workers a reload replaces. Does nothing outside a cluster worker.
+ *
+ * @param {Function} [check] - Readiness check resolving to false (or throwing) when not ready
+ * @returns {Promise<boolean>} True when running as a cluster worker
+ */
+async function reportWorkerReady(check) {
+    if (!cluster.isWorker) {
+        return false;
+    }
+
+    let message = { type: MESSAGES.READY };
+    try {
+        if (check && await check() === false) {
+            message = { type: MESSAGES.NOT_READY, error: 'readiness check failed' };
+        }
+    } catch (error) {
+        message = { type: MESSAGES.NOT_READY, error: error.message };
+    }
+
+    if (process.connected) {
+        process.send(message);
+    }
+    return true;
+}
+
+/**
+ * Start a cluster primary
+ *
+ * @param {Object} [options] - Supervisor options
+ * @returns {ClusterPrimary} Running primary
+ */
+function startCluster(options = {}) {
+    return new ClusterPrimary(options).start();
+}
+
+module.exports = {
+    ClusterPrimary,
+    startCluster,
+    attachWorker,
+    reportWorkerReady,
+    MESSAGES,
+    DEFAULT_OPTIONS
+};
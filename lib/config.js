@@ -0,0 +1,411 @@
+/**
+ * Server Configuration Loader
+ *
+ * Builds the runtime configuration for the HTTP server, the validation layer and
+ * the shutdown coordinator from a single declarative schema.
+ *
+ * Features:
+ * - Environment variable overrides (PORT, HOST, REQUEST_TIMEOUT, ...)
+ * - Optional JSON configuration file (CONFIG_FILE or options.configFile)
+ * - Type and range checking for every setting
+ * - Fail-fast reporting of every invalid setting at once via ValidationError
+ *
+ * Precedence (lowest to highest): built-in defaults, configuration file, environment.
+ *
+ * @module config
+ * @requires fs
+ * @requires http
+ * @requires os
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const { ValidationError } = require('./errors');
+const validation = require('./validation');
+const shutdown = require('./shutdown');
+const multipart = require('./multipart');
+const accessLog = require('./accessLog');
+const health = require('./health');
+const rateLimit = require('./rateLimit');
+const cors = require('./cors');
+const securityHeaders = require('./securityHeaders');
+const listener = require('./listener');
+const clusterSupervisor = require('./cluster');
+const watchdog = require('./watchdog');
+const proxy = require('./proxy');
+const ipAccess = require('./ipAccess');
+const { findInvalidRanges } = require('./cidr');
+
+/**
+ * Declarative configuration schema
+ *
+ * Keys are dotted paths into the resulting configuration object. Each entry names
+ * the environment variable that overrides it, its type, optional range limits and
+ * its default value. Lists may be empty unless the entry sets `nonEmpty`.
+ *
+ * @type {Object<string, Object>}
+ */
+const CONFIG_SCHEMA = {
+    // HTTP listener
+    'server.host': { env: 'HOST', type: 'string', default: '127.0.0.1' },
+    'server.port': { env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3000 },
+    'server.requestTimeout': { env: 'REQUEST_TIMEOUT', type: 'integer', min: 1, default: validation.DEFAULT_CONFIG.requestTimeout },
+    'server.keepAliveTimeout': { env: 'KEEPALIVE_TIMEOUT', type: 'integer', min: 0, default: 5000 },
+    'server.protocol': { env: 'SERVER_PROTOCOL', type: 'enum', values: listener.PROTOCOLS, default: listener.DEFAULT_OPTIONS.protocol },
+
+    // Slow clients (slowloris): header and body deadlines and a per-IP connection cap (0 disables one)
+    'clientLimits.headersTimeoutMs': { env: 'HEADERS_TIMEOUT', type: 'integer', min: 0, default: 10000 },
+    'clientLimits.bodyStartTimeoutMs': { env: 'BODY_START_TIMEOUT', type: 'integer', min: 0, default: 10000 },
+    'clientLimits.minBodyRate': { env: 'MIN_BODY_RATE', type: 'integer', min: 0, default: 1024 },
+    'clientLimits.bodyRateGraceMs': { env: 'BODY_RATE_GRACE', type: 'integer', min: 0, default: 5000 },
+    'clientLimits.maxConnectionsPerIp': { env: 'MAX_CONNECTIONS_PER_IP', type: 'integer', min: 0, default: shutdown.DEFAULT_CONFIG.maxConnectionsPerIp },
+
+    // TLS credentials for the https and http2 protocols (reloaded on change and on SIGHUP)
+    'tls.certFile': { env: 'TLS_CERT', type: 'string', default: listener.DEFAULT_OPTIONS.certFile },
+    'tls.keyFile': { env: 'TLS_KEY', type: 'string', default: listener.DEFAULT_OPTIONS.keyFile },
+    'tls.caFile': { env: 'TLS_CA', type: 'string', default: listener.DEFAULT_OPTIONS.caFile },
+    'tls.watch': { env: 'TLS_WATCH', type: 'boolean', default: listener.DEFAULT_OPTIONS.watch },
+    'tls.watchIntervalMs': { env: 'TLS_WATCH_INTERVAL', type: 'integer', min: 100, default: listener.DEFAULT_OPTIONS.watchIntervalMs },
+
+    // Cluster mode: a primary supervises one worker per core (restarts back off exponentially)
+    'cluster.enabled': { env: 'CLUSTER_ENABLED', type: 'boolean', default: false },
+    'cluster.workers': { env: 'CLUSTER_WORKERS', type: 'integer', min: 1, default: clusterSupervisor.DEFAULT_OPTIONS.workers },
+    'cluster.restartDelayMs': { env: 'CLUSTER_RESTART_DELAY', type: 'integer', min: 0, default: clusterSupervisor.DEFAULT_OPTIONS.restartDelayMs },
+    'cluster.maxRestartDelayMs': { env: 'CLUSTER_MAX_RESTART_DELAY', type: 'integer', min: 0, default: clusterSupervisor.DEFAULT_OPTIONS.maxRestartDelayMs },
+
+    // Request validation
+    'validation.allowedMethods': { env: 'ALLOWED_METHODS', type: 'list', nonEmpty: true, values: http.METHODS, default: validation.DEFAULT_CONFIG.allowedMethods },
+    'validation.allowedContentTypes': { env: 'ALLOWED_CONTENT_TYPES', type: 'list', nonEmpty: true, default: validation.DEFAULT_CONFIG.allowedContentTypes },
+    'validation.maxBodySize': { env: 'MAX_PAYLOAD_SIZE', type: 'integer', min: 0, default: validation.DEFAULT_CONFIG.maxBodySize },
+    'validation.strictPathValidation': { env: 'STRICT_PATH_VALIDATION', type: 'boolean', default: validation.DEFAULT_CONFIG.strictPathValidation },
+    'validation.validateContentType': { env: 'VALIDATE_CONTENT_TYPE', type: 'boolean', default: validation.DEFAULT_CONFIG.validateContentType },
+    'validation.allowedHosts': { env: 'ALLOWED_HOSTS', type: 'list', default: validation.DEFAULT_CONFIG.allowedHosts },
+
+    // Reverse proxies whose Forwarded / X-Forwarded-* headers are trusted (CIDR ranges)
+    'proxy.trustedProxies': { env: 'TRUSTED_PROXIES', type: 'list', cidr: true, default: proxy.DEFAULT_OPTIONS.trustedProxies },
+
+    // IP access control (CIDR ranges); the admin allow list replaces the allow list on admin routes
+    'ipAccess.allow': { env: 'IP_ALLOW', type: 'list', cidr: true, default: ipAccess.DEFAULT_OPTIONS.allow },
+    'ipAccess.deny': { env: 'IP_DENY', type: 'list', cidr: true, default: ipAccess.DEFAULT_OPTIONS.deny },
+    'ipAccess.adminAllow': { env: 'ADMIN_IP_ALLOW', type: 'list', cidr: true, default: [] },
+
+    // Graceful shutdown
+    'shutdown.gracePeriodMs': { env: 'SHUTDOWN_GRACE_PERIOD', type: 'integer', min: 0, default: shutdown.DEFAULT_CONFIG.gracePeriodMs },
+    'shutdown.forceTimeoutMs': { env: 'FORCE_SHUTDOWN_DELAY', type: 'integer', min: 0, default: shutdown.DEFAULT_CONFIG.forceTimeoutMs },
+    'shutdown.connectionTimeoutMs': { env: 'CONNECTION_TIMEOUT', type: 'integer', min: 1, default: shutdown.DEFAULT_CONFIG.connectionTimeoutMs },
+    'shutdown.maxConnections': { env: 'MAX_CONNECTIONS', type: 'integer', min: 1, default: shutdown.DEFAULT_CONFIG.maxConnections },
+    'shutdown.readinessDelayMs': { env: 'READINESS_DELAY', type: 'integer', min: 0, default: shutdown.DEFAULT_CONFIG.readinessDelayMs },
+    'shutdown.hookTimeoutMs': { env: 'SHUTDOWN_HOOK_TIMEOUT', type: 'integer', min: 1, default: shutdown.DEFAULT_CONFIG.hookTimeoutMs },
+    'shutdown.logLevel': { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: shutdown.DEFAULT_CONFIG.logLevel },
+
+    // multipart/form-data uploads (the total size limit is the route's maxBodySize)
+    'multipart.tempDir': { env: 'UPLOAD_DIR', type: 'string', default: os.tmpdir() },
+    'multipart.maxParts': { env: 'MAX_UPLOAD_PARTS', type: 'integer', min: 1, default: multipart.DEFAULT_LIMITS.maxParts },
+    'multipart.maxFieldSize': { env: 'MAX_UPLOAD_FIELD_SIZE', type: 'integer', min: 0, default: multipart.DEFAULT_LIMITS.maxFieldSize },
+    'multipart.maxFileSize': { env: 'MAX_UPLOAD_FILE_SIZE', type: 'integer', min: 0, default: multipart.DEFAULT_LIMITS.maxFileSize },
+
+    // Request correlation (reuse well-formed inbound X-Request-Id / traceparent values; enable behind a proxy that sets them)
+    'requestId.trustInbound': { env: 'TRUST_REQUEST_ID', type: 'boolean', default: false },
+
+    // Access log ('stdout', 'off' or a file path; files rotate once they reach maxFileSize)
+    'accessLog.format': { env: 'ACCESS_LOG_FORMAT', type: 'enum', values: ['json', 'combined'], default: accessLog.DEFAULT_OPTIONS.format },
+    'accessLog.destination': { env: 'ACCESS_LOG', type: 'string', default: accessLog.DEFAULT_OPTIONS.destination },
+    'accessLog.maxFileSize': { env: 'ACCESS_LOG_MAX_SIZE', type: 'integer', min: 1, default: accessLog.DEFAULT_OPTIONS.maxFileSize },
+    'accessLog.maxFiles': { env: 'ACCESS_LOG_MAX_FILES', type: 'integer', min: 0, default: accessLog.DEFAULT_OPTIONS.maxFiles },
+
+    // Prometheus metrics endpoint
+    'metrics.enabled': { env: 'METRICS_ENABLED', type: 'boolean', default: true },
+    'metrics.path': { env: 'METRICS_PATH', type: 'string', default: '/metrics' },
+
+    // Rate limiting (routes may override with the `rateLimit` route option)
+    'rateLimit.enabled': { env: 'RATE_LIMIT_ENABLED', type: 'boolean', default: false },
+    'rateLimit.strategy': { env: 'RATE_LIMIT_STRATEGY', type: 'enum', values: ['token-bucket', 'sliding-window'], default: rateLimit.DEFAULT_OPTIONS.strategy },
+    'rateLimit.limit': { env: 'RATE_LIMIT', type: 'integer', min: 1, default: rateLimit.DEFAULT_OPTIONS.limit },
+    'rateLimit.windowMs': { env: 'RATE_LIMIT_WINDOW', type: 'integer', min: 1, default: rateLimit.DEFAULT_OPTIONS.windowMs },
+    'rateLimit.keyBy': { env: 'RATE_LIMIT_KEY', type: 'enum', values: ['ip', 'api-key'], default: rateLimit.DEFAULT_OPTIONS.keyBy },
+    'rateLimit.apiKeyHeader': { env: 'RATE_LIMIT_API_KEY_HEADER', type: 'string', default: rateLimit.DEFAULT_OPTIONS.apiKeyHeader },
+
+    // CORS (routes may override with the `cors` route option; '/regex/' entries are patterns)
+    'cors.enabled': { env: 'CORS_ENABLED', type: 'boolean', default: false },
+    'cors.origins': { env: 'CORS_ORIGINS', type: 'list', default: cors.DEFAULT_OPTIONS.origins },
+    'cors.allowedHeaders': { env: 'CORS_ALLOWED_HEADERS', type: 'list', default: cors.DEFAULT_OPTIONS.allowedHeaders },
+    'cors.exposedHeaders': { env: 'CORS_EXPOSED_HEADERS', type: 'list', default: cors.DEFAULT_OPTIONS.exposedHeaders },
+    'cors.credentials': { env: 'CORS_CREDENTIALS', type: 'boolean', default: cors.DEFAULT_OPTIONS.credentials },
+    'cors.maxAge': { env: 'CORS_MAX_AGE', type: 'integer', min: 0, default: cors.DEFAULT_OPTIONS.maxAge },
+
+    // Security headers sent on every response ('off' omits a header, HSTS_MAX_AGE=0 disables HSTS)
+    'securityHeaders.contentSecurityPolicy': { env: 'CSP', type: 'string', default: securityHeaders.DEFAULT_POLICY.contentSecurityPolicy },
+    'securityHeaders.cspReportOnly': { env: 'CSP_REPORT_ONLY', type: 'boolean', default: securityHeaders.DEFAULT_POLICY.cspReportOnly },
+    'securityHeaders.cspNonce': { env: 'CSP_NONCE', type: 'boolean', default: securityHeaders.DEFAULT_POLICY.cspNonce },
+    'securityHeaders.reportEndpoint': { env: 'CSP_REPORT_ENDPOINT', type: 'boolean', default: false },
+    'securityHeaders.reportPath': { env: 'CSP_REPORT_PATH', type: 'string', default: '/csp-report' },
+    'securityHeaders.hstsMaxAge': { env: 'HSTS_MAX_AGE', type: 'integer', min: 0, default: securityHeaders.DEFAULT_POLICY.hstsMaxAge },
+    'securityHeaders.hstsIncludeSubDomains': { env: 'HSTS_INCLUDE_SUBDOMAINS', type: 'boolean', default: securityHeaders.DEFAULT_POLICY.hstsIncludeSubDomains },
+    'securityHeaders.hstsPreload': { env: 'HSTS_PRELOAD', type: 'boolean', default: securityHeaders.DEFAULT_POLICY.hstsPreload },
+    'securityHeaders.permissionsPolicy': { env: 'PERMISSIONS_POLICY', type: 'string', default: securityHeaders.DEFAULT_POLICY.permissionsPolicy },
+    'securityHeaders.crossOriginOpenerPolicy': { env: 'COOP', type: 'enum', values: ['same-origin', 'same-origin-allow-popups', 'unsafe-none', 'off'], default: securityHeaders.DEFAULT_POLICY.crossOriginOpenerPolicy },
+    'securityHeaders.crossOriginEmbedderPolicy': { env: 'COEP', type: 'enum', values: ['require-corp', 'credentialless', 'unsafe-none', 'off'], default: securityHeaders.DEFAULT_POLICY.crossOriginEmbedderPolicy },
+    'securityHeaders.crossOriginResourcePolicy': { env: 'CORP', type: 'enum', values: ['same-origin', 'same-site', 'cross-origin', 'off'], default: securityHeaders.DEFAULT_POLICY.crossOriginResourcePolicy },
+    'securityHeaders.referrerPolicy': { env: 'REFERRER_POLICY', type: 'enum', values: ['no-referrer', 'no-referrer-when-downgrade', 'origin', 'origin-when-cross-origin', 'same-origin', 'strict-origin', 'strict-origin-when-cross-origin', 'unsafe-url', 'off'], default: securityHeaders.DEFAULT_POLICY.referrerPolicy },
+    'securityHeaders.frameOptions': { env: 'FRAME_OPTIONS', type: 'enum', values: ['deny', 'sameorigin', 'off'], default: securityHeaders.DEFAULT_POLICY.frameOptions },
+
+    // Liveness and readiness probes
+    'health.livenessPath': { env: 'LIVENESS_PATH', type: 'string', default: '/healthz' },
+    'health.readinessPath': { env: 'READINESS_PATH', type: 'string', default: '/readyz' },
+    'health.checkTimeoutMs': { env: 'HEALTH_CHECK_TIMEOUT', type: 'integer', min: 1, default: health.DEFAULT_OPTIONS.checkTimeoutMs },
+
+    // Error responses ('problem' renders RFC 9457 application/problem+json)
+    'errors.format': { env: 'ERROR_FORMAT', type: 'enum', values: ['json', 'problem'], default: 'json' },
+    'errors.problemTypeBase': { env: 'PROBLEM_TYPE_BASE', type: 'string', default: 'about:blank' },
+
+    // Resource watchdog: shed load above the soft thresholds, restart above the hard ones (null disables one)
+    'resources.watchdogEnabled': { env: 'WATCHDOG_ENABLED', type: 'boolean', default: true },
+    'resources.sampleIntervalMs': { env: 'WATCHDOG_INTERVAL', type: 'integer', min: 10, default: watchdog.DEFAULT_OPTIONS.sampleIntervalMs },
+    'resources.memoryThreshold': { env: 'MEMORY_THRESHOLD', type: 'integer', min: 1, default: watchdog.DEFAULT_OPTIONS.memoryThreshold },
+    'resources.memoryHardThreshold': { env: 'MEMORY_HARD_THRESHOLD', type: 'integer', min: 1, default: watchdog.DEFAULT_OPTIONS.memoryHardThreshold },
+    'resources.rssThreshold': { env: 'RSS_THRESHOLD', type: 'integer', min: 1, default: watchdog.DEFAULT_OPTIONS.rssThreshold },
+    'resources.rssHardThreshold': { env: 'RSS_HARD_THRESHOLD', type: 'integer', min: 1, default: watchdog.DEFAULT_OPTIONS.rssHardThreshold },
+    'resources.eventLoopDelayThreshold': { env: 'EVENT_LOOP_DELAY_THRESHOLD', type: 'integer', min: 1, default: watchdog.DEFAULT_OPTIONS.eventLoopDelayThreshold },
+    'resources.eventLoopDelayHardThreshold': { env: 'EVENT_LOOP_DELAY_HARD_THRESHOLD', type: 'integer', min: 1, default: watchdog.DEFAULT_OPTIONS.eventLoopDelayHardThreshold },
+    'resources.retryAfterSeconds': { env: 'SHED_RETRY_AFTER', type: 'integer', min: 0, default: watchdog.DEFAULT_OPTIONS.retryAfterSeconds }
+};
+
+/**
+ * Coerce and check a single configuration value against its schema entry
+ *
+ * @private
+ * @param {*} rawValue - Value read from the environment or configuration file
+ * @param {Object} spec - Schema entry for the setting
+ * @param {boolean} fromEnv - Whether the value is an environment variable string
+ * @returns {{value: *}|{error: string}} Coerced value or a description of the problem
+ */
+function coerceValue(rawValue, spec, fromEnv) {
+    switch (spec.type) {
+        case 'integer': {
+            let value = rawValue;
+            if (fromEnv) {
+                if (!/^-?\d+$/.test(String(rawValue).trim())) {
+                    return { error: `must be an integer, got '${rawValue}'` };
+                }
+                value = Number(String(rawValue).trim());
+            }
+            if (!Number.isSafeInteger(value)) {
+                return { error: `must be an integer, got ${JSON.stringify(rawValue)}` };
+            }
+            if (spec.min !== undefined && value < spec.min) {
+                return { error: `must be >= ${spec.min}, got ${value}` };
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                return { error: `must be <= ${spec.max}, got ${value}` };
+            }
+            return { value };
+        }
+
+        case 'boolean': {
+            if (typeof rawValue === 'boolean') {
+                return { value: rawValue };
+            }
+            if (fromEnv && ['true', '1', 'yes'].includes(String(rawValue).toLowerCase())) {
+                return { value: true };
+            }
+            if (fromEnv && ['false', '0', 'no'].includes(String(rawValue).toLowerCase())) {
+                return { value: false };
+            }
+            return { error: `must be a boolean, got ${JSON.stringify(rawValue)}` };
+        }
+
+        case 'string': {
+            if (typeof rawValue !== 'string' || rawValue.trim() === '') {
+                return { error: `must be a non-empty string, got ${JSON.stringify(rawValue)}` };
+            }
+            return { value: rawValue.trim() };
+        }
+
+        case 'enum': {
+            const value = String(rawValue).toLowerCase();
+            if (typeof rawValue !== 'string' || !spec.values.includes(value)) {
+                return { error: `must be one of ${spec.values.join(', ')}, got ${JSON.stringify(rawValue)}` };
+            }
+            return { value };
+        }
+
+        case 'list': {
+            let items = rawValue;
+            if (fromEnv) {
+                items = String(rawValue).split(',');
+            }
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+                return { error: `must be a list of strings, got ${JSON.stringify(rawValue)}` };
+            }
+            items = items.map(item => item.trim()).filter(item => item !== '');
+            if (spec.nonEmpty && items.length === 0) {
+                return { error: 'must contain at least one entry' };
+            }
+            if (spec.values) {
+                items = items.map(item => item.toUpperCase());
+                const unknown = items.filter(item => !spec.values.includes(item));
+                if (unknown.length > 0) {
+                    return { error: `contains unsupported entries: ${unknown.join(', ')}` };
+                }
+            }
+            if (spec.cidr) {
+                const invalid = findInvalidRanges(items);
+                if (invalid.length > 0) {
+                    return { error: `contains invalid CIDR ranges: ${invalid.join(', ')}` };
+                }
+            }
+            return { value: items };
+        }
+
+        default:
+            return { error: `has unknown schema type '${spec.type}'` };
+    }
+}
+
+/**
+ * Read and parse the optional JSON configuration file
+ *
+ * @private
+ * @param {string} filePath - Path to the configuration file
+ * @param {Array<Object>} errors - Collector for configuration problems
+ * @returns {Object} Parsed configuration file contents (empty on failure)
+ */
+function readConfigFile(filePath, errors) {
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        errors.push({ key: 'configFile', source: filePath, message: `could not be loaded: ${error.message}` });
+        return {};
+    }
+
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        errors.push({ key: 'configFile', source: filePath, message: 'must contain a JSON object' });
+        return {};
+    }
+
+    return contents;
+}
+
+/**
+ * Flatten a nested configuration file object into dotted schema paths
+ *
+ * @private
+ * @param {Object} object - Nested configuration object
+ * @param {string} [prefix] - Path prefix for recursion
+ * @returns {Object<string, *>} Map of dotted path to value
+ */
+function flattenConfig(object, prefix = '') {
+    const flattened = {};
+
+    for (const [key, value] of Object.entries(object)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[keyPath]) {
+            Object.assign(flattened, flattenConfig(value, keyPath));
+        } else {
+            flattened[keyPath] = value;
+        }
+    }
+
+    return flattened;
+}
+
+/**
+ * Assign a value into a nested object using a dotted path
+ *
+ * @private
+ * @param {Object} target - Object to assign into
+ * @param {string} keyPath - Dotted path
+ * @param {*} value - Value to assign
+ */
+function setPath(target, keyPath, value) {
+    const segments = keyPath.split('.');
+    let node = target;
+
+    segments.slice(0, -1).forEach(segment => {
+        node[segment] = node[segment] || {};
+        node = node[segment];
+    });
+
+    node[segments[segments.length - 1]] = Array.isArray(value) ? [...value] : value;
+}
+
+/**
+ * Load, check and merge the server configuration
+ *
+ * @param {Object} [options] - Loader options
+ * @param {Object} [options.env=process.env] - Environment variables to read
+ * @param {string} [options.configFile] - JSON configuration file (defaults to env.CONFIG_FILE)
+ * @returns {Object} Merged configuration with server, clientLimits, tls, cluster, validation, proxy, ipAccess, shutdown, multipart, requestId, accessLog, metrics, rateLimit, cors, securityHeaders, health, errors and resources sections
+ * @throws {ValidationError} When any setting is missing, malformed or out of range
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const configFile = options.configFile || env.CONFIG_FILE;
+    const errors = [];
+    const config = {};
+
+    const fileValues = configFile ? flattenConfig(readConfigFile(configFile, errors)) : {};
+
+    // Reject unknown keys so typos in the configuration file do not go unnoticed
+    Object.keys(fileValues)
+        .filter(key => !CONFIG_SCHEMA[key])
+        .forEach(key => errors.push({ key, source: configFile, message: 'is not a recognised setting' }));
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        let result = { value: spec.default };
+        let source = 'default';
+
+        if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+            source = spec.env;
+            result = coerceValue(env[spec.env], spec, true);
+        } else if (Object.prototype.hasOwnProperty.call(fileValues, key)) {
+            source = configFile;
+            result = coerceValue(fileValues[key], spec, false);
+        }
+
+        if (result.error) {
+            errors.push({ key, source, message: result.error });
+            continue;
+        }
+
+        setPath(config, key, result.value);
+    }
+
+    // Encrypted protocols cannot start without a certificate and key
+    if (config.server && config.server.protocol !== 'http') {
+        ['certFile', 'keyFile']
+            .filter(name => config.tls && !config.tls[name])
+            .forEach(name => errors.push({
+                key: `tls.${name}`,
+                source: 'server.protocol',
+                message: `is required when the protocol is ${config.server.protocol}`
+            }));
+    }
+
+    if (errors.length > 0) {
+        const report = errors
+            .map(({ key, source, message }) => `  - ${key} (${source}): ${message}`)
+            .join('\n');
+
+        throw new ValidationError(
+            `Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${report}`,
+            'config',
+            null,
+            { errors }
+        );
+    }
+
+    // The validation layer enforces the same request timeout as the listener
+    config.validation.requestTimeout = config.server.requestTimeout;
+
+    return config;
+}
+
+module.exports = {
+    loadConfig,
+    CONFIG_SCHEMA
+};
@@ -0,0 +1,130 @@
+/**
+ * Request Correlation Context
+ *
+ * Assigns every request an identifier and keeps it in AsyncLocalStorage so that
+ * logs and error responses produced anywhere during the request can be correlated
+ * without threading the request object through every call.
+ *
+ * Features:
+ * - Inbound `X-Request-Id` and W3C `traceparent` headers accepted when trusted and well formed
+ * - Random UUID generated otherwise
+ * - Context lookup from any code running on behalf of the request
+ *
+ * @module context
+ * @requires async_hooks
+ * @requires crypto
+ */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+/**
+ * Storage holding the context of the request currently being processed
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Accepted shape for inbound X-Request-Id values; anything else is replaced
+ * so that arbitrary header content never reaches logs or responses
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * W3C Trace Context traceparent header: version-traceid-parentid-flags
+ */
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Default request ID settings
+ */
+const DEFAULT_OPTIONS = {
+    trustInbound: false
+};
+
+/**
+ * Parse a traceparent header
+ *
+ * @private
+ * @param {string} header - traceparent header value
+ * @returns {{traceId: string, parentId: string}|null} Trace identifiers, or null when invalid
+ */
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header).trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, version, traceId, parentId] = match;
+    // Version ff and all-zero identifiers are invalid per the specification
+    if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentId)) {
+        return null;
+    }
+
+    return { traceId, parentId };
+}
+
+/**
+ * Build the correlation context for an incoming request
+ *
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} [options] - Request ID options
+ * @param {boolean} [options.trustInbound=false] - Reuse identifiers supplied by the client or proxy
+ * @returns {Object} `{ requestId, source, traceId?, parentId? }`
+ */
+function createRequestContext(req, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const headers = req.headers || {};
+
+    if (settings.trustInbound) {
+        const inboundId = headers['x-request-id'];
+        if (typeof inboundId === 'string' && REQUEST_ID_PATTERN.test(inboundId)) {
+            return { requestId: inboundId, source: 'x-request-id' };
+        }
+
+        const trace = headers.traceparent ? parseTraceparent(headers.traceparent) : null;
+        if (trace) {
+            return { requestId: trace.traceId, source: 'traceparent', ...trace };
+        }
+    }
+
+    return { requestId: randomUUID(), source: 'generated' };
+}
+
+/**
+ * Run a function with a correlation context active
+ *
+ * @param {Object} context - Context created by createRequestContext
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Get the correlation context of the current request
+ *
+ * @returns {Object|undefined} Current context, or undefined outside a request
+ */
+function getRequestContext() {
+    return storage.getStore();
+}
+
+/**
+ * Get the ID of the current request
+ *
+ * @returns {string|undefined} Request ID, or undefined outside a request
+ */
+function getRequestId() {
+    const context = storage.getStore();
+    return context ? context.requestId : undefined;
+}
+
+module.exports = {
+    createRequestContext,
+    runWithContext,
+    getRequestContext,
+    getRequestId
+};
@@ -0,0 +1,209 @@
+/**
+ * Cross-Origin Resource Sharing (CORS)
+ *
+ * Applies a CORS policy to requests carrying an Origin header: answers preflight
+ * requests and adds the response headers browsers need for actual requests.
+ *
+ * Features:
+ * - Origin allowlist with exact origins, wildcard subdomains (`https://*.example.com`),
+ *   regular expressions and `*`
+ * - Credentials, exposed headers and preflight max-age
+ * - Preflight validation of the requested method and headers
+ * - Disallowed origins, methods and headers rejected with CorsError (403)
+ *
+ * @module cors
+ */
+
+'use strict';
+
+const { CorsError } = require('./errors');
+
+/**
+ * Default CORS policy
+ */
+const DEFAULT_OPTIONS = {
+    origins: [],                 // Allowed origins; empty allows none
+    methods: null,               // Allowed methods (defaults to the route's methods)
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-Api-Key'],
+    exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+    credentials: false,          // Allow cookies and HTTP authentication
+    maxAge: 600                  // Seconds browsers may cache preflight results
+};
+
+/**
+ * Escape a string for literal use inside a regular expression
+ *
+ * @private
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile one allowlist entry into a matcher
+ *
+ * Strings of the form `/pattern/flags` are treated as regular expressions, so
+ * they can be supplied through configuration files and environment variables.
+ *
+ * @private
+ * @param {string|RegExp} entry - Allowlist entry
+ * @returns {Function} Predicate taking a lowercased origin
+ */
+function compileOrigin(entry) {
+    if (entry instanceof RegExp) {
+        return origin => entry.test(origin);
+    }
+
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(entry);
+    if (literal) {
+        const pattern = new RegExp(literal[1], literal[2]);
+        return origin => pattern.test(origin);
+    }
+
+    const normalized = String(entry).toLowerCase().replace(/\/+$/, '');
+    if (normalized.includes('*')) {
+        // `*.` stands for one or more subdomain labels, never for the bare domain
+        const pattern = new RegExp(`^${normalized.split('*.').map(escapeRegExp).join('(?:[a-z0-9-]+\\.)+')}$`);
+        return origin => pattern.test(origin);
+    }
+
+    return origin => origin === normalized;
+}
+
+/**
+ * CORS Policy Class
+ */
+class CorsPolicy {
+    /**
+     * @param {Object} [options] - Policy options (see DEFAULT_OPTIONS)
+     * @throws {Error} When `*` is combined with credentials
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        const origins = [].concat(this.options.origins);
+        this.anyOrigin = origins.includes('*');
+        if (this.anyOrigin && this.options.credentials) {
+            throw new Error("CORS origin '*' cannot be combined with credentials");
+        }
+
+        this.matchers = origins.filter(entry => entry !== '*').map(compileOrigin);
+        this.allowedHeaders = new Set(this.options.allowedHeaders.map(header => header.toLowerCase()));
+    }
+
+    /**
+     * Check an origin against the allowlist
+     *
+     * @param {string} origin - Origin header value
+     * @returns {boolean} True when the origin is allowed
+     */
+    isOriginAllowed(origin) {
+        if (this.anyOrigin) {
+            return true;
+        }
+        const normalized = String(origin).toLowerCase();
+        return this.matchers.some(matches => matches(normalized));
+    }
+
+    /**
+     * Apply the policy to a request
+     *
+     * Requests without an Origin header are left untouched. Preflight requests are
+     * answered with 204 and the caller must not process them further.
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {http.ServerResponse} res - HTTP response object
+     * @param {Object} [options] - Route information
+     * @param {Array<string>} [options.allowedMethods] - Methods the target route accepts
+     * @returns {boolean} True when the request was a preflight and has been answered
+     * @throws {CorsError} When the origin, requested method or requested headers are not allowed
+     */
+    apply(req, res, options = {}) {
+        const origin = req.headers.origin;
+
+        if (!this.anyOrigin || this.options.credentials) {
+            res.setHeader('Vary', 'Origin');
+        }
+        if (origin === undefined) {
+            return false;
+        }
+
+        if (!this.isOriginAllowed(origin)) {
+            throw new CorsError('Origin is not allowed by the CORS policy', origin);
+        }
+
+        res.setHeader('Access-Control-Allow-Origin', this.anyOrigin ? '*' : origin);
+        if (this.options.credentials) {
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+
+        if (!isPreflightRequest(req)) {
+            if (this.options.exposedHeaders.length > 0) {
+                res.setHeader('Access-Control-Expose-Headers', this.options.exposedHeaders.join(', '));
+            }
+            return false;
+        }
+
+        const methods = (this.options.methods || options.allowedMethods || []).map(method => method.toUpperCase());
+        const requestedMethod = req.headers['access-control-request-method'].toUpperCase();
+        if (!methods.includes(requestedMethod)) {
+            throw new CorsError(`Method ${requestedMethod} is not allowed by the CORS policy`, origin, {
+                requestedMethod,
+                allowedMethods: methods
+            });
+        }
+
+        const requestedHeaders = (req.headers['access-control-request-headers'] || '')
+            .split(',')
+            .map(header => header.trim().toLowerCase())
+            .filter(header => header !== '');
+        const deniedHeaders = requestedHeaders.filter(header => !this.allowedHeaders.has(header));
+        if (deniedHeaders.length > 0) {
+            throw new CorsError(`Headers not allowed by the CORS policy: ${deniedHeaders.join(', ')}`, origin, {
+                deniedHeaders
+            });
+        }
+
+        res.statusCode = 204;
+        res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+        if (this.options.allowedHeaders.length > 0) {
+            res.setHeader('Access-Control-Allow-Headers', this.options.allowedHeaders.join(', '));
+        }
+        res.setHeader('Access-Control-Max-Age', String(this.options.maxAge));
+        res.setHeader('Content-Length', '0');
+        res.end();
+
+        return true;
+    }
+}
+
+/**
+ * Check whether a request is a CORS preflight
+ *
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {boolean} True for OPTIONS requests with Origin and Access-Control-Request-Method
+ */
+function isPreflightRequest(req) {
+    return req.method === 'OPTIONS' &&
+        req.headers.origin !== undefined &&
+        typeof req.headers['access-control-request-method'] === 'string';
+}
+
+/**
+ * Create a CORS policy
+ *
+ * @param {Object} [options] - Policy options
+ * @returns {CorsPolicy} Configured policy
+ */
+function createCorsPolicy(options = {}) {
+    return new CorsPolicy(options);
+}
+
+module.exports = {
+    CorsPolicy,
+    createCorsPolicy,
+    isPreflightRequest,
+    DEFAULT_OPTIONS
+};
@@ -16,7 +16,11 @@
 
 'use strict';
 
+const EventEmitter = require('events');
+const http = require('http');
 const util = require('util');
+const { getRequestId } = require('./context');
+const { applySecurityHeaders } = require('./securityHeaders');
 
 // =============================================================================
 // CUSTOM ERROR CLASS HIERARCHY
@@ -108,7 +112,33 @@ class ValidationError extends AppError {
             validationType: 'input_validation'
         };
         
-        super(message, 400, 'VALIDATION_ERROR', true, enhancedContext);
+        // Specific 4xx statuses (405, 413, 414, 415) are carried in context.statusCode
+        super(message, context.statusCode || 400, 'VALIDATION_ERROR', true, enhancedContext);
+        
+        this.field = field;
+        this.value = value;
+    }
+}
+
+/**
+ * Not Found Error - For requests that do not match any route
+ * Used when the requested path has no registered handler
+ */
+class NotFoundError extends AppError {
+    /**
+     * Create a not found error
+     * @param {string} message - Error message describing the missing resource
+     * @param {string} path - Request path that could not be resolved
+     * @param {Object} context - Additional lookup context
+     */
+    constructor(message = 'Resource not found', path = null, context = {}) {
+        const enhancedContext = {
+            ...context,
+            path: path !== null ? String(path).substring(0, 200) : null,
+            httpErrorType: 'not_found'
+        };
+        
+        super(message, 404, 'NOT_FOUND', true, enhancedContext);
     }
 }
 
@@ -189,6 +219,99 @@ class InternalError extends AppError {
     }
 }
 
+/**
+ * Service Unavailable Error - For requests the server cannot take right now
+ * Used while shutting down or shedding load; clients may retry later
+ */
+class ServiceUnavailableError extends AppError {
+    /**
+     * Create a service unavailable error
+     * @param {string} message - Error message describing why the request was refused
+     * @param {number} retryAfter - Suggested retry delay in seconds (0 for none)
+     * @param {Object} context - Additional context
+     */
+    constructor(message = 'Service temporarily unavailable', retryAfter = 0, context = {}) {
+        const enhancedContext = {
+            ...context,
+            retryAfter,
+            httpErrorType: 'service_unavailable'
+        };
+        
+        super(message, 503, 'SERVICE_UNAVAILABLE', true, enhancedContext);
+    }
+}
+
+/**
+ * Rate Limit Error - For clients that exceeded their request quota
+ * Carries the quota state used for Retry-After and RateLimit-* headers
+ */
+class RateLimitError extends AppError {
+    /**
+     * Create a rate limit error
+     * @param {string} message - Error message
+     * @param {Object} quota - Quota state at rejection time
+     * @param {number} quota.limit - Requests allowed per window
+     * @param {number} quota.remaining - Requests left in the window
+     * @param {number} quota.resetSeconds - Seconds until the quota is fully restored
+     * @param {number} quota.retryAfter - Seconds until the next request may succeed
+     * @param {Object} context - Additional context
+     */
+    constructor(message = 'Too many requests', quota = {}, context = {}) {
+        const enhancedContext = {
+            ...context,
+            limit: quota.limit,
+            remaining: quota.remaining || 0,
+            resetSeconds: quota.resetSeconds,
+            retryAfter: quota.retryAfter,
+            httpErrorType: 'rate_limited'
+        };
+        
+        super(message, 429, 'RATE_LIMITED', true, enhancedContext);
+    }
+}
+
+/**
+ * CORS Error - For cross-origin requests the CORS policy does not allow
+ * Rejects disallowed origins, methods and headers explicitly with 403
+ */
+class CorsError extends AppError {
+    /**
+     * Create a CORS error
+     * @param {string} message - Error message describing what the policy rejected
+     * @param {string} origin - Origin of the request
+     * @param {Object} context - Additional context
+     */
+    constructor(message, origin = null, context = {}) {
+        const enhancedContext = {
+            ...context,
+            origin,
+            httpErrorType: 'cors_rejected'
+        };
+        
+        super(message, 403, 'CORS_REJECTED', true, enhancedContext);
+    }
+}
+
+/**
+ * Forbidden Error - For clients the IP access policy does not admit
+ * Raised before the request body is read
+ */
+class ForbiddenError extends AppError {
+    /**
+     * Create a forbidden error
+     * @param {string} message - Error message
+     * @param {Object} context - Additional context (policy name and reason)
+     */
+    constructor(message = 'Access denied', context = {}) {
+        const enhancedContext = {
+            ...context,
+            httpErrorType: 'forbidden'
+        };
+        
+        super(message, 403, 'FORBIDDEN', true, enhancedContext);
+    }
+}
+
 // =============================================================================
 // ERROR LOGGING INFRASTRUCTURE
 // =============================================================================
@@ -218,6 +341,7 @@ class ErrorLogger {
         const logEntry = {
             timestamp,
             level: 'error',
+            ...this.correlationFields(),
             error: {
                 name: error.name,
                 message: error.message,
@@ -237,7 +361,8 @@ class ErrorLogger {
                 method: request.method,
                 url: request.url,
                 headers: this.sanitizeHeaders(request.headers),
-                remoteAddress: request.connection?.remoteAddress,
+                remoteAddress: request.clientIdentity?.ip ?? request.socket?.remoteAddress,
+                peerAddress: request.clientIdentity?.proxied ? request.socket?.remoteAddress : undefined,
                 userAgent: request.headers?.['user-agent']?.substring(0, 200)
             };
         }
@@ -264,6 +389,7 @@ class ErrorLogger {
         const logEntry = {
             timestamp,
             level: 'warn',
+            ...this.correlationFields(),
             message,
             context: this.truncateContext(context)
         };
@@ -281,6 +407,7 @@ class ErrorLogger {
         const logEntry = {
             timestamp,
             level: 'info',
+            ...this.correlationFields(),
             message,
             context: this.truncateContext(context)
         };
@@ -288,6 +415,46 @@ class ErrorLogger {
         console.log(JSON.stringify(logEntry, null, 2));
     }
     
+    /**
+     * Log a security event such as a request smuggling attempt
+     * @param {string} event - Event type (e.g. 'request_smuggling')
+     * @param {Object} request - HTTP request object (optional)
+     * @param {Object} context - Event context
+     */
+    logSecurityEvent(event, request = null, context = {}) {
+        const timestamp = new Date().toISOString();
+        const logEntry = {
+            timestamp,
+            level: 'warn',
+            category: 'security',
+            event,
+            ...this.correlationFields(),
+            context: this.truncateContext(context)
+        };
+        
+        if (request) {
+            logEntry.request = {
+                method: request.method,
+                url: request.url,
+                httpVersion: request.httpVersion,
+                remoteAddress: request.clientIdentity?.ip ?? request.socket?.remoteAddress,
+                peerAddress: request.clientIdentity?.proxied ? request.socket?.remoteAddress : undefined,
+                userAgent: request.headers?.['user-agent']?.substring(0, 200)
+            };
+        }
+        
+        console.warn(JSON.stringify(logEntry, null, 2));
+    }
+    
+    /**
+     * Correlation fields for the request being processed, if any
+     * @returns {Object} `{ requestId }` inside a request, otherwise empty
+     */
+    correlationFields() {
+        const requestId = getRequestId();
+        return requestId ? { requestId } : {};
+    }
+    
     /**
      * Sanitize HTTP headers to remove sensitive information
      * @param {Object} headers - HTTP headers object
@@ -340,6 +507,65 @@ const logger = new ErrorLogger({
     maxContextLength: parseInt(process.env.MAX_CONTEXT_LENGTH) || 1000
 });
 
+/**
+ * Notifies observers (such as metrics) of every error passed to handleError
+ * Emits 'handled' with (normalizedError, req)
+ */
+const errorEvents = new EventEmitter();
+
+/**
+ * Error response rendering settings, see configureErrorResponses
+ */
+const responseSettings = {
+    format: 'json',
+    problemTypeBase: 'about:blank'
+};
+
+/**
+ * Configure how error responses are rendered
+ * @param {Object} options - Rendering options
+ * @param {string} [options.format] - 'json' (legacy envelope) or 'problem' (RFC 9457)
+ * @param {string} [options.problemTypeBase] - Base URI for problem `type` members, or 'about:blank'
+ */
+function configureErrorResponses(options = {}) {
+    if (options.format !== undefined) {
+        if (!['json', 'problem'].includes(options.format)) {
+            throw new Error(`Unknown error response format '${options.format}'`);
+        }
+        responseSettings.format = options.format;
+    }
+    if (options.problemTypeBase !== undefined) {
+        responseSettings.problemTypeBase = options.problemTypeBase;
+    }
+}
+
+/**
+ * Decide whether a request should receive problem details
+ * The configured format applies unless the client explicitly accepts application/problem+json
+ * @param {IncomingMessage} req - HTTP request object (optional)
+ * @param {Object} options - Error handling options (options.format overrides configuration)
+ * @returns {string} 'problem' or 'json'
+ */
+function resolveErrorFormat(req, options = {}) {
+    if (options.format) {
+        return options.format;
+    }
+    
+    const accept = req && req.headers && req.headers.accept;
+    if (accept) {
+        const acceptsProblem = accept.split(',').some(range => {
+            const [type, ...params] = range.split(';').map(part => part.trim().toLowerCase());
+            const quality = params.find(param => param.startsWith('q='));
+            return type === 'application/problem+json' && (!quality || parseFloat(quality.slice(2)) > 0);
+        });
+        if (acceptsProblem) {
+            return 'problem';
+        }
+    }
+    
+    return responseSettings.format;
+}
+
 /**
  * Centralized Error Handler - Unified error processing for all error scenarios
  * Handles error logging, response generation, and error reporting
@@ -353,22 +579,36 @@ const logger = new ErrorLogger({
 function handleError(error, req = null, res = null, options = {}) {
     const startTime = process.hrtime.bigint();
     
+    // Correlate the response with the current request unless the caller chose an ID
+    if (options.requestId === undefined && getRequestId()) {
+        options = { ...options, requestId: getRequestId() };
+    }
+    
     try {
         // Ensure we have a proper error object
         const normalizedError = normalizeError(error);
         
+        // Observers must never break error handling
+        try {
+            errorEvents.emit('handled', normalizedError, req);
+        } catch (observerError) {
+            logger.logWarning('Error observer failed', { error: observerError.message });
+        }
+        
         // Log the error with full context
         logger.logError(normalizedError, req, {
             handlerOptions: options,
             errorHandlingTimestamp: new Date().toISOString()
         });
         
-        // Generate structured error response
-        const errorResponse = generateErrorResponse(normalizedError, options);
+        // Generate structured error response in the negotiated format
+        const errorResponse = resolveErrorFormat(req, options) === 'problem' ?
+            generateProblemDetails(normalizedError, { instance: req ? req.url : undefined, ...options }) :
+            generateErrorResponse(normalizedError, options);
         
         // Send HTTP response if response object is provided
         if (res && !res.headersSent) {
-            sendErrorResponse(res, errorResponse);
+            sendErrorResponse(res, errorResponse, getErrorHeaders(normalizedError));
         }
         
         // Calculate processing time
@@ -492,27 +732,104 @@ function generateErrorResponse(error, options = {}) {
     return response;
 }
 
+/**
+ * Generate an RFC 9457 problem details object for HTTP clients
+ * @param {AppError} error - Error to generate response for
+ * @param {Object} options - Response generation options
+ * @param {string} [options.instance] - URI reference identifying this occurrence (the request URL)
+ * @param {string} [options.requestId] - Request identifier for correlation
+ * @param {string} [options.problemTypeBase] - Overrides the configured type base URI
+ * @returns {Object} Problem details object
+ */
+function generateProblemDetails(error, options = {}) {
+    const status = error.statusCode || 500;
+    const typeBase = options.problemTypeBase || responseSettings.problemTypeBase;
+    
+    const problem = {
+        type: typeBase === 'about:blank' ?
+            'about:blank' :
+            `${typeBase.replace(/\/+$/, '')}/${String(error.code).toLowerCase().replace(/_/g, '-')}`,
+        title: http.STATUS_CODES[status] || 'Error',
+        status,
+        detail: error.sanitizedMessage || error.message
+    };
+    
+    if (options.instance) {
+        problem.instance = options.instance;
+    }
+    
+    // Extension members
+    problem.code = error.code;
+    
+    const field = error.context ? error.context.field : undefined;
+    if (field !== undefined && field !== null) {
+        problem.field = field;
+    }
+    
+    if (options.requestId) {
+        problem.requestId = options.requestId;
+    }
+    
+    return problem;
+}
+
+/**
+ * Derive protocol headers that an error status requires (e.g. Allow for 405, Retry-After for 429)
+ * @param {AppError} error - Error being sent to the client
+ * @returns {Object} Header name to value map
+ */
+function getErrorHeaders(error) {
+    const headers = {};
+    const context = error.context || {};
+    
+    if (error.statusCode === 405 && Array.isArray(context.allowedMethods)) {
+        headers['Allow'] = context.allowedMethods.join(', ');
+    }
+    
+    if ((error.statusCode === 503 || error.statusCode === 429) && context.retryAfter > 0) {
+        headers['Retry-After'] = String(Math.ceil(context.retryAfter));
+    }
+    
+    if (error.statusCode === 429 && context.limit !== undefined) {
+        headers['RateLimit-Limit'] = String(context.limit);
+        headers['RateLimit-Remaining'] = String(context.remaining);
+        headers['RateLimit-Reset'] = String(Math.ceil(context.resetSeconds));
+    }
+    
+    return headers;
+}
+
 /**
  * Send HTTP error response with appropriate headers
  * @param {ServerResponse} res - HTTP response object
  * @param {Object} errorResponse - Error response to send
+ * @param {Object} headers - Additional headers to send with the response
  */
-function sendErrorResponse(res, errorResponse) {
-    const statusCode = errorResponse.error.statusCode || 500;
+function sendErrorResponse(res, errorResponse, headers = {}) {
+    // Problem details carry status and code at the top level
+    const isProblem = !errorResponse.error;
+    const details = isProblem ? errorResponse : errorResponse.error;
+    const statusCode = (isProblem ? details.status : details.statusCode) || 500;
     
     try {
         // Set response status and headers
         res.statusCode = statusCode;
-        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Type', isProblem ?
+            'application/problem+json; charset=utf-8' :
+            'application/json; charset=utf-8');
         
-        // Add security headers
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.setHeader('X-Frame-Options', 'DENY');
-        res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+        // Add security headers from the shared policy
+        applySecurityHeaders(res);
         
         // Add error-specific headers
-        res.setHeader('X-Error-Code', errorResponse.error.code);
-        res.setHeader('X-Error-Timestamp', errorResponse.error.timestamp);
+        res.setHeader('X-Error-Code', details.code);
+        if (details.timestamp) {
+            res.setHeader('X-Error-Timestamp', details.timestamp);
+        }
+        
+        for (const [name, value] of Object.entries(headers)) {
+            res.setHeader(name, value);
+        }
         
         // Send JSON response
         const responseBody = JSON.stringify(errorResponse, null, 2);
@@ -760,6 +1077,20 @@ function createRequestTimeoutError(timeout, operation = 'request_processing') {
     );
 }
 
+/**
+ * Create not found error for unmatched request paths
+ * @param {string} method - HTTP method of the request
+ * @param {string} path - Request path that did not match any route
+ * @returns {NotFoundError} Route not found error
+ */
+function createNotFoundError(method, path) {
+    return new NotFoundError(
+        `No route matches ${method} ${String(path).substring(0, 200)}`,
+        path,
+        { method }
+    );
+}
+
 // =============================================================================
 // MODULE EXPORTS
 // =============================================================================
@@ -771,16 +1102,26 @@ module.exports = {
     TimeoutError,
     ShutdownError,
     InternalError,
+    NotFoundError,
+    ServiceUnavailableError,
+    RateLimitError,
+    CorsError,
+    ForbiddenError,
     
     // Error Logger
     ErrorLogger,
     
     // Central Error Handler
     handleError,
+    errorEvents,
     
     // Error Response Utilities
+    configureErrorResponses,
+    resolveErrorFormat,
     generateErrorResponse,
+    generateProblemDetails,
     sendErrorResponse,
+    getErrorHeaders,
     normalizeError,
     
     // Error Boundary Components
@@ -793,6 +1134,7 @@ module.exports = {
     createHeaderValidationError,
     createPathValidationError,
     createRequestTimeoutError,
+    createNotFoundError,
     
     // Logger Instance
     logger
@@ -0,0 +1,222 @@
+/**
+ * Liveness and Readiness Checks
+ *
+ * Serves the process liveness endpoint and a readiness endpoint that follows the
+ * ShutdownCoordinator state machine, so load balancers stop routing traffic as soon
+ * as shutdown begins and before connections are drained.
+ *
+ * Features:
+ * - Liveness: 200 while the process can serve requests at all
+ * - Readiness: 503 once the coordinator leaves ACTIVE, or when a critical check fails
+ * - Pluggable dependency checks, each bounded by a timeout
+ * - Per-check status, duration and error reported as JSON
+ *
+ * @module health
+ */
+
+'use strict';
+
+const { TimeoutError } = require('./errors');
+const { SHUTDOWN_STATES } = require('./shutdown');
+const { applySecurityHeaders } = require('./securityHeaders');
+
+/**
+ * Default health check settings
+ */
+const DEFAULT_OPTIONS = {
+    checkTimeoutMs: 2000    // Time allowed for each dependency check
+};
+
+/**
+ * Run a check function, failing it when it exceeds its timeout
+ *
+ * @private
+ * @param {string} name - Check name
+ * @param {Function} check - Check function
+ * @param {number} timeoutMs - Time allowed
+ * @returns {Promise<*>} Check result
+ * @throws {TimeoutError} When the check does not settle in time
+ */
+function runWithTimeout(name, check, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(new TimeoutError(`Health check '${name}' timed out`, timeoutMs, `health_check:${name}`));
+        }, timeoutMs);
+    });
+
+    return Promise.race([Promise.resolve().then(check), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Health Check Registry Class
+ */
+class HealthChecks {
+    /**
+     * @param {Object} [options] - Health check options
+     * @param {Object} [options.coordinator] - ShutdownCoordinator whose state gates readiness
+     * @param {number} [options.checkTimeoutMs=2000] - Default per-check timeout
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.coordinator = options.coordinator || null;
+        this.checks = new Map();
+    }
+
+    /**
+     * Register a dependency check
+     *
+     * The check passes when it resolves to anything but `false`; an object result
+     * is reported as the check's details. Throwing or rejecting fails the check.
+     *
+     * @param {string} name - Unique check name
+     * @param {Function} check - Sync or async check function
+     * @param {Object} [options] - Check options
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {boolean} [options.critical=true] - Whether a failure makes the server not ready
+     * @returns {HealthChecks} The registry, for chaining
+     */
+    register(name, check, options = {}) {
+        if (typeof check !== 'function') {
+            throw new Error(`Health check '${name}' must be a function`);
+        }
+        if (this.checks.has(name)) {
+            throw new Error(`Health check '${name}' is already registered`);
+        }
+
+        this.checks.set(name, {
+            check,
+            timeoutMs: options.timeoutMs || this.options.checkTimeoutMs,
+            critical: options.critical !== false
+        });
+
+        return this;
+    }
+
+    /**
+     * Remove a dependency check
+     *
+     * @param {string} name - Check name
+     * @returns {boolean} True when a check was removed
+     */
+    unregister(name) {
+        return this.checks.delete(name);
+    }
+
+    /**
+     * Run every registered check concurrently
+     *
+     * @returns {Promise<Object>} `{ ok, checks: { name: { status, critical, durationMs, details?, error? } } }`
+     */
+    async runChecks() {
+        const results = {};
+        let ok = true;
+
+        await Promise.all(Array.from(this.checks.entries()).map(async ([name, { check, timeoutMs, critical }]) => {
+            const start = Date.now();
+            const result = { status: 'pass', critical, durationMs: 0 };
+
+            try {
+                const outcome = await runWithTimeout(name, check, timeoutMs);
+                if (outcome === false) {
+                    result.status = 'fail';
+                } else if (outcome && typeof outcome === 'object') {
+                    result.details = outcome;
+                }
+            } catch (error) {
+                result.status = 'fail';
+                result.error = error.message;
+            }
+
+            result.durationMs = Date.now() - start;
+            if (result.status === 'fail' && critical) {
+                ok = false;
+            }
+            results[name] = result;
+        }));
+
+        return { ok, checks: results };
+    }
+
+    /**
+     * Liveness report
+     *
+     * @returns {Object} Always-passing report with process uptime
+     */
+    liveness() {
+        return {
+            status: 'pass',
+            uptimeSeconds: Math.round(process.uptime()),
+            pid: process.pid
+        };
+    }
+
+    /**
+     * Readiness report
+     *
+     * Dependency checks are skipped once shutdown has begun; the state alone
+     * decides the result then.
+     *
+     * @returns {Promise<Object>} `{ ready, report }`
+     */
+    async readiness() {
+        const state = this.coordinator ? this.coordinator.state : SHUTDOWN_STATES.ACTIVE;
+
+        if (state !== SHUTDOWN_STATES.ACTIVE) {
+            return { ready: false, report: { status: 'fail', state, checks: {} } };
+        }
+
+        const { ok, checks } = await this.runChecks();
+        return { ready: ok, report: { status: ok ? 'pass' : 'fail', state, checks } };
+    }
+
+    /**
+     * Create request handlers for the liveness and readiness endpoints
+     *
+     * @returns {{liveness: Function, readiness: Function}} Route handlers
+     */
+    createHandlers() {
+        return {
+            liveness: (req, res) => {
+                sendHealthResponse(res, 200, this.liveness());
+            },
+            readiness: async (req, res) => {
+                const { ready, report } = await this.readiness();
+                sendHealthResponse(res, ready ? 200 : 503, report);
+            }
+        };
+    }
+}
+
+/**
+ * Write a health report as an uncacheable JSON response
+ *
+ * @private
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {number} statusCode - Response status
+ * @param {Object} report - Health report
+ */
+function sendHealthResponse(res, statusCode, report) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/health+json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    applySecurityHeaders(res);
+    res.end(JSON.stringify(report, null, 2));
+}
+
+/**
+ * Create a health check registry
+ *
+ * @param {Object} [options] - Health check options
+ * @returns {HealthChecks} New registry
+ */
+function createHealthChecks(options = {}) {
+    return new HealthChecks(options);
+}
+
+module.exports = {
+    HealthChecks,
+    createHealthChecks,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,137 @@
+/**
+ * IP Access Control
+ *
+ * Admits or refuses requests by client address using CIDR allow and deny lists,
+ * before any body is read. The client address is the one derived from trusted
+ * forwarding headers (req.clientIdentity) when available.
+ *
+ * Features:
+ * - IPv4 and IPv6 CIDR ranges (see cidr.js)
+ * - Deny list wins over the allow list; an empty allow list admits every address
+ *   that is not denied
+ * - An optional base allow list the address must also be in, so a narrower policy
+ *   (such as the admin one) cannot admit addresses the global list refuses
+ * - Refused requests raise ForbiddenError (403)
+ * - The decision is attached to the request (req.accessDecision) for the access log
+ *
+ * @module ipAccess
+ * @requires ./cidr
+ */
+
+'use strict';
+
+const { createCidrList } = require('./cidr');
+const { ForbiddenError } = require('./errors');
+
+/**
+ * Default policy settings
+ */
+const DEFAULT_OPTIONS = {
+    allow: [],          // CIDR ranges admitted (empty: every address not denied)
+    baseAllow: [],      // CIDR ranges an address must also be in (empty: no further restriction)
+    deny: [],           // CIDR ranges refused, even when also allowed
+    name: 'global'      // Policy name recorded with each decision
+};
+
+/**
+ * Outcomes of a policy check
+ */
+const DECISIONS = {
+    ALLOW: 'allow',
+    DENY: 'deny'
+};
+
+/**
+ * IpAccessPolicy Class
+ */
+class IpAccessPolicy {
+    /**
+     * @param {Object} [options] - Policy options (see DEFAULT_OPTIONS)
+     * @throws {Error} If a range is invalid
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.allowList = createCidrList(this.options.allow);
+        this.baseAllowList = createCidrList(this.options.baseAllow);
+        this.denyList = createCidrList(this.options.deny);
+    }
+
+    /**
+     * Whether the policy has any ranges at all
+     *
+     * @returns {boolean} False when the policy admits everyone
+     */
+    hasRules() {
+        return this.allowList.size > 0 || this.baseAllowList.size > 0 || this.denyList.size > 0;
+    }
+
+    /**
+     * Decide whether an address is admitted
+     *
+     * @param {string} address - Client IP address
+     * @returns {Object} `{ decision, reason, policy }`; reason is 'deny_list', 'not_in_base_allow_list',
+     *   'not_in_allow_list', 'allow_list' or 'not_denied'
+     */
+    evaluate(address) {
+        const policy = this.options.name;
+
+        if (this.denyList.contains(address)) {
+            return { decision: DECISIONS.DENY, reason: 'deny_list', policy };
+        }
+        if (this.baseAllowList.size > 0 && !this.baseAllowList.contains(address)) {
+            return { decision: DECISIONS.DENY, reason: 'not_in_base_allow_list', policy };
+        }
+        if (this.allowList.size > 0) {
+            return this.allowList.contains(address) ?
+                { decision: DECISIONS.ALLOW, reason: 'allow_list', policy } :
+                { decision: DECISIONS.DENY, reason: 'not_in_allow_list', policy };
+        }
+        return { decision: DECISIONS.ALLOW, reason: 'not_denied', policy };
+    }
+
+    /**
+     * Check a request, recording the decision on it
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @returns {Object|null} The decision, or null when the policy has no ranges
+     * @throws {ForbiddenError} When the client address is refused
+     */
+    enforce(req) {
+        if (!this.hasRules()) {
+            return null;
+        }
+
+        const address = req.clientIdentity ?
+            req.clientIdentity.ip :
+            (req.socket ? req.socket.remoteAddress : undefined);
+        const decision = this.evaluate(address);
+        req.accessDecision = decision;
+
+        if (decision.decision === DECISIONS.DENY) {
+            throw new ForbiddenError('Access denied', {
+                policy: decision.policy,
+                reason: decision.reason
+            });
+        }
+
+        return decision;
+    }
+}
+
+/**
+ * Create an IP access policy
+ *
+ * @param {Object} [options] - Policy options (see DEFAULT_OPTIONS)
+ * @returns {IpAccessPolicy} Policy instance
+ * @throws {Error} If a range is invalid
+ */
+function createIpAccessPolicy(options = {}) {
+    return new IpAccessPolicy(options);
+}
+
+module.exports = {
+    IpAccessPolicy,
+    createIpAccessPolicy,
+    DECISIONS,
+    DEFAULT_OPTIONS
+};
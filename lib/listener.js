@@ -0,0 +1,258 @@
+/**
+ * HTTP, HTTPS and HTTP/2 Listeners
+ *
+ * Creates the server that accepts connections for the configured protocol and keeps
+ * its TLS certificate current without a restart.
+ *
+ * Features:
+ * - Plain HTTP/1.1, HTTPS, or HTTP/2 with HTTP/1.1 fallback negotiated through ALPN
+ * - Certificate, key and CA files loaded from disk
+ * - Hot reload when the files change or on demand (SIGHUP); established connections
+ *   keep the context they were negotiated with
+ * - A reload that fails (missing file, mismatched key) keeps the current certificate
+ *
+ * @module listener
+ * @requires crypto
+ * @requires fs
+ * @requires http
+ * @requires https
+ * @requires http2
+ * @requires tls
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const tls = require('tls');
+
+/**
+ * Default listener settings
+ */
+const DEFAULT_OPTIONS = {
+    protocol: 'http',           // 'http', 'https' or 'http2'
+    certFile: null,             // PEM certificate chain (required for https and http2)
+    keyFile: null,              // PEM private key (required for https and http2)
+    caFile: null,               // Optional PEM CA bundle
+    watch: true,                // Reload when the certificate or key file changes
+    watchIntervalMs: 5000       // How often the files are checked for changes
+};
+
+/**
+ * Protocols the listener can serve
+ */
+const PROTOCOLS = ['http', 'https', 'http2'];
+
+/**
+ * Delay letting a certificate and key written one after the other settle before reloading
+ */
+const RELOAD_DEBOUNCE_MS = 250;
+
+/**
+ * Read the TLS credentials and check that they form a usable context
+ *
+ * @param {Object} options - Listener options with certFile, keyFile and optional caFile
+ * @returns {Object} `{ cert, key, ca? }` buffers for tls.createSecureContext
+ * @throws {Error} When a file cannot be read or the key does not match the certificate
+ */
+function readCredentials(options) {
+    const credentials = {
+        cert: fs.readFileSync(options.certFile),
+        key: fs.readFileSync(options.keyFile)
+    };
+    if (options.caFile) {
+        credentials.ca = fs.readFileSync(options.caFile);
+    }
+
+    // Throws on malformed PEM or a key that does not belong to the certificate
+    tls.createSecureContext(credentials);
+
+    return credentials;
+}
+
+/**
+ * Create a server for the configured protocol
+ *
+ * @param {Function} handler - Request handler `(req, res)`
+ * @param {Object} [options] - Listener options (see DEFAULT_OPTIONS)
+ * @returns {http.Server|https.Server|http2.Http2SecureServer} Server, not yet listening
+ * @throws {Error} When the protocol is unknown or the TLS credentials cannot be loaded
+ */
+function createServer(handler, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+
+    switch (settings.protocol) {
+        case 'http':
+            return http.createServer(handler);
+
+        case 'https':
+            return https.createServer(readCredentials(settings), handler);
+
+        case 'http2':
+            // Clients without h2 in ALPN are served over HTTP/1.1 by the same handler
+            return http2.createSecureServer({ ...readCredentials(settings), allowHTTP1: true }, handler);
+
+        default:
+            throw new Error(`Unknown listener protocol '${settings.protocol}', expected one of ${PROTOCOLS.join(', ')}`);
+    }
+}
+
+/**
+ * Certificate Reloader Class
+ *
+ * Swaps the secure context of a TLS server when its certificate files change.
+ */
+class CertificateReloader {
+    /**
+     * @param {tls.Server} server - HTTPS or HTTP/2 server
+     * @param {Object} options - Listener options (see DEFAULT_OPTIONS)
+     * @param {Object} [logger] - Logger with logInfo(message, context) and logWarning(message, context)
+     */
+    constructor(server, options, logger = null) {
+        if (!server || typeof server.setSecureContext !== 'function') {
+            throw new Error('Certificate reload requires a TLS server');
+        }
+
+        this.server = server;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.logger = logger;
+        this.watchedFiles = [this.options.certFile, this.options.keyFile, this.options.caFile].filter(Boolean);
+        this.pendingReload = null;
+        this.watching = false;
+
+        this.onFileChange = this.onFileChange.bind(this);
+    }
+
+    /**
+     * Start watching the certificate files
+     *
+     * Files are polled rather than watched with inotify so that renames and
+     * symlink swaps (as done by certificate managers) are noticed too.
+     *
+     * @returns {CertificateReloader} The reloader, for chaining
+     */
+    start() {
+        if (this.watching) {
+            return this;
+        }
+
+        this.watchedFiles.forEach(file => {
+            fs.watchFile(file, { interval: this.options.watchIntervalMs, persistent: false }, this.onFileChange);
+        });
+        this.watching = true;
+
+        return this;
+    }
+
+    /**
+     * Schedule a reload after a watched file changed
+     *
+     * @private
+     * @param {fs.Stats} current - Current file stats
+     * @param {fs.Stats} previous - Previous file stats
+     */
+    onFileChange(current, previous) {
+        // A missing file reports mtime 0; wait until it is written again
+        if (current.mtimeMs === 0 || current.mtimeMs === previous.mtimeMs) {
+            return;
+        }
+
+        clearTimeout(this.pendingReload);
+        this.pendingReload = setTimeout(() => {
+            this.pendingReload = null;
+            this.reload();
+        }, RELOAD_DEBOUNCE_MS);
+        this.pendingReload.unref();
+    }
+
+    /**
+     * Load the certificate files and install them for new connections
+     *
+     * @returns {boolean} True when the new certificate is in use
+     */
+    reload() {
+        let credentials;
+        try {
+            credentials = readCredentials(this.options);
+        } catch (error) {
+            this.log('logWarning', 'TLS certificate reload failed, keeping the current certificate', {
+                error: error.message
+            });
+            return false;
+        }
+
+        this.server.setSecureContext(credentials);
+
+        let validTo = null;
+        try {
+            validTo = new crypto.X509Certificate(credentials.cert).validTo;
+        } catch (error) {
+            // Informational only; the context was already accepted by OpenSSL
+        }
+
+        this.log('logInfo', 'TLS certificate reloaded', { validTo });
+        return true;
+    }
+
+    /**
+     * Stop watching the certificate files
+     */
+    stop() {
+        clearTimeout(this.pendingReload);
+        this.pendingReload = null;
+
+        if (this.watching) {
+            this.watchedFiles.forEach(file => fs.unwatchFile(file, this.onFileChange));
+            this.watching = false;
+        }
+    }
+
+    /**
+     * Write a log entry when a logger was supplied
+     *
+     * @private
+     * @param {string} method - Logger method name
+     * @param {string} message - Log message
+     * @param {Object} context - Log context
+     */
+    log(method, message, context) {
+        if (this.logger) {
+            this.logger[method](message, context);
+        }
+    }
+}
+
+/**
+ * Create a server and, for TLS protocols, its certificate reloader
+ *
+ * @param {Function} handler - Request handler `(req, res)`
+ * @param {Object} [options] - Listener options (see DEFAULT_OPTIONS)
+ * @param {Object} [logger] - Logger for certificate reloads
+ * @returns {{server: Object, certificates: CertificateReloader|null}} Server and reloader (null for plain HTTP)
+ */
+function createListener(handler, options = {}, logger = null) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const server = createServer(handler, settings);
+
+    let certificates = null;
+    if (settings.protocol !== 'http') {
+        certificates = new CertificateReloader(server, settings, logger);
+        if (settings.watch) {
+            certificates.start();
+        }
+    }
+
+    return { server, certificates };
+}
+
+module.exports = {
+    createListener,
+    createServer,
+    CertificateReloader,
+    readCredentials,
+    PROTOCOLS,
+    DEFAULT_OPTIONS
+};
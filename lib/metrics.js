@@ -0,0 +1,561 @@
+/**
+ * Prometheus Metrics
+ *
+ * Minimal metrics registry rendering the Prometheus text exposition format
+ * (version 0.0.4), plus the default series collected by the server.
+ *
+ * Features:
+ * - Counter, Gauge and Histogram types with labels
+ * - Series computed at scrape time through collect callbacks
+ * - Default HTTP, validation, error, slow client, connection, shutdown and process series
+ *
+ * @module metrics
+ * @requires perf_hooks
+ */
+
+'use strict';
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { errorEvents } = require('./errors');
+const { SHUTDOWN_STATES } = require('./shutdown');
+
+/**
+ * Content-Type of the text exposition format
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Default latency buckets in seconds
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Validation failures reported as their own series
+ */
+const VALIDATION_REJECTION_STATUSES = [405, 413, 414, 415];
+
+/**
+ * TimeoutError operations raised by slow-client deadlines
+ */
+const SLOW_CLIENT_OPERATIONS = ['request_headers', 'request_body_start', 'request_body_rate'];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Escape a label value for the exposition format
+ *
+ * @private
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a sample value, using the exposition spellings for non-finite numbers
+ *
+ * @private
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Render a label set
+ *
+ * @private
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{a="1",b="2"}` or an empty string
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class holding labelled series for one metric
+ */
+class Metric {
+    /**
+     * @param {string} type - Exposition type (counter, gauge, histogram)
+     * @param {Object} options - Metric definition
+     * @param {string} options.name - Metric name
+     * @param {string} options.help - Help text
+     * @param {Array<string>} [options.labelNames] - Label names
+     * @param {Function} [options.collect] - Called before rendering to refresh values
+     */
+    constructor(type, options) {
+        if (!METRIC_NAME_PATTERN.test(options.name)) {
+            throw new Error(`Invalid metric name '${options.name}'`);
+        }
+        (options.labelNames || []).forEach(labelName => {
+            if (!LABEL_NAME_PATTERN.test(labelName) || labelName.startsWith('__')) {
+                throw new Error(`Invalid label name '${labelName}' for metric ${options.name}`);
+            }
+        });
+
+        this.type = type;
+        this.name = options.name;
+        this.help = options.help || options.name;
+        this.labelNames = options.labelNames || [];
+        this.collect = options.collect || null;
+        this.series = new Map();
+    }
+
+    /**
+     * Get or create the series for a label set
+     *
+     * @protected
+     * @param {Object} labels - Label values
+     * @param {Function} create - Factory for a new series
+     * @returns {Object} Series state
+     */
+    getSeries(labels, create) {
+        const unknown = Object.keys(labels).filter(name => !this.labelNames.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown label(s) ${unknown.join(', ')} for metric ${this.name}`);
+        }
+
+        const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        let series = this.series.get(key);
+        if (!series) {
+            const labelSet = {};
+            this.labelNames.forEach((name, index) => {
+                labelSet[name] = values[index];
+            });
+            series = { labels: labelSet, ...create() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    /**
+     * Remove every series
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Render the HELP/TYPE header
+     *
+     * @protected
+     * @returns {Array<string>} Header lines
+     */
+    header() {
+        return [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+    }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    /**
+     * Increase the counter
+     *
+     * @param {Object} [labels] - Label values
+     * @param {number} [amount=1] - Non-negative increment
+     */
+    inc(labels = {}, amount = 1) {
+        if (!(amount >= 0)) {
+            throw new Error(`Counter ${this.name} can only increase`);
+        }
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(series => {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Value that can go up and down
+ */
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    /**
+     * Set the gauge
+     *
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    /**
+     * Increase the gauge
+     *
+     * @param {Object} [labels] - Label values
+     * @param {number} [amount=1] - Increment
+     */
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    /**
+     * Decrease the gauge
+     *
+     * @param {Object} [labels] - Label values
+     * @param {number} [amount=1] - Decrement
+     */
+    dec(labels = {}, amount = 1) {
+        this.inc(labels, -amount);
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(series => {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Distribution of observations in cumulative buckets
+ */
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - Metric definition
+     * @param {Array<number>} [options.buckets] - Upper bounds, ascending
+     */
+    constructor(options) {
+        super('histogram', options);
+        if (this.labelNames.includes('le')) {
+            throw new Error(`Histogram ${this.name} cannot use the reserved label 'le'`);
+        }
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Record an observation
+     *
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        }));
+
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            series.counts[index]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start a timer that observes the elapsed seconds when called
+     *
+     * @param {Object} [labels] - Label values known up front
+     * @returns {Function} end(extraLabels) records the observation
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(series => {
+            let cumulative = 0;
+            this.buckets.forEach((bound, index) => {
+                cumulative += series.counts[index];
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Metrics Registry Class
+ */
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Register a metric instance
+     *
+     * @param {Metric} metric - Metric to register
+     * @returns {Metric} The registered metric
+     * @throws {Error} When a metric with the same name exists
+     */
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * Look up a metric by name
+     *
+     * @param {string} name - Metric name
+     * @returns {Metric|undefined} Registered metric
+     */
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Render every metric in the text exposition format
+     *
+     * @returns {string} Exposition document
+     */
+    render() {
+        const lines = [];
+        this.metrics.forEach(metric => {
+            if (metric.collect) {
+                try {
+                    metric.collect(metric);
+                } catch (error) {
+                    console.error(`Metric collection failed for ${metric.name}: ${error.message}`);
+                }
+            }
+            lines.push(...metric.render());
+        });
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * Register the default server series and start collecting them
+ *
+ * @param {Registry} registry - Registry to populate
+ * @param {Object} [options] - Collection options
+ * @param {Object} [options.coordinator] - ShutdownCoordinator providing connection and state data
+ * @param {Array<number>} [options.buckets] - Request latency buckets in seconds
+ * @returns {Object} Collectors: `{ trackRequest(req, res), dispose() }`
+ */
+function registerDefaultMetrics(registry, options = {}) {
+    const coordinator = options.coordinator || null;
+
+    const requestsTotal = registry.counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests completed, by route, method and status',
+        labelNames: ['route', 'method', 'status']
+    });
+    const requestDuration = registry.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency in seconds, by route, method and status',
+        labelNames: ['route', 'method', 'status'],
+        buckets: options.buckets
+    });
+    const validationRejections = registry.counter({
+        name: 'http_validation_rejections_total',
+        help: 'Requests rejected by transport validation, by status code',
+        labelNames: ['status']
+    });
+    const errorsTotal = registry.counter({
+        name: 'app_errors_total',
+        help: 'Errors handled by the central error handler, by error code',
+        labelNames: ['code']
+    });
+    const slowClientTimeouts = registry.counter({
+        name: 'http_slow_client_timeouts_total',
+        help: 'Requests cut off for sending headers or body too slowly, by deadline',
+        labelNames: ['operation']
+    });
+    const connectionsRejected = registry.counter({
+        name: 'http_connections_rejected_total',
+        help: 'Connections refused on accept, by reason (max_connections, per_ip_limit)',
+        labelNames: ['reason']
+    });
+
+    registry.gauge({
+        name: 'http_active_connections',
+        help: 'Connections currently tracked by the shutdown coordinator',
+        collect: gauge => gauge.set({}, coordinator ? coordinator.activeConnections.size : 0)
+    });
+    registry.gauge({
+        name: 'shutdown_state',
+        help: 'Shutdown coordinator state (1 for the current state)',
+        labelNames: ['state'],
+        collect: gauge => Object.values(SHUTDOWN_STATES).forEach(state => {
+            gauge.set({ state }, coordinator && coordinator.state === state ? 1 : 0);
+        })
+    });
+
+    registry.gauge({
+        name: 'process_memory_bytes',
+        help: 'Process memory usage in bytes, by type',
+        labelNames: ['type'],
+        collect: gauge => {
+            const usage = process.memoryUsage();
+            ['rss', 'heapTotal', 'heapUsed', 'external', 'arrayBuffers'].forEach(type => {
+                gauge.set({ type }, usage[type]);
+            });
+        }
+    });
+    registry.counter({
+        name: 'process_cpu_seconds_total',
+        help: 'CPU time consumed by the process in seconds, by mode',
+        labelNames: ['mode'],
+        // process.cpuUsage() is cumulative, so the counter is rebuilt from it on each scrape
+        collect: counter => {
+            const usage = process.cpuUsage();
+            counter.reset();
+            counter.inc({ mode: 'user' }, usage.user / 1e6);
+            counter.inc({ mode: 'system' }, usage.system / 1e6);
+        }
+    });
+    registry.gauge({
+        name: 'process_uptime_seconds',
+        help: 'Process uptime in seconds',
+        collect: gauge => gauge.set({}, process.uptime())
+    });
+
+    // Event loop delay since the previous scrape
+    const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+    loopDelay.enable();
+    registry.gauge({
+        name: 'nodejs_eventloop_delay_seconds',
+        help: 'Event loop delay since the previous scrape in seconds, by statistic',
+        labelNames: ['stat'],
+        collect: gauge => {
+            const toSeconds = value => (Number.isFinite(value) ? value / 1e9 : 0);
+            gauge.set({ stat: 'mean' }, toSeconds(loopDelay.mean));
+            gauge.set({ stat: 'p50' }, toSeconds(loopDelay.percentile(50)));
+            gauge.set({ stat: 'p99' }, toSeconds(loopDelay.percentile(99)));
+            gauge.set({ stat: 'max' }, toSeconds(loopDelay.max));
+            loopDelay.reset();
+        }
+    });
+
+    const onError = error => {
+        errorsTotal.inc({ code: error.code || 'UNKNOWN_ERROR' });
+        if (error.name === 'ValidationError' && VALIDATION_REJECTION_STATUSES.includes(error.statusCode)) {
+            validationRejections.inc({ status: error.statusCode });
+        }
+        if (error.name === 'TimeoutError' && SLOW_CLIENT_OPERATIONS.includes(error.context.operation)) {
+            slowClientTimeouts.inc({ operation: error.context.operation });
+        }
+    };
+    errorEvents.on('handled', onError);
+
+    // Header deadlines and connection caps act on sockets, before any request reaches the error handler
+    const onSlowClient = ({ error }) => slowClientTimeouts.inc({ operation: error.context.operation });
+    const onConnectionRejected = ({ reason }) => connectionsRejected.inc({ reason });
+    if (coordinator) {
+        coordinator.on('slow-client', onSlowClient);
+        coordinator.on('connection-rejected', onConnectionRejected);
+    }
+
+    return {
+        /**
+         * Record count and latency when the response ends
+         * The route label is read from `req.route.pattern` at that point
+         *
+         * @param {http.IncomingMessage} req - HTTP request object
+         * @param {http.ServerResponse} res - HTTP response object
+         */
+        trackRequest(req, res) {
+            const end = requestDuration.startTimer();
+            let recorded = false;
+            const onDone = () => {
+                if (recorded) {
+                    return;
+                }
+                recorded = true;
+                res.removeListener('finish', onDone);
+                res.removeListener('close', onDone);
+
+                const labels = {
+                    route: req.route ? req.route.pattern : 'unmatched',
+                    method: req.method,
+                    status: res.statusCode
+                };
+                end(labels);
+                requestsTotal.inc(labels);
+            };
+            res.once('finish', onDone);
+            res.once('close', onDone);
+        },
+
+        /**
+         * Stop background collection
+         */
+        dispose() {
+            loopDelay.disable();
+            errorEvents.removeListener('handled', onError);
+            if (coordinator) {
+                coordinator.removeListener('slow-client', onSlowClient);
+                coordinator.removeListener('connection-rejected', onConnectionRejected);
+            }
+        }
+    };
+}
+
+/**
+ * Create an empty metrics registry
+ *
+ * @returns {Registry} New registry
+ */
+function createRegistry() {
+    return new Registry();
+}
+
+module.exports = {
+    Registry,
+    Counter,
+    Gauge,
+    Histogram,
+    createRegistry,
+    registerDefaultMetrics,
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS
+};
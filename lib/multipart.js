@@ -0,0 +1,582 @@
+/**
+ * Streaming multipart/form-data Parser
+ *
+ * Parses multipart request bodies incrementally without buffering whole parts in
+ * memory. Each field and file part is exposed as a readable stream; the
+ * `parseMultipart` helper collects fields and writes files to a per-process upload
+ * directory that is wiped during shutdown resource cleanup.
+ *
+ * Features:
+ * - Limits on part count, field size, file size, total size and part header size
+ * - File name validation (character allowlist and directory traversal detection)
+ * - Backpressure: the request is paused while a part stream is not being read
+ * - Temporary files removed when a request fails part-way through
+ *
+ * @module multipart
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable, pipeline } = require('stream');
+const { ValidationError } = require('./errors');
+const { detectPathTraversal } = require('./validation');
+const { parseContentType } = require('./body');
+
+/**
+ * Default multipart limits
+ * @type {Object}
+ */
+const DEFAULT_LIMITS = {
+    maxParts: 100,                    // Fields and files combined
+    maxFieldSize: 64 * 1024,          // 64KB per text field
+    maxFileSize: 10 * 1024 * 1024,    // 10MB per file
+    maxTotalSize: 20 * 1024 * 1024,   // 20MB for the whole body
+    maxHeaderSize: 8 * 1024,          // 8KB of headers per part
+    maxFilenameLength: 255,
+    filenamePattern: /^[\p{L}\p{N} _.,()+-]+$/u
+};
+
+/**
+ * Parser states
+ */
+const STATES = {
+    PREAMBLE: 'preamble',
+    BOUNDARY: 'boundary',
+    HEADERS: 'headers',
+    BODY: 'body',
+    END: 'end'
+};
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Create a 413 error for an exceeded multipart limit
+ *
+ * @private
+ * @param {string} limit - Name of the exceeded limit
+ * @param {number} maxSize - Configured limit
+ * @param {string} [fieldName] - Part that exceeded the limit
+ * @returns {ValidationError} Limit error
+ */
+function createLimitError(limit, maxSize, fieldName = null) {
+    return new ValidationError(
+        `Multipart ${limit} limit of ${maxSize} exceeded${fieldName ? ` by part '${fieldName}'` : ''}`,
+        fieldName ? `multipart.${fieldName}` : 'multipart',
+        null,
+        { limit, maxSize, statusCode: 413, httpErrorType: 'payload_too_large' }
+    );
+}
+
+/**
+ * Create a 400 error for a malformed multipart body
+ *
+ * @private
+ * @param {string} reason - Description of the problem
+ * @param {*} [value] - Offending value
+ * @returns {ValidationError} Malformed body error
+ */
+function createMalformedError(reason, value = null) {
+    return new ValidationError(`Malformed multipart body: ${reason}`, 'multipart', value, {
+        httpErrorType: 'invalid_multipart'
+    });
+}
+
+/**
+ * Validate a client-supplied file name
+ *
+ * Uses the same traversal detection as `validateUrlPath`, and additionally rejects
+ * path separators, control characters and anything outside the allowed pattern.
+ *
+ * @param {string} filename - File name from Content-Disposition
+ * @param {Object} [limits] - Multipart limits
+ * @returns {string} The validated file name
+ * @throws {ValidationError} When the file name is unsafe
+ */
+function validateFilename(filename, limits = DEFAULT_LIMITS) {
+    const reject = (reason) => {
+        throw new ValidationError(`Invalid upload file name: ${reason}`, 'filename', filename, {
+            httpErrorType: 'invalid_filename'
+        });
+    };
+
+    if (filename.length === 0) {
+        reject('file name is empty');
+    }
+    if (filename.length > limits.maxFilenameLength) {
+        reject(`file name exceeds ${limits.maxFilenameLength} characters`);
+    }
+    if (detectPathTraversal(filename) || /[\/\\\0]/.test(filename)) {
+        reject('file name contains path traversal or separator characters');
+    }
+    if (!limits.filenamePattern.test(filename)) {
+        reject('file name contains disallowed characters');
+    }
+
+    return filename;
+}
+
+/**
+ * Parse the headers block of a single part
+ *
+ * @private
+ * @param {string} block - Raw header lines
+ * @returns {Object<string, string>} Lower-cased header map
+ */
+function parsePartHeaders(block) {
+    const headers = {};
+
+    block.split('\r\n').forEach(line => {
+        const index = line.indexOf(':');
+        if (index <= 0) {
+            throw createMalformedError('invalid part header line', line.substring(0, 100));
+        }
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    });
+
+    return headers;
+}
+
+/**
+ * Extract name and file name from a Content-Disposition header
+ *
+ * @private
+ * @param {string} header - Content-Disposition value
+ * @returns {{name: string, filename: string|null}} Disposition parameters
+ */
+function parseDisposition(header) {
+    const { type, params } = parseContentType(header);
+
+    if (type !== 'form-data' || params.name === undefined) {
+        throw createMalformedError('part is missing a form-data Content-Disposition with a name');
+    }
+
+    let filename = params.filename !== undefined ? params.filename : null;
+
+    // RFC 5987 extended notation: filename*=UTF-8''encoded%20name
+    const extended = params['filename*'];
+    if (extended) {
+        const match = /^utf-8''(.*)$/i.exec(extended);
+        if (match) {
+            try {
+                filename = decodeURIComponent(match[1]);
+            } catch (error) {
+                throw createMalformedError('invalid filename* encoding', extended);
+            }
+        }
+    }
+
+    return { name: params.name, filename };
+}
+
+/**
+ * Multipart Parser Class
+ *
+ * A writable stream: pipe the request into it and listen for `part` events.
+ * Each part is a Readable carrying `name`, `filename`, `mimeType`, `headers` and
+ * `isFile`. The parser finishes after the closing boundary.
+ */
+class MultipartParser extends Writable {
+    /**
+     * @param {string} boundary - Boundary from the Content-Type header
+     * @param {Object} [limits] - Overrides for DEFAULT_LIMITS
+     */
+    constructor(boundary, limits = {}) {
+        super();
+
+        if (!boundary || boundary.length > 70) {
+            throw createMalformedError('missing or invalid boundary');
+        }
+
+        this.limits = { ...DEFAULT_LIMITS, ...limits };
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        this.buffer = Buffer.alloc(0);
+        this.state = STATES.PREAMBLE;
+        this.totalSize = 0;
+        this.partCount = 0;
+        this.currentPart = null;
+        this.pendingCallback = null;
+    }
+
+    /**
+     * Accept a chunk of the request body
+     *
+     * @private
+     */
+    _write(chunk, encoding, callback) {
+        this.totalSize += chunk.length;
+        if (this.totalSize > this.limits.maxTotalSize) {
+            callback(createLimitError('total size', this.limits.maxTotalSize));
+            return;
+        }
+
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+        try {
+            this.processBuffer();
+        } catch (error) {
+            callback(error);
+            return;
+        }
+
+        // Hold the callback while the current part's reader is behind
+        if (this.currentPart && this.currentPart.readableLength >= this.currentPart.readableHighWaterMark) {
+            this.pendingCallback = callback;
+        } else {
+            callback();
+        }
+    }
+
+    /**
+     * Verify the closing boundary was seen
+     *
+     * @private
+     */
+    _final(callback) {
+        if (this.state !== STATES.END) {
+            callback(createMalformedError('unexpected end of body before closing boundary'));
+            return;
+        }
+        callback();
+    }
+
+    /**
+     * Propagate failures to the part currently being streamed
+     *
+     * @private
+     */
+    _destroy(error, callback) {
+        if (this.currentPart && !this.currentPart.destroyed) {
+            this.currentPart.destroy(error || createMalformedError('parser closed mid-part'));
+        }
+        callback(error);
+    }
+
+    /**
+     * Advance the state machine over the buffered bytes
+     *
+     * @private
+     */
+    processBuffer() {
+        for (;;) {
+            switch (this.state) {
+                case STATES.PREAMBLE: {
+                    // The first delimiter may appear without the leading CRLF
+                    const opening = this.delimiter.subarray(2);
+                    const index = this.buffer.indexOf(opening);
+                    if (index === -1) {
+                        this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - opening.length));
+                        return;
+                    }
+                    this.buffer = this.buffer.subarray(index + opening.length);
+                    this.state = STATES.BOUNDARY;
+                    break;
+                }
+
+                case STATES.BOUNDARY: {
+                    if (this.buffer.length < 2) {
+                        return;
+                    }
+                    if (this.buffer[0] === 0x2D && this.buffer[1] === 0x2D) {
+                        this.state = STATES.END;
+                        this.buffer = Buffer.alloc(0);
+                        return;
+                    }
+                    // Tolerate transport padding between the boundary and CRLF
+                    const lineEnd = this.buffer.indexOf(CRLF);
+                    if (lineEnd === -1) {
+                        if (this.buffer.length > 256) {
+                            throw createMalformedError('boundary line is not terminated');
+                        }
+                        return;
+                    }
+                    if (this.buffer.subarray(0, lineEnd).toString('latin1').trim() !== '') {
+                        throw createMalformedError('unexpected data after boundary');
+                    }
+                    this.buffer = this.buffer.subarray(lineEnd + 2);
+                    this.state = STATES.HEADERS;
+                    break;
+                }
+
+                case STATES.HEADERS: {
+                    const index = this.buffer.indexOf(HEADER_END);
+                    if (index === -1 || index > this.limits.maxHeaderSize) {
+                        if (this.buffer.length > this.limits.maxHeaderSize) {
+                            throw createLimitError('part header size', this.limits.maxHeaderSize);
+                        }
+                        return;
+                    }
+                    const headers = parsePartHeaders(this.buffer.subarray(0, index).toString('utf8'));
+                    this.buffer = this.buffer.subarray(index + HEADER_END.length);
+                    this.startPart(headers);
+                    this.state = STATES.BODY;
+                    break;
+                }
+
+                case STATES.BODY: {
+                    const index = this.buffer.indexOf(this.delimiter);
+                    if (index === -1) {
+                        // Keep enough bytes to recognise a delimiter split across chunks
+                        const safeLength = this.buffer.length - (this.delimiter.length - 1);
+                        if (safeLength > 0) {
+                            this.pushPartData(this.buffer.subarray(0, safeLength));
+                            this.buffer = this.buffer.subarray(safeLength);
+                        }
+                        return;
+                    }
+                    this.pushPartData(this.buffer.subarray(0, index));
+                    this.buffer = this.buffer.subarray(index + this.delimiter.length);
+                    this.endPart();
+                    this.state = STATES.BOUNDARY;
+                    break;
+                }
+
+                case STATES.END:
+                default:
+                    // Epilogue is ignored
+                    this.buffer = Buffer.alloc(0);
+                    return;
+            }
+        }
+    }
+
+    /**
+     * Create the stream for a new part and announce it
+     *
+     * @private
+     * @param {Object<string, string>} headers - Part headers
+     */
+    startPart(headers) {
+        this.partCount++;
+        if (this.partCount > this.limits.maxParts) {
+            throw createLimitError('part count', this.limits.maxParts);
+        }
+
+        const { name, filename } = parseDisposition(headers['content-disposition'] || '');
+        if (filename !== null) {
+            validateFilename(filename, this.limits);
+        }
+
+        const part = new Readable({
+            read: () => {
+                if (this.pendingCallback) {
+                    const callback = this.pendingCallback;
+                    this.pendingCallback = null;
+                    callback();
+                }
+            }
+        });
+
+        part.name = name;
+        part.filename = filename;
+        part.isFile = filename !== null;
+        part.mimeType = headers['content-type'] ? headers['content-type'].split(';')[0].trim().toLowerCase() :
+            (part.isFile ? 'application/octet-stream' : 'text/plain');
+        part.headers = headers;
+        part.size = 0;
+        part.maxSize = part.isFile ? this.limits.maxFileSize : this.limits.maxFieldSize;
+
+        this.currentPart = part;
+        this.emit('part', part);
+    }
+
+    /**
+     * Forward part bytes, enforcing the per-part limit
+     *
+     * @private
+     * @param {Buffer} data - Part body bytes
+     */
+    pushPartData(data) {
+        if (data.length === 0) {
+            return;
+        }
+
+        const part = this.currentPart;
+        part.size += data.length;
+        if (part.size > part.maxSize) {
+            throw createLimitError(part.isFile ? 'file size' : 'field size', part.maxSize, part.name);
+        }
+
+        part.push(Buffer.from(data));
+    }
+
+    /**
+     * Finish the current part
+     *
+     * @private
+     */
+    endPart() {
+        this.currentPart.push(null);
+        this.currentPart = null;
+    }
+}
+
+/**
+ * Per-process upload directory, created on first use
+ *
+ * Files are stored under random names inside a private subdirectory of the
+ * configured base directory, so wiping it cannot touch unrelated files.
+ */
+class UploadDirectory {
+    /**
+     * @param {string} [baseDir=os.tmpdir()] - Directory under which uploads are stored
+     */
+    constructor(baseDir = os.tmpdir()) {
+        this.baseDir = baseDir;
+        this.directory = null;
+        this.creating = null;
+    }
+
+    /**
+     * Get the upload directory path, creating it if necessary
+     *
+     * @returns {Promise<string>} Absolute directory path
+     */
+    async getPath() {
+        if (this.directory) {
+            return this.directory;
+        }
+        if (!this.creating) {
+            this.creating = fs.promises.mkdir(this.baseDir, { recursive: true })
+                .then(() => fs.promises.mkdtemp(path.join(this.baseDir, `uploads-${process.pid}-`)))
+                .then((directory) => {
+                    this.directory = directory;
+                    return directory;
+                })
+                .finally(() => {
+                    this.creating = null;
+                });
+        }
+        return this.creating;
+    }
+
+    /**
+     * Remove the upload directory and every file in it
+     *
+     * @returns {Promise<void>}
+     */
+    async wipe() {
+        if (!this.directory) {
+            return;
+        }
+        const directory = this.directory;
+        this.directory = null;
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Parse a multipart/form-data request, collecting fields and storing files
+ *
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} options - Parse options
+ * @param {UploadDirectory} options.uploadDirectory - Where uploaded files are written
+ * @param {Object} [options.limits] - Overrides for DEFAULT_LIMITS
+ * @returns {Promise<{fields: Object, files: Array<Object>}>} Parsed form data
+ * @throws {ValidationError} When the body is malformed or a limit is exceeded
+ */
+function parseMultipart(req, options) {
+    const { type, params } = parseContentType(req.headers['content-type']);
+    if (type !== 'multipart/form-data') {
+        return Promise.reject(createMalformedError('Content-Type is not multipart/form-data', type));
+    }
+
+    let parser;
+    try {
+        parser = new MultipartParser(params.boundary, options.limits);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const fields = Object.create(null);
+    const files = [];
+    const pending = [];
+
+    return new Promise((resolve, reject) => {
+        let failed = false;
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            req.unpipe(parser);
+            parser.destroy(error);
+            // Wait for in-flight parts to settle so that files still being written
+            // are removed too, not only those already complete
+            Promise.all(pending)
+                .then(() => Promise.allSettled(files.map(file => fs.promises.rm(file.path, { force: true }))))
+                .then(() => reject(error));
+        };
+
+        parser.on('part', (part) => {
+            if (!part.isFile) {
+                const chunks = [];
+                part.on('data', chunk => chunks.push(chunk));
+                pending.push(new Promise((resolvePart, rejectPart) => {
+                    part.on('error', rejectPart);
+                    part.on('end', () => {
+                        const value = Buffer.concat(chunks).toString('utf8');
+                        fields[part.name] = part.name in fields ? [].concat(fields[part.name], value) : value;
+                        resolvePart();
+                    });
+                }).catch(fail));
+                return;
+            }
+
+            pending.push(new Promise((resolvePart, rejectPart) => {
+                // Listen before the directory exists: the parser may fail the part first
+                part.once('error', rejectPart);
+
+                options.uploadDirectory.getPath().then((directory) => {
+                    // The request failed while the directory was being created
+                    if (failed) {
+                        part.resume();
+                        resolvePart();
+                        return;
+                    }
+
+                    const file = {
+                        fieldName: part.name,
+                        filename: part.filename,
+                        mimeType: part.mimeType,
+                        path: path.join(directory, crypto.randomUUID()),
+                        size: 0
+                    };
+                    files.push(file);
+
+                    pipeline(part, fs.createWriteStream(file.path, { flags: 'wx' }), (error) => {
+                        if (error) {
+                            rejectPart(error);
+                            return;
+                        }
+                        file.size = part.size;
+                        resolvePart();
+                    });
+                }, rejectPart);
+            }).catch(fail));
+        });
+
+        parser.on('error', fail);
+        req.on('error', fail);
+
+        parser.on('finish', () => {
+            Promise.all(pending).then(() => {
+                if (!failed) {
+                    resolve({ fields, files });
+                }
+            });
+        });
+
+        req.pipe(parser);
+    });
+}
+
+module.exports = {
+    MultipartParser,
+    UploadDirectory,
+    parseMultipart,
+    validateFilename,
+    DEFAULT_LIMITS
+};
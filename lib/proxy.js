@@ -0,0 +1,193 @@
+/**
+ * Trusted Proxy Handling
+ *
+ * Derives the client identity (IP address, protocol and host) for a request. Behind
+ * a load balancer the TCP peer is the balancer, so forwarding headers are honoured,
+ * but only when the peer is in the trusted-proxy list.
+ *
+ * Features:
+ * - RFC 7239 Forwarded header (for, proto, host), preferred over X-Forwarded-*
+ * - X-Forwarded-For / X-Forwarded-Proto / X-Forwarded-Host fallback
+ * - The forwarding chain is walked right to left, skipping trusted proxies, so a
+ *   client cannot spoof its address by prepending entries
+ * - Requests from untrusted peers ignore every forwarding header
+ * - Protocol limited to http/https; host values are syntax-checked
+ *
+ * @module proxy
+ * @requires ./cidr
+ */
+
+'use strict';
+
+const { createCidrList, normalizeAddress } = require('./cidr');
+
+/**
+ * Default proxy settings
+ */
+const DEFAULT_OPTIONS = {
+    trustedProxies: []    // CIDR ranges whose forwarding headers are believed
+};
+
+/**
+ * Protocols accepted from forwarding headers
+ */
+const FORWARDED_PROTOCOLS = ['http', 'https'];
+
+/**
+ * Host (with optional port) as it may appear in Host, :authority or a forwarding header
+ */
+const HOST_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*|\[[0-9a-f:.]+\])(?::\d{1,5})?$/i;
+
+/**
+ * Split a comma-separated header into trimmed values
+ *
+ * @param {string|Array<string>} value - Header value
+ * @returns {Array<string>} Values, empty when the header is absent
+ */
+function splitHeader(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const joined = Array.isArray(value) ? value.join(',') : String(value);
+    return joined.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Strip the port from a node identifier ("192.0.2.1:8080", "[2001:db8::1]:443")
+ *
+ * @param {string} node - Node identifier from a forwarding header
+ * @returns {string} The address part
+ */
+function stripPort(node) {
+    if (node.startsWith('[')) {
+        const end = node.indexOf(']');
+        return end === -1 ? node : node.slice(0, end + 1);
+    }
+    const colons = node.split(':').length - 1;
+    return colons === 1 ? node.slice(0, node.indexOf(':')) : node;
+}
+
+/**
+ * Parse a Forwarded header (RFC 7239) into its elements
+ *
+ * @param {string|Array<string>} header - Forwarded header value
+ * @returns {Array<Object>} One `{ for, proto, host }` object per hop, in header order
+ */
+function parseForwarded(header) {
+    return splitHeader(header).map(element => {
+        const params = {};
+        for (const pair of element.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) {
+                continue;
+            }
+            const name = pair.slice(0, separator).trim().toLowerCase();
+            let value = pair.slice(separator + 1).trim();
+            if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+                value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+            params[name] = value;
+        }
+        return params;
+    });
+}
+
+/**
+ * Collect the forwarding hops of a request, nearest client first
+ *
+ * @param {Object} headers - Request headers
+ * @returns {Array<Object>} `{ for, proto, host }` per hop; proto and host may be undefined
+ */
+function readForwardingHops(headers) {
+    if (headers.forwarded) {
+        return parseForwarded(headers.forwarded);
+    }
+
+    const addresses = splitHeader(headers['x-forwarded-for']);
+    const protocols = splitHeader(headers['x-forwarded-proto']);
+    const hosts = splitHeader(headers['x-forwarded-host']);
+
+    // X-Forwarded-Proto/Host are usually set once by the edge proxy; when they carry
+    // one value per hop they line up with X-Forwarded-For
+    const pick = (values, index) => (values.length === addresses.length ? values[index] : values[0]);
+
+    return addresses.map((address, index) => ({
+        for: address,
+        proto: pick(protocols, index),
+        host: pick(hosts, index)
+    }));
+}
+
+/**
+ * Validate a host value
+ *
+ * @param {string} host - Candidate host
+ * @returns {string|null} Lowercased host, or null when it is malformed
+ */
+function sanitizeHost(host) {
+    if (typeof host !== 'string' || !HOST_PATTERN.test(host.trim())) {
+        return null;
+    }
+    return host.trim().toLowerCase();
+}
+
+/**
+ * Create a resolver bound to a trusted-proxy list
+ *
+ * @param {Object} [options] - Proxy options (see DEFAULT_OPTIONS)
+ * @returns {Function} resolve(req) returning `{ ip, protocol, host, proxied }`
+ * @throws {Error} If a trusted-proxy range is invalid
+ */
+function createClientResolver(options = {}) {
+    const { trustedProxies } = { ...DEFAULT_OPTIONS, ...options };
+    const trusted = createCidrList(trustedProxies);
+
+    return function resolveClient(req) {
+        const socket = req.socket || {};
+        const peer = normalizeAddress(socket.remoteAddress) || socket.remoteAddress || 'unknown';
+        const identity = {
+            ip: peer,
+            protocol: socket.encrypted ? 'https' : 'http',
+            host: sanitizeHost(req.headers[':authority'] || req.headers.host),
+            proxied: false
+        };
+
+        if (!trusted.contains(peer)) {
+            return identity;
+        }
+
+        // Walk from the hop nearest to us towards the client; the first address not
+        // in the trusted list is the client, everything left of it is unverified
+        const hops = readForwardingHops(req.headers);
+        let client = null;
+        for (let index = hops.length - 1; index >= 0; index--) {
+            const address = normalizeAddress(stripPort(hops[index].for || ''));
+            if (!address) {
+                break;
+            }
+            client = { ...hops[index], address };
+            if (!trusted.contains(address)) {
+                break;
+            }
+        }
+
+        if (!client) {
+            return identity;
+        }
+
+        const protocol = typeof client.proto === 'string' ? client.proto.toLowerCase() : null;
+        return {
+            ip: client.address,
+            protocol: FORWARDED_PROTOCOLS.includes(protocol) ? protocol : identity.protocol,
+            host: sanitizeHost(client.host) || identity.host,
+            proxied: true
+        };
+    };
+}
+
+module.exports = {
+    createClientResolver,
+    parseForwarded,
+    sanitizeHost,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,325 @@
+/**
+ * Request Rate Limiting
+ *
+ * Limits how many requests a client may make, globally or per route, and rejects
+ * the excess with 429 Too Many Requests.
+ *
+ * Features:
+ * - Token-bucket strategy (steady refill with bursts up to the bucket size)
+ * - Sliding-window strategy (weighted count over the current and previous window)
+ * - Clients keyed by remote address, API key or a custom key function
+ * - RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset on every limited response
+ * - Pluggable asynchronous store; MemoryStore is used by default
+ *
+ * Store interface (all methods may return promises):
+ * - `update(key, updater, ttlMs)` atomically replaces the state of `key` with
+ *   `updater(previousState)` and resolves with the new state
+ * - `reset(key)` forgets a key
+ * - `close()` releases resources
+ *
+ * @module rateLimit
+ * @requires crypto
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { RateLimitError } = require('./errors');
+
+/**
+ * Default rate limit settings
+ */
+const DEFAULT_OPTIONS = {
+    strategy: 'token-bucket',   // 'token-bucket' or 'sliding-window'
+    limit: 100,                 // Requests allowed per window
+    windowMs: 60000,            // Window length (token bucket: time to refill `limit` tokens)
+    burst: null,                // Token bucket size (defaults to limit)
+    keyBy: 'ip',                // 'ip', 'api-key' or a function(req) returning a key
+    apiKeyHeader: 'x-api-key',  // Header carrying the API key for keyBy 'api-key'
+    name: 'global'              // Namespace separating limiters that share a store
+};
+
+/**
+ * In-memory store for rate limit state
+ *
+ * Entries expire after their TTL and the least recently used entries are evicted
+ * beyond maxKeys, so a flood of distinct clients cannot exhaust memory.
+ */
+class MemoryStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxKeys=100000] - Maximum tracked keys
+     * @param {number} [options.sweepIntervalMs=60000] - Expired entry sweep interval
+     */
+    constructor(options = {}) {
+        this.maxKeys = options.maxKeys || 100000;
+        this.entries = new Map();
+        this.sweeper = setInterval(() => this.sweep(), options.sweepIntervalMs || 60000);
+        this.sweeper.unref();
+    }
+
+    update(key, updater, ttlMs) {
+        const now = Date.now();
+        const entry = this.entries.get(key);
+        const previous = entry && entry.expiresAt > now ? entry.state : undefined;
+        const state = updater(previous);
+
+        // Re-insert so Map order tracks recency for eviction
+        this.entries.delete(key);
+        this.entries.set(key, { state, expiresAt: now + ttlMs });
+
+        if (this.entries.size > this.maxKeys) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return state;
+    }
+
+    reset(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Drop expired entries
+     *
+     * @private
+     */
+    sweep() {
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        });
+    }
+
+    close() {
+        clearInterval(this.sweeper);
+        this.entries.clear();
+    }
+}
+
+/**
+ * Token bucket: `limit` tokens refill evenly over `windowMs`, up to `burst` stored
+ *
+ * @private
+ * @param {Object} settings - Limiter settings
+ * @returns {Object} Strategy with `ttlMs` and `take(state, now)`
+ */
+function tokenBucket(settings) {
+    const capacity = settings.burst || settings.limit;
+    const refillPerMs = settings.limit / settings.windowMs;
+
+    return {
+        capacity,
+        ttlMs: Math.ceil(capacity / refillPerMs),
+
+        take(state, now) {
+            let tokens = capacity;
+            if (state) {
+                tokens = Math.min(capacity, state.tokens + (now - state.updatedAt) * refillPerMs);
+            }
+
+            const allowed = tokens >= 1;
+            if (allowed) {
+                tokens -= 1;
+            }
+
+            return {
+                state: { tokens, updatedAt: now },
+                allowed,
+                remaining: Math.floor(tokens),
+                retryAfterMs: allowed ? 0 : (1 - tokens) / refillPerMs,
+                resetMs: (capacity - tokens) / refillPerMs
+            };
+        }
+    };
+}
+
+/**
+ * Sliding window: the previous window's count is weighted by how much of it still
+ * overlaps the sliding window ending now
+ *
+ * @private
+ * @param {Object} settings - Limiter settings
+ * @returns {Object} Strategy with `ttlMs` and `take(state, now)`
+ */
+function slidingWindow(settings) {
+    const { limit, windowMs } = settings;
+
+    return {
+        capacity: limit,
+        ttlMs: windowMs * 2,
+
+        take(state, now) {
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+            let current = 0;
+            let previous = 0;
+
+            if (state) {
+                if (state.windowStart === windowStart) {
+                    ({ current, previous } = state);
+                } else if (state.windowStart === windowStart - windowMs) {
+                    previous = state.current;
+                }
+            }
+
+            const elapsed = (now - windowStart) / windowMs;
+            const weighted = previous * (1 - elapsed) + current;
+            const allowed = weighted + 1 <= limit;
+            if (allowed) {
+                current += 1;
+            }
+
+            // Time until one more request fits: wait for the previous window's weight to
+            // decay, or, when the current window alone is full, until the next window
+            let retryAfterMs = 0;
+            if (!allowed) {
+                if (current + 1 <= limit) {
+                    retryAfterMs = ((1 - (limit - current - 1) / previous) - elapsed) * windowMs;
+                } else {
+                    retryAfterMs = (1 - elapsed) * windowMs + Math.max(0, 1 - (limit - 1) / current) * windowMs;
+                }
+            }
+
+            return {
+                state: { windowStart, current, previous },
+                allowed,
+                remaining: Math.max(0, Math.floor(limit - previous * (1 - elapsed) - current)),
+                retryAfterMs,
+                resetMs: (windowStart + windowMs - now) + (current > 0 ? windowMs : 0)
+            };
+        }
+    };
+}
+
+const STRATEGIES = {
+    'token-bucket': tokenBucket,
+    'sliding-window': slidingWindow
+};
+
+/**
+ * Rate Limiter Class
+ */
+class RateLimiter {
+    /**
+     * @param {Object} [options] - Limiter options (see DEFAULT_OPTIONS)
+     * @param {Object} [options.store] - Store implementation (defaults to a new MemoryStore)
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        const createStrategy = STRATEGIES[this.options.strategy];
+        if (!createStrategy) {
+            throw new Error(`Unknown rate limit strategy '${this.options.strategy}'`);
+        }
+        if (!(this.options.limit >= 1) || !(this.options.windowMs >= 1)) {
+            throw new Error('Rate limit requires limit >= 1 and windowMs >= 1');
+        }
+
+        this.strategy = createStrategy(this.options);
+        this.store = options.store || new MemoryStore();
+        this.ownsStore = !options.store;
+    }
+
+    /**
+     * Derive the client key for a request
+     *
+     * API keys are hashed so the store never holds credentials. Requests without an
+     * API key fall back to their remote address.
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @returns {string} Client key
+     */
+    keyFor(req) {
+        const { keyBy, apiKeyHeader } = this.options;
+
+        if (typeof keyBy === 'function') {
+            const key = keyBy(req);
+            if (key !== undefined && key !== null && key !== '') {
+                return `custom:${key}`;
+            }
+        } else if (keyBy === 'api-key') {
+            const apiKey = req.headers[apiKeyHeader.toLowerCase()];
+            if (typeof apiKey === 'string' && apiKey !== '') {
+                return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
+            }
+        }
+
+        if (req.clientIdentity) {
+            return `ip:${req.clientIdentity.ip}`;
+        }
+        return `ip:${req.socket ? req.socket.remoteAddress : 'unknown'}`;
+    }
+
+    /**
+     * Count a request against its client's quota
+     *
+     * Sets RateLimit-* headers on the response when one is given.
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {http.ServerResponse} [res] - HTTP response object
+     * @returns {Promise<Object>} Quota `{ limit, remaining, resetSeconds, retryAfter }`
+     * @throws {RateLimitError} When the quota is exhausted
+     */
+    async consume(req, res) {
+        const key = `${this.options.name}:${this.keyFor(req)}`;
+        const now = Date.now();
+        let result;
+
+        await this.store.update(key, previous => {
+            result = this.strategy.take(previous, now);
+            return result.state;
+        }, this.strategy.ttlMs);
+
+        const quota = {
+            limit: this.strategy.capacity,
+            remaining: result.remaining,
+            resetSeconds: Math.ceil(result.resetMs / 1000),
+            retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000))
+        };
+
+        if (res && !res.headersSent) {
+            res.setHeader('RateLimit-Limit', String(quota.limit));
+            res.setHeader('RateLimit-Remaining', String(quota.remaining));
+            res.setHeader('RateLimit-Reset', String(quota.resetSeconds));
+        }
+
+        if (!result.allowed) {
+            throw new RateLimitError('Too many requests, retry later', quota, {
+                limiter: this.options.name,
+                strategy: this.options.strategy
+            });
+        }
+
+        return quota;
+    }
+
+    /**
+     * Release the store if this limiter created it
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.ownsStore) {
+            await this.store.close();
+        }
+    }
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} [options] - Limiter options
+ * @returns {RateLimiter} Configured limiter
+ */
+function createRateLimiter(options = {}) {
+    return new RateLimiter(options);
+}
+
+module.exports = {
+    RateLimiter,
+    MemoryStore,
+    createRateLimiter,
+    DEFAULT_OPTIONS
+};
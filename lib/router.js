@@ -0,0 +1,306 @@
+/**
+ * Declarative Request Router
+ *
+ * Maps HTTP methods and URL paths to request handlers with optional per-route
+ * validation overrides.
+ *
+ * Features:
+ * - Static paths (`/health`), parameterised segments (`/users/:id`) and wildcards
+ * - `*` matches any single segment; a trailing `*` matches the rest of the path
+ * - Per-route allowed methods with automatic 405 and a correct `Allow` header
+ * - Per-route overrides of the `validateRequest` configuration
+ * - Most specific route wins: static beats parameter beats wildcard
+ *
+ * @module router
+ */
+
+'use strict';
+
+const { ValidationError, createMethodValidationError, createNotFoundError } = require('./errors');
+const { compileRouteSchemas } = require('./schema');
+
+/**
+ * Specificity weights used to order routes sharing a prefix
+ */
+const SEGMENT_WEIGHTS = {
+    static: 3,
+    param: 2,
+    wildcard: 1,
+    rest: 0
+};
+
+/**
+ * Split a URL pathname into its non-empty segments
+ *
+ * @private
+ * @param {string} pathname - URL pathname
+ * @returns {Array<string>} Path segments
+ */
+function splitPath(pathname) {
+    return pathname.split('/').filter(segment => segment !== '');
+}
+
+/**
+ * Compile a route pattern into matchable segment descriptors
+ *
+ * @private
+ * @param {string} pattern - Route pattern such as `/users/:id` or `/static/*`
+ * @returns {Array<Object>} Compiled segments
+ * @throws {Error} When the pattern is malformed
+ */
+function compilePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+        throw new Error(`Route pattern must be a string starting with '/': ${pattern}`);
+    }
+
+    const segments = splitPath(pattern);
+
+    return segments.map((segment, index) => {
+        if (segment === '*') {
+            return { type: index === segments.length - 1 ? 'rest' : 'wildcard' };
+        }
+
+        if (segment.startsWith(':')) {
+            const name = segment.slice(1);
+            if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+                throw new Error(`Invalid route parameter name '${segment}' in ${pattern}`);
+            }
+            return { type: 'param', name };
+        }
+
+        return { type: 'static', value: segment };
+    });
+}
+
+/**
+ * Decode a single path segment captured as a parameter
+ *
+ * @private
+ * @param {string} segment - Raw path segment
+ * @returns {string} Decoded segment
+ * @throws {ValidationError} When the segment contains malformed percent-encoding
+ */
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new ValidationError('URL path contains malformed percent-encoding', 'path', segment);
+    }
+}
+
+/**
+ * Request Router Class
+ *
+ * Routes are matched in order of specificity, so registration order only matters
+ * between routes with identical patterns.
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Register a route
+     *
+     * @param {string|Array<string>} methods - Allowed method(s), or '*' for any method
+     * @param {string} pattern - Path pattern
+     * @param {Function} handler - Handler invoked as handler(req, res, match)
+     * @param {Object} [options] - Route options
+     * @param {Object} [options.validation] - Overrides merged into the validateRequest config
+     * @param {Object} [options.schema] - `{ params, query, body }` JSON Schemas (see schema.js)
+     * @param {boolean} [options.availableDuringShutdown] - Keep serving the route while draining (probes, metrics)
+     * @param {Object|boolean} [options.rateLimit] - Route rate limit policy, or false to exempt the route
+     * @param {Object|boolean} [options.cors] - Route CORS policy, or false to disable CORS on the route
+     * @param {Object|boolean|string} [options.ipAccess] - Route IP allow/deny lists, 'admin' for the admin lists, or false to exempt the route
+     * @returns {Router} The router, for chaining
+     * @throws {ValidationError} When a schema pattern is not a valid regular expression
+     */
+    route(methods, pattern, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Route handler for ${pattern} must be a function`);
+        }
+
+        let methodSet = null;
+        if (methods !== '*') {
+            methodSet = new Set([].concat(methods).map(method => method.toUpperCase()));
+            // HEAD is served by GET handlers; Node omits the body automatically
+            if (methodSet.has('GET')) {
+                methodSet.add('HEAD');
+            }
+        }
+
+        const segments = compilePattern(pattern);
+
+        // Fail at registration, not on the first request, when a schema pattern is invalid
+        if (options.schema) {
+            compileRouteSchemas(options.schema);
+        }
+
+        this.routes.push({
+            pattern,
+            segments,
+            methods: methodSet,
+            handler,
+            options,
+            weights: segments.map(segment => SEGMENT_WEIGHTS[segment.type])
+        });
+
+        this.routes.sort((a, b) => compareWeights(a.weights, b.weights));
+
+        return this;
+    }
+
+    /**
+     * Register a route answering every method
+     *
+     * @param {string} pattern - Path pattern
+     * @param {Function} handler - Route handler
+     * @param {Object} [options] - Route options
+     * @returns {Router} The router, for chaining
+     */
+    all(pattern, handler, options) {
+        return this.route('*', pattern, handler, options);
+    }
+
+    /**
+     * Resolve a request to a route without throwing
+     *
+     * Callers decide when to surface the resolution error, so that transport-level
+     * validation can still run for unmatched requests.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} pathname - URL pathname (without query string)
+     * @returns {Object} `{ route, params, allowedMethods }` or `{ route: null, error }`
+     */
+    resolve(method, pathname) {
+        const requestSegments = splitPath(pathname);
+        const upperMethod = String(method).toUpperCase();
+        const allowedMethods = new Set();
+
+        for (const route of this.routes) {
+            let params;
+            try {
+                params = matchSegments(route.segments, requestSegments);
+            } catch (error) {
+                return { route: null, params: {}, error };
+            }
+            if (!params) {
+                continue;
+            }
+
+            if (!route.methods || route.methods.has(upperMethod)) {
+                return { route, params, allowedMethods: route.methods ? Array.from(route.methods) : null };
+            }
+
+            route.methods.forEach(allowed => allowedMethods.add(allowed));
+        }
+
+        if (allowedMethods.size > 0) {
+            return {
+                route: null,
+                params: {},
+                error: createMethodValidationError(method, Array.from(allowedMethods).sort())
+            };
+        }
+
+        return {
+            route: null,
+            params: {},
+            error: createNotFoundError(method, pathname)
+        };
+    }
+
+    /**
+     * Resolve a request to a route
+     *
+     * @param {string} method - HTTP method
+     * @param {string} pathname - URL pathname (without query string)
+     * @returns {Object} `{ route, params, allowedMethods }`
+     * @throws {NotFoundError} When no route matches the path
+     * @throws {ValidationError} With status 405 when the path matches but the method does not
+     */
+    match(method, pathname) {
+        const result = this.resolve(method, pathname);
+        if (result.error) {
+            throw result.error;
+        }
+        return result;
+    }
+}
+
+// Convenience registration helpers: router.get(pattern, handler, options), ...
+['get', 'post', 'put', 'patch', 'delete', 'options'].forEach(method => {
+    Router.prototype[method] = function registerMethodRoute(pattern, handler, options) {
+        return this.route(method.toUpperCase(), pattern, handler, options);
+    };
+});
+
+/**
+ * Order two routes by segment specificity (most specific first)
+ *
+ * @private
+ * @param {Array<number>} a - Segment weights of the first route
+ * @param {Array<number>} b - Segment weights of the second route
+ * @returns {number} Sort comparison result
+ */
+function compareWeights(a, b) {
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        // A missing segment ranks just above a trailing wildcard, which may match nothing
+        const weightA = i < a.length ? a[i] : 0.5;
+        const weightB = i < b.length ? b[i] : 0.5;
+        if (weightA !== weightB) {
+            return weightB - weightA;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Match compiled route segments against request path segments
+ *
+ * @private
+ * @param {Array<Object>} routeSegments - Compiled route segments
+ * @param {Array<string>} requestSegments - Request path segments
+ * @returns {Object|null} Captured parameters, or null when the path does not match
+ */
+function matchSegments(routeSegments, requestSegments) {
+    const params = {};
+
+    for (let i = 0; i < routeSegments.length; i++) {
+        const segment = routeSegments[i];
+
+        if (segment.type === 'rest') {
+            params['*'] = requestSegments.slice(i).map(decodeSegment).join('/');
+            return params;
+        }
+
+        if (i >= requestSegments.length) {
+            return null;
+        }
+
+        if (segment.type === 'static' && segment.value !== requestSegments[i]) {
+            return null;
+        }
+
+        if (segment.type === 'param') {
+            params[segment.name] = decodeSegment(requestSegments[i]);
+        }
+    }
+
+    return routeSegments.length === requestSegments.length ? params : null;
+}
+
+/**
+ * Create a new router instance
+ *
+ * @returns {Router} Empty router
+ */
+function createRouter() {
+    return new Router();
+}
+
+module.exports = {
+    Router,
+    createRouter
+};
@@ -0,0 +1,368 @@
+/**
+ * JSON Schema Payload Validation
+ *
+ * Validates request bodies, query strings and path parameters against JSON Schema
+ * (draft 2020-12 subset) documents attached to routes.
+ *
+ * Supported keywords:
+ * - type (including "integer" and type arrays), enum, const
+ * - required, properties, additionalProperties (boolean or schema)
+ * - items, minItems, maxItems
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ * - minLength, maxLength, pattern
+ * - oneOf
+ *
+ * Every violation is collected and reported at once, each located by a JSON Pointer
+ * such as `/body/items/0/name`. Patterns are compiled when a route is registered
+ * (compileRouteSchemas), so an invalid one fails at startup rather than per request.
+ *
+ * @module schema
+ */
+
+'use strict';
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Request sections that can carry a schema, in reporting order
+ */
+const SCHEMA_SECTIONS = ['params', 'query', 'body'];
+
+/**
+ * Compiled `pattern` keywords, keyed by the schema object that declares them
+ */
+const compiledPatterns = new WeakMap();
+
+/**
+ * Escape a property name for use in a JSON Pointer (RFC 6901)
+ *
+ * @private
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped reference token
+ */
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Determine the JSON type names that describe a value
+ *
+ * @private
+ * @param {*} value - Value to inspect
+ * @returns {Array<string>} Matching JSON Schema type names
+ */
+function jsonTypesOf(value) {
+    if (value === null) return ['null'];
+    if (Array.isArray(value)) return ['array'];
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return [];
+        return Number.isInteger(value) ? ['integer', 'number'] : ['number'];
+    }
+    if (typeof value === 'object') return ['object'];
+    if (typeof value === 'string' || typeof value === 'boolean') return [typeof value];
+    return [];
+}
+
+/**
+ * Structural equality for enum and const comparisons
+ *
+ * @private
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when the values are deeply equal
+ */
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Compile the `pattern` keyword of one schema object
+ *
+ * @private
+ * @param {Object} schema - Schema object declaring a pattern
+ * @param {string} [location] - JSON Pointer of the schema, for the error message
+ * @returns {RegExp} Compiled pattern
+ * @throws {ValidationError} When the pattern is not a valid regular expression
+ */
+function compilePattern(schema, location = '') {
+    let compiled = compiledPatterns.get(schema);
+    if (compiled) {
+        return compiled;
+    }
+
+    try {
+        compiled = new RegExp(schema.pattern, 'u');
+    } catch (error) {
+        throw new ValidationError(
+            `Invalid pattern in schema at ${location || '/'}: ${error.message}`,
+            `${location}/pattern`,
+            schema.pattern,
+            { keyword: 'pattern' }
+        );
+    }
+
+    compiledPatterns.set(schema, compiled);
+    return compiled;
+}
+
+/**
+ * Compile every pattern in a schema and its subschemas
+ *
+ * @param {Object|boolean} schema - JSON Schema document
+ * @param {string} [location=''] - JSON Pointer of the schema, for error messages
+ * @throws {ValidationError} When a pattern is not a valid regular expression
+ */
+function compileSchema(schema, location = '') {
+    if (!schema || typeof schema !== 'object') {
+        return;
+    }
+
+    if (schema.pattern !== undefined) {
+        compilePattern(schema, location);
+    }
+
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+        compileSchema(propertySchema, `${location}/properties/${escapePointer(name)}`);
+    });
+    compileSchema(schema.additionalProperties, `${location}/additionalProperties`);
+    compileSchema(schema.items, `${location}/items`);
+    (Array.isArray(schema.oneOf) ? schema.oneOf : []).forEach((branch, index) => {
+        compileSchema(branch, `${location}/oneOf/${index}`);
+    });
+}
+
+/**
+ * Compile the schemas attached to a route
+ *
+ * @param {Object} schemas - `{ body, query, params }` JSON Schema documents
+ * @throws {ValidationError} When a pattern is not a valid regular expression
+ */
+function compileRouteSchemas(schemas) {
+    SCHEMA_SECTIONS.forEach(section => compileSchema(schemas[section], `/${section}`));
+}
+
+/**
+ * Validate a value against a schema and collect every violation
+ *
+ * @param {Object|boolean} schema - JSON Schema document
+ * @param {*} value - Value to validate
+ * @param {string} [pointer=''] - JSON Pointer of the value being validated
+ * @returns {Array<Object>} Violations as `{ pointer, keyword, message, value }`
+ */
+function validateSchema(schema, value, pointer = '') {
+    const violations = [];
+    const report = (keyword, message, at = pointer, actual = value) => {
+        violations.push({ pointer: at, keyword, message, value: actual });
+    };
+
+    if (schema === true || schema === undefined) {
+        return violations;
+    }
+    if (schema === false) {
+        report('false', 'no value is allowed here');
+        return violations;
+    }
+
+    if (schema.type !== undefined) {
+        const allowed = [].concat(schema.type);
+        const actual = jsonTypesOf(value);
+        if (!allowed.some(type => actual.includes(type))) {
+            report('type', `must be ${allowed.join(' or ')}`);
+            return violations;
+        }
+    }
+
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+        report('const', `must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, value))) {
+        report('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report('minimum', `must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report('maximum', `must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            report('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            report('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        // Lengths are measured in code points, as the specification requires
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            report('minLength', `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            report('maxLength', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !compilePattern(schema, pointer).test(value)) {
+            report('pattern', `must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report('minItems', `must contain at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            report('maxItems', `must contain at most ${schema.maxItems} items`);
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => {
+                violations.push(...validateSchema(schema.items, item, `${pointer}/${index}`));
+            });
+        }
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                report('required', 'is required', `${pointer}/${escapePointer(name)}`, undefined);
+            }
+        });
+
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const propertyPointer = `${pointer}/${escapePointer(name)}`;
+
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                violations.push(...validateSchema(properties[name], propertyValue, propertyPointer));
+            } else if (schema.additionalProperties === false) {
+                report('additionalProperties', 'is not an allowed property', propertyPointer, propertyValue);
+            } else if (schema.additionalProperties !== undefined) {
+                violations.push(...validateSchema(schema.additionalProperties, propertyValue, propertyPointer));
+            }
+        }
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+        const matches = schema.oneOf.filter(branch => validateSchema(branch, value, pointer).length === 0).length;
+        if (matches !== 1) {
+            report('oneOf', matches === 0 ?
+                'must match exactly one schema in oneOf, matched none' :
+                `must match exactly one schema in oneOf, matched ${matches}`);
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Coerce string inputs (query strings, path parameters) to the types a schema expects
+ *
+ * Only strings are converted, and only when the result is unambiguous; anything
+ * else is returned unchanged so the validator can report it.
+ *
+ * @param {Object|boolean} schema - JSON Schema document
+ * @param {*} value - Raw value
+ * @returns {*} Coerced value
+ */
+function coerceValue(schema, value) {
+    if (!schema || typeof schema !== 'object' || schema.type === undefined) {
+        return value;
+    }
+
+    const types = [].concat(schema.type);
+
+    if (types.includes('array') && !Array.isArray(value) && value !== undefined) {
+        value = [value];
+    }
+    if (Array.isArray(value)) {
+        return types.includes('array') ? value.map(item => coerceValue(schema.items, item)) : value;
+    }
+    if (value !== null && typeof value === 'object') {
+        const coerced = {};
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const propertySchema = (schema.properties || {})[name] || schema.additionalProperties;
+            coerced[name] = coerceValue(propertySchema, propertyValue);
+        }
+        return coerced;
+    }
+    if (typeof value !== 'string' || types.includes('string')) {
+        return value;
+    }
+
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    if (types.includes('null') && value === '') {
+        return null;
+    }
+
+    return value;
+}
+
+/**
+ * Validate request sections against the schemas attached to a route
+ *
+ * Query strings and path parameters are coerced from strings before validation;
+ * bodies are validated exactly as parsed.
+ *
+ * @param {Object} schemas - `{ body, query, params }` JSON Schema documents
+ * @param {Object} data - `{ body, query, params }` request data
+ * @returns {Object} Request data with coerced query and params
+ * @throws {ValidationError} Listing every violation, located by JSON Pointer
+ */
+function validateRequestData(schemas, data) {
+    const result = { ...data };
+    const violations = [];
+
+    SCHEMA_SECTIONS.forEach(section => {
+        if (schemas[section] === undefined) {
+            return;
+        }
+
+        if (section !== 'body') {
+            result[section] = coerceValue(schemas[section], { ...data[section] });
+        }
+
+        violations.push(...validateSchema(schemas[section], result[section], `/${section}`));
+    });
+
+    if (violations.length > 0) {
+        const [first] = violations;
+        throw new ValidationError(
+            `Request failed schema validation with ${violations.length} violation${violations.length === 1 ? '' : 's'}`,
+            first.pointer,
+            first.value === undefined ? null : first.value,
+            {
+                violations: violations.map(violation => ({
+                    field: violation.pointer,
+                    keyword: violation.keyword,
+                    message: violation.message,
+                    value: violation.value
+                })),
+                httpErrorType: 'schema_validation'
+            }
+        );
+    }
+
+    return result;
+}
+
+module.exports = {
+    compileSchema,
+    compileRouteSchemas,
+    validateSchema,
+    validateRequestData,
+    coerceValue
+};
@@ -0,0 +1,282 @@
+/**
+ * Security Header Policy
+ *
+ * Single source of the security headers sent on every response, whether it comes
+ * from a route handler, the error handler or a validation failure.
+ *
+ * Features:
+ * - Content-Security-Policy with optional per-response nonces
+ * - Report-only mode and a report collection endpoint
+ * - Strict-Transport-Security on TLS connections
+ * - Permissions-Policy
+ * - Cross-Origin-Opener-Policy, Cross-Origin-Embedder-Policy and Cross-Origin-Resource-Policy
+ * - Referrer-Policy, X-Content-Type-Options, X-Frame-Options and X-XSS-Protection
+ *
+ * @module securityHeaders
+ * @requires crypto
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Default policy; 'off' (or 0 for hstsMaxAge) omits a header
+ */
+const DEFAULT_POLICY = {
+    contentSecurityPolicy: "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'",
+    cspReportOnly: false,
+    cspNonce: false,
+    reportPath: null,
+    hstsMaxAge: 15552000,
+    hstsIncludeSubDomains: true,
+    hstsPreload: false,
+    permissionsPolicy: 'camera=(), microphone=(), geolocation=(), payment=(), usb=()',
+    crossOriginOpenerPolicy: 'same-origin',
+    crossOriginEmbedderPolicy: 'require-corp',
+    crossOriginResourcePolicy: 'same-origin',
+    referrerPolicy: 'strict-origin-when-cross-origin',
+    frameOptions: 'DENY',
+    xssProtection: '0'
+};
+
+/**
+ * Directives that receive the per-response nonce
+ */
+const NONCE_DIRECTIVES = ['script-src', 'style-src'];
+
+/**
+ * Reporting API group name used by report-to
+ */
+const REPORT_GROUP = 'csp-endpoint';
+
+/**
+ * Marks responses whose headers were already applied
+ */
+const APPLIED = Symbol('securityHeadersApplied');
+
+/**
+ * Parse a CSP string into an ordered directive map
+ *
+ * @private
+ * @param {string} policy - Content-Security-Policy value
+ * @returns {Map<string, Array<string>>} Directive name to source list
+ */
+function parseCsp(policy) {
+    const directives = new Map();
+    String(policy).split(';').forEach(part => {
+        const [name, ...sources] = part.trim().split(/\s+/);
+        if (name) {
+            directives.set(name.toLowerCase(), sources);
+        }
+    });
+    return directives;
+}
+
+/**
+ * Security Header Policy Class
+ */
+class SecurityHeaderPolicy {
+    /**
+     * @param {Object} [options] - Policy options (see DEFAULT_POLICY)
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_POLICY, ...options };
+        this.directives = this.options.contentSecurityPolicy === 'off' ?
+            null :
+            parseCsp(this.options.contentSecurityPolicy);
+
+        if (this.directives && this.options.reportPath) {
+            this.directives.set('report-uri', [this.options.reportPath]);
+            this.directives.set('report-to', [REPORT_GROUP]);
+        }
+
+        // Headers that are identical for every response are computed once
+        this.staticHeaders = this.buildStaticHeaders();
+    }
+
+    /**
+     * Build the headers that do not depend on the response
+     *
+     * @private
+     * @returns {Object} Header name to value map
+     */
+    buildStaticHeaders() {
+        const options = this.options;
+        const headers = {
+            'X-Content-Type-Options': 'nosniff',
+            'Referrer-Policy': options.referrerPolicy,
+            'X-Frame-Options': options.frameOptions && options.frameOptions.toUpperCase(),
+            'X-XSS-Protection': options.xssProtection,
+            'Permissions-Policy': options.permissionsPolicy,
+            'Cross-Origin-Opener-Policy': options.crossOriginOpenerPolicy,
+            'Cross-Origin-Embedder-Policy': options.crossOriginEmbedderPolicy,
+            'Cross-Origin-Resource-Policy': options.crossOriginResourcePolicy
+        };
+
+        if (this.directives && options.reportPath) {
+            headers['Reporting-Endpoints'] = `${REPORT_GROUP}="${options.reportPath}"`;
+        }
+
+        Object.keys(headers).forEach(name => {
+            if (!headers[name] || headers[name].toLowerCase() === 'off') {
+                delete headers[name];
+            }
+        });
+
+        return headers;
+    }
+
+    /**
+     * Render the Content-Security-Policy value
+     *
+     * @param {string} [nonce] - Nonce to allow in script-src and style-src
+     * @returns {string|null} Header value, or null when CSP is disabled
+     */
+    renderCsp(nonce) {
+        if (!this.directives) {
+            return null;
+        }
+
+        const directives = new Map(this.directives);
+        if (nonce) {
+            NONCE_DIRECTIVES.forEach(name => {
+                const sources = (directives.get(name) || directives.get('default-src') || [])
+                    .filter(source => source !== "'none'");
+                directives.set(name, [...sources, `'nonce-${nonce}'`]);
+            });
+        }
+
+        return Array.from(directives, ([name, sources]) => [name, ...sources].join(' ')).join('; ');
+    }
+
+    /**
+     * Apply the policy to a response
+     *
+     * Applying twice is harmless: the second call keeps the headers (and nonce)
+     * of the first.
+     *
+     * @param {http.ServerResponse} res - HTTP response object
+     * @returns {string|undefined} CSP nonce for this response, also exposed as `res.cspNonce`
+     */
+    apply(res) {
+        if (res[APPLIED] || res.headersSent) {
+            return res.cspNonce;
+        }
+        res[APPLIED] = true;
+
+        for (const [name, value] of Object.entries(this.staticHeaders)) {
+            res.setHeader(name, value);
+        }
+
+        if (this.options.cspNonce && this.directives) {
+            res.cspNonce = crypto.randomBytes(16).toString('base64');
+        }
+
+        const csp = this.renderCsp(res.cspNonce);
+        if (csp) {
+            res.setHeader(this.options.cspReportOnly ?
+                'Content-Security-Policy-Report-Only' :
+                'Content-Security-Policy', csp);
+        }
+
+        // Browsers ignore HSTS received over plain HTTP; behind a trusted proxy the
+        // forwarded protocol says whether the client connection was encrypted
+        const request = res.req;
+        const socket = res.socket || (request && request.socket);
+        const secure = request && request.clientIdentity ?
+            request.clientIdentity.protocol === 'https' :
+            Boolean(socket && socket.encrypted);
+        if (this.options.hstsMaxAge > 0 && secure) {
+            res.setHeader('Strict-Transport-Security', [
+                `max-age=${this.options.hstsMaxAge}`,
+                this.options.hstsIncludeSubDomains ? 'includeSubDomains' : null,
+                this.options.hstsPreload ? 'preload' : null
+            ].filter(Boolean).join('; '));
+        }
+
+        return res.cspNonce;
+    }
+}
+
+/**
+ * Policy shared by every response path, see configureSecurityHeaders
+ */
+let sharedPolicy = new SecurityHeaderPolicy();
+
+/**
+ * Replace the shared policy
+ *
+ * @param {Object} [options] - Policy options
+ * @returns {SecurityHeaderPolicy} The new shared policy
+ */
+function configureSecurityHeaders(options = {}) {
+    sharedPolicy = new SecurityHeaderPolicy(options);
+    return sharedPolicy;
+}
+
+/**
+ * Apply the shared policy to a response
+ *
+ * @param {http.ServerResponse} res - HTTP response object
+ * @returns {string|undefined} CSP nonce for this response
+ */
+function applySecurityHeaders(res) {
+    return sharedPolicy.apply(res);
+}
+
+/**
+ * Create a handler collecting CSP violation reports
+ *
+ * Accepts both the legacy `application/csp-report` body and Reporting API
+ * `application/reports+json` arrays, logs each violation and answers 204.
+ *
+ * @param {Object} logger - Logger with logWarning(message, context)
+ * @returns {Function} Route handler
+ */
+function createReportHandler(logger) {
+    // Loaded lazily: errors.js itself depends on this module
+    const { ValidationError } = require('./errors');
+
+    return (req, res) => {
+        let payload;
+        try {
+            const raw = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+            payload = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+            throw new ValidationError('CSP report is not valid JSON', 'body', null);
+        }
+
+        const reports = Array.isArray(payload) ?
+            payload.map(entry => entry && entry.body) :
+            [payload && payload['csp-report']];
+
+        reports.filter(Boolean).slice(0, 20).forEach(report => {
+            logger.logWarning('Content Security Policy violation', {
+                documentURL: report.documentURL || report['document-uri'],
+                blockedURL: report.blockedURL || report['blocked-uri'],
+                effectiveDirective: report.effectiveDirective || report['effective-directive'] || report['violated-directive'],
+                disposition: report.disposition,
+                sourceFile: report.sourceFile || report['source-file'],
+                lineNumber: report.lineNumber || report['line-number']
+            });
+        });
+
+        res.statusCode = 204;
+        res.end();
+    };
+}
+
+/**
+ * Media types sent by browsers for violation reports
+ */
+const REPORT_CONTENT_TYPES = ['application/csp-report', 'application/reports+json', 'application/json'];
+
+module.exports = {
+    SecurityHeaderPolicy,
+    configureSecurityHeaders,
+    applySecurityHeaders,
+    createReportHandler,
+    REPORT_CONTENT_TYPES,
+    DEFAULT_POLICY
+};
@@ -6,9 +6,18 @@
  * 
  * Features:
  * - SIGTERM, SIGINT, and SIGUSR2 signal handlers
+ * - SIGHUP reload: replacement generation checked and swapped in, then old connections drained
  * - Connection tracking and draining with configurable timeouts
+ * - Slowloris protection: a deadline for request headers and a per-IP connection cap
+ * - Keep-alive aware draining: idle sockets close at once, busy ones after their
+ *   response (sent with Connection: close)
+ * - HTTP/2 sessions drained with GOAWAY so clients stop opening streams
  * - Comprehensive resource cleanup for timers and event listeners
+ * - Named cleanup and shutdown hooks ordered by priority and dependsOn, each with
+ *   its own timeout and an AbortSignal fired when the force timeout expires
  * - Forced termination capabilities for hung connections
+ * - Injectable exit strategy, dispose() and a shutdown() promise resolving with the
+ *   summary, so tests can create and tear down many coordinators in one process
  * - Structured logging and error reporting
  * - Integration with custom error handling system
  * 
@@ -16,6 +25,8 @@
  */
 
 const EventEmitter = require('events');
+const { getRequestId } = require('./context');
+const { ShutdownError, TimeoutError } = require('./errors');
 
 /**
  * Exit codes for different shutdown scenarios
@@ -35,9 +46,32 @@ const DEFAULT_CONFIG = {
     forceTimeoutMs: 5000,      // 5 seconds for forced termination
     connectionTimeoutMs: 30000, // 30 seconds per connection timeout
     maxConnections: 1000,      // Maximum tracked connections
+    maxConnectionsPerIp: 0,    // Concurrent connections allowed per client address (0: unlimited)
+    headersTimeoutMs: 0,       // Time allowed for request headers to arrive (0: no deadline)
+    readinessDelayMs: 0,       // Keep accepting connections this long after readiness fails
+    hookTimeoutMs: 5000,       // Default time each shutdown hook may take
+    exit: null,                // Called with the exit code; null means process.exit
     logLevel: 'info'           // Logging level
 };
 
+/**
+ * Phases in which shutdown hooks run, in order
+ */
+const HOOK_PHASES = {
+    CLEANUP: 'cleanup',
+    SHUTDOWN: 'shutdown'
+};
+
+/**
+ * Outcomes recorded for each hook in the shutdown report
+ */
+const HOOK_STATUS = {
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    TIMED_OUT: 'timed_out',
+    ABORTED: 'aborted'
+};
+
 /**
  * Shutdown states for state machine management
  */
@@ -64,6 +98,12 @@ class ShutdownCoordinator extends EventEmitter {
      * @param {number} [options.forceTimeoutMs=5000] - Timeout for forced termination
      * @param {number} [options.connectionTimeoutMs=30000] - Individual connection timeout
      * @param {number} [options.maxConnections=1000] - Maximum connections to track
+     * @param {number} [options.maxConnectionsPerIp=0] - Concurrent connections per client address (0: unlimited)
+     * @param {number} [options.headersTimeoutMs=0] - Deadline for request headers, counted from the connection
+     *   opening or, on keep-alive connections, from the next request's first bytes (0: none)
+     * @param {number} [options.readinessDelayMs=0] - Delay before the listener closes, so probes see 503 first
+     * @param {number} [options.hookTimeoutMs=5000] - Default per-hook timeout
+     * @param {Function} [options.exit] - Exit strategy `(exitCode) => void`; defaults to process.exit
      */
     constructor(options = {}) {
         super();
@@ -75,12 +115,34 @@ class ShutdownCoordinator extends EventEmitter {
         this.state = SHUTDOWN_STATES.ACTIVE;
         this.shutdownInitiated = false;
         this.shutdownStartTime = null;
+        this.shutdownSignal = null;
+        this.shutdownCompleted = false;   // Set once the summary is settled
+        this.disposed = false;
+        
+        // Exit strategy, replaceable so tests can observe the exit code instead of exiting
+        this.exit = typeof this.config.exit === 'function' ? this.config.exit : (exitCode) => process.exit(exitCode);
+        
+        // Settles with the shutdown summary once shutdown completes, is forced or is cut short by dispose()
+        this.completion = new Promise(resolve => {
+            this.resolveCompletion = resolve;
+        });
         
         // Connection tracking registry using Map for efficient lookup
         this.activeConnections = new Map();
+        this.socketConnections = new WeakMap(); // Maps socket to connection ID
         this.connectionCounter = 0;
         this.maxConnectionsReached = false;
         
+        // Open connections per client address, for maxConnectionsPerIp
+        this.connectionsPerIp = new Map();
+        this.ipLimitReached = new Set();
+        
+        // Open HTTP/2 sessions, asked to GOAWAY when the listener closes
+        this.http2Sessions = new Set();
+        
+        // In-flight request registry, keyed by caller-supplied request ID
+        this.activeRequests = new Map();
+        
         // Resource tracking for cleanup
         this.timers = new Set();
         this.intervals = new Set();
@@ -88,10 +150,17 @@ class ShutdownCoordinator extends EventEmitter {
         
         // Shutdown coordination
         this.server = null;
-        this.shutdownCallbacks = [];
-        this.resourceCleanupCallbacks = [];
+        this.hooks = new Map();           // Hook name to { name, phase, callback, priority, dependsOn, timeoutMs }
+        this.hookResults = new Map();     // Hook name to outcome of the last shutdown
+        this.hookCounter = 0;
+        this.abortController = new AbortController();
+        this.forceTimer = null;
+        this.forceTimedOut = false;
+        this.forced = false;              // Set by forceShutdown; the interrupted sequence must not complete again
+        this.reloadCallbacks = [];
+        this.reloadInProgress = null;
         
-        // Signal handlers registry
+        // Process listeners installed by setupSignalHandlers, keyed by event name
         this.signalHandlers = new Map();
         
         // Error tracking for diagnostics
@@ -147,7 +216,7 @@ class ShutdownCoordinator extends EventEmitter {
      */
     setupConnectionTracking(server) {
         // Track new connections
-        server.on('connection', (socket) => {
+        this.trackEventListener(server, 'connection', (socket) => {
             const connectionId = this.generateConnectionId();
             
             // Check connection limits
@@ -163,10 +232,29 @@ class ShutdownCoordinator extends EventEmitter {
                 // Close excess connections during normal operation
                 if (this.state === SHUTDOWN_STATES.ACTIVE) {
                     socket.destroy();
+                    this.emit('connection-rejected', { reason: 'max_connections', remoteAddress: socket.remoteAddress });
                     return;
                 }
             }
             
+            // Cap concurrent connections per client address so one client cannot hold every socket
+            const remoteAddress = socket.remoteAddress;
+            const ipConnections = this.connectionsPerIp.get(remoteAddress) || 0;
+            if (this.config.maxConnectionsPerIp > 0 && ipConnections >= this.config.maxConnectionsPerIp) {
+                if (!this.ipLimitReached.has(remoteAddress)) {
+                    this.log('warn', 'Per-IP connection limit reached, rejecting connections', {
+                        remoteAddress,
+                        maximum: this.config.maxConnectionsPerIp
+                    });
+                    this.ipLimitReached.add(remoteAddress);
+                }
+                
+                socket.destroy();
+                this.emit('connection-rejected', { reason: 'per_ip_limit', remoteAddress });
+                return;
+            }
+            this.connectionsPerIp.set(remoteAddress, ipConnections + 1);
+            
             // Create connection metadata
             const connectionInfo = {
                 id: connectionId,
@@ -174,12 +262,17 @@ class ShutdownCoordinator extends EventEmitter {
                 startTime: Date.now(),
                 remoteAddress: socket.remoteAddress,
                 remotePort: socket.remotePort,
-                requestCount: 0,
+                requestCount: 0,       // Requests served on this connection
+                inFlight: 0,           // Requests currently being processed
+                draining: false,       // Close once no request is in flight
+                session: null,         // HTTP/2 session carried by this connection
+                headersTimer: null,    // Deadline for the next request's headers
                 lastActivity: Date.now()
             };
             
             // Register connection
             this.activeConnections.set(connectionId, connectionInfo);
+            this.socketConnections.set(socket, connectionId);
             
             // Set up connection timeout
             const connectionTimeout = setTimeout(() => {
@@ -187,6 +280,7 @@ class ShutdownCoordinator extends EventEmitter {
             }, this.config.connectionTimeoutMs);
             
             connectionInfo.timeout = connectionTimeout;
+            this.armHeadersDeadline(connectionInfo);
             
             // Handle connection events
             socket.on('close', () => {
@@ -201,12 +295,15 @@ class ShutdownCoordinator extends EventEmitter {
                 this.removeConnection(connectionId);
             });
             
-            // Track request activity
+            // Track socket activity; requests are counted by registerRequest
             socket.on('data', () => {
                 if (this.activeConnections.has(connectionId)) {
-                    const conn = this.activeConnections.get(connectionId);
-                    conn.lastActivity = Date.now();
-                    conn.requestCount++;
+                    connectionInfo.lastActivity = Date.now();
+                    
+                    // Bytes on an idle keep-alive connection start the next request's headers deadline
+                    if (connectionInfo.inFlight === 0 && !connectionInfo.headersTimer) {
+                        this.armHeadersDeadline(connectionInfo);
+                    }
                 }
             });
             
@@ -218,6 +315,21 @@ class ShutdownCoordinator extends EventEmitter {
             
             this.emit('connection-registered', connectionInfo);
         });
+        
+        // HTTP/2 servers multiplex many requests over one session per connection
+        this.trackEventListener(server, 'session', (session) => {
+            this.http2Sessions.add(session);
+            
+            const connectionId = this.findConnectionId(session.socket);
+            if (connectionId) {
+                const connectionInfo = this.activeConnections.get(connectionId);
+                connectionInfo.session = session;
+                
+                // HTTP/2 headers arrive as whole frames; the session's own timeouts apply from here
+                this.clearHeadersDeadline(connectionInfo);
+            }
+            session.once('close', () => this.http2Sessions.delete(session));
+        });
     }
     
     /**
@@ -243,10 +355,21 @@ class ShutdownCoordinator extends EventEmitter {
             if (connectionInfo.timeout) {
                 clearTimeout(connectionInfo.timeout);
             }
+            this.clearHeadersDeadline(connectionInfo);
             
             // Remove from registry
             this.activeConnections.delete(connectionId);
             
+            const ipConnections = (this.connectionsPerIp.get(connectionInfo.remoteAddress) || 1) - 1;
+            if (ipConnections > 0) {
+                this.connectionsPerIp.set(connectionInfo.remoteAddress, ipConnections);
+            } else {
+                this.connectionsPerIp.delete(connectionInfo.remoteAddress);
+            }
+            if (ipConnections < this.config.maxConnectionsPerIp) {
+                this.ipLimitReached.delete(connectionInfo.remoteAddress);
+            }
+            
             // Reset max connections flag if below threshold
             if (this.activeConnections.size < this.config.maxConnections * 0.8) {
                 this.maxConnectionsReached = false;
@@ -261,14 +384,201 @@ class ShutdownCoordinator extends EventEmitter {
             
             this.emit('connection-removed', connectionInfo);
             
-            // Check if draining is complete
+            // Draining completion is observed by drainConnections via 'connection-removed'
             if (this.state === SHUTDOWN_STATES.DRAINING && this.activeConnections.size === 0) {
                 this.log('info', 'All connections drained successfully');
-                this.transitionToCleanup();
             }
         }
     }
     
+    /**
+     * Register an in-flight request against the connection that carries it
+     * 
+     * When the response is supplied and its connection is draining, the response
+     * is sent with `Connection: close`.
+     * 
+     * @param {string|number} requestId - Caller-supplied request identifier
+     * @param {net.Socket} socket - Socket the request arrived on
+     * @param {http.ServerResponse} [response] - Response for the request
+     * @returns {Object} Request tracking information
+     */
+    registerRequest(requestId, socket, response = null) {
+        const connectionId = socket ? this.findConnectionId(socket) : null;
+        const connectionInfo = connectionId ? this.activeConnections.get(connectionId) : null;
+        
+        if (connectionInfo) {
+            connectionInfo.requestCount++;
+            connectionInfo.inFlight++;
+            connectionInfo.lastActivity = Date.now();
+            this.clearHeadersDeadline(connectionInfo);
+            
+            if (connectionInfo.draining && response) {
+                this.markConnectionClose(response);
+            }
+        }
+        
+        const requestInfo = {
+            id: requestId,
+            connectionId,
+            response,
+            startTime: Date.now()
+        };
+        
+        this.activeRequests.set(requestId, requestInfo);
+        
+        this.log('debug', 'Request registered', {
+            requestId,
+            connectionId,
+            activeRequests: this.activeRequests.size
+        });
+        
+        this.emit('request-registered', requestInfo);
+        
+        return requestInfo;
+    }
+    
+    /**
+     * Find the tracked connection a request socket belongs to
+     * 
+     * TLS requests arrive on a TLSSocket (and HTTP/2 requests on a proxy of it)
+     * wrapping the raw socket seen by the 'connection' event.
+     * 
+     * @private
+     * @param {net.Socket} socket - Socket the request arrived on
+     * @returns {string|null} Connection ID, or null when the socket is untracked
+     */
+    findConnectionId(socket) {
+        return this.socketConnections.get(socket) ||
+            (socket._parent && this.socketConnections.get(socket._parent)) ||
+            null;
+    }
+    
+    /**
+     * Remove a completed request from the in-flight registry
+     * 
+     * @param {string|number} requestId - Request identifier passed to registerRequest
+     */
+    unregisterRequest(requestId) {
+        const requestInfo = this.activeRequests.get(requestId);
+        if (!requestInfo) {
+            return;
+        }
+        
+        this.activeRequests.delete(requestId);
+        
+        const connectionInfo = requestInfo.connectionId ? this.activeConnections.get(requestInfo.connectionId) : null;
+        if (connectionInfo) {
+            connectionInfo.inFlight = Math.max(0, connectionInfo.inFlight - 1);
+            connectionInfo.lastActivity = Date.now();
+            
+            // A draining connection closes as soon as its last response is done
+            if (connectionInfo.draining && connectionInfo.inFlight === 0) {
+                this.closeIdleConnection(connectionInfo, true);
+            }
+        }
+        
+        this.log('debug', 'Request completed', {
+            requestId,
+            connectionId: requestInfo.connectionId,
+            duration: Date.now() - requestInfo.startTime,
+            activeRequests: this.activeRequests.size
+        });
+        
+        this.emit('request-completed', requestInfo);
+    }
+    
+    /**
+     * Ask the client to close the connection after this response
+     * 
+     * HTTP/2 forbids connection headers; its sessions are closed with GOAWAY instead.
+     * 
+     * @private
+     * @param {http.ServerResponse} response - Response not yet sent
+     */
+    markConnectionClose(response) {
+        if (!response.headersSent && response.stream === undefined) {
+            response.setHeader('Connection', 'close');
+        }
+    }
+    
+    /**
+     * Close a connection that has no request in flight
+     * 
+     * @private
+     * @param {Object} connectionInfo - Connection tracking information
+     * @param {boolean} [graceful=false] - Flush pending writes (after a response) instead of destroying
+     */
+    closeIdleConnection(connectionInfo, graceful = false) {
+        // HTTP/2 sessions close themselves after GOAWAY once their streams end
+        if (connectionInfo.session) {
+            return;
+        }
+        
+        this.log('debug', 'Closing idle connection', {
+            connectionId: connectionInfo.id,
+            requestCount: connectionInfo.requestCount,
+            idleMs: Date.now() - connectionInfo.lastActivity
+        });
+        
+        if (graceful) {
+            connectionInfo.socket.end();
+        } else {
+            connectionInfo.socket.destroy();
+        }
+    }
+    
+    /**
+     * Mark connections as draining and close the idle ones
+     * 
+     * Busy HTTP/1 connections get `Connection: close` on the responses still to be
+     * sent and close after their last one; HTTP/2 sessions receive GOAWAY.
+     * 
+     * @private
+     * @param {Array<string>} connectionIds - Connections to drain
+     */
+    beginDraining(connectionIds) {
+        let idle = 0;
+        let busy = 0;
+        
+        connectionIds.forEach(id => {
+            const connectionInfo = this.activeConnections.get(id);
+            if (!connectionInfo) {
+                return;
+            }
+            connectionInfo.draining = true;
+            
+            if (connectionInfo.session) {
+                if (!connectionInfo.session.closed && !connectionInfo.session.destroyed) {
+                    connectionInfo.session.close();
+                }
+                busy++;
+            } else if (connectionInfo.inFlight === 0) {
+                this.closeIdleConnection(connectionInfo);
+                idle++;
+            } else {
+                busy++;
+            }
+        });
+        
+        this.activeRequests.forEach(requestInfo => {
+            const connectionInfo = this.activeConnections.get(requestInfo.connectionId);
+            if (connectionInfo && connectionInfo.draining && requestInfo.response) {
+                this.markConnectionClose(requestInfo.response);
+            }
+        });
+        
+        this.log('info', 'Draining connections', { idleClosed: idle, busy });
+    }
+    
+    /**
+     * Check whether the coordinator has left the active state
+     * 
+     * @returns {boolean} True once a shutdown has been initiated
+     */
+    isShuttingDown() {
+        return this.state !== SHUTDOWN_STATES.ACTIVE;
+    }
+    
     /**
      * Handle connection timeout
      * 
@@ -292,6 +602,74 @@ class ShutdownCoordinator extends EventEmitter {
         }
     }
     
+    /**
+     * Start the deadline for the next request's headers on a connection
+     * 
+     * @private
+     * @param {Object} connectionInfo - Tracked connection
+     */
+    armHeadersDeadline(connectionInfo) {
+        if (this.config.headersTimeoutMs <= 0 || connectionInfo.session) {
+            return;
+        }
+        
+        this.clearHeadersDeadline(connectionInfo);
+        connectionInfo.headersTimer = setTimeout(() => {
+            connectionInfo.headersTimer = null;
+            this.handleHeadersTimeout(connectionInfo.id);
+        }, this.config.headersTimeoutMs);
+    }
+    
+    /**
+     * Cancel a connection's headers deadline
+     * 
+     * @private
+     * @param {Object} connectionInfo - Tracked connection
+     */
+    clearHeadersDeadline(connectionInfo) {
+        if (connectionInfo.headersTimer) {
+            clearTimeout(connectionInfo.headersTimer);
+            connectionInfo.headersTimer = null;
+        }
+    }
+    
+    /**
+     * Close a connection whose request headers missed their deadline
+     * 
+     * Plain HTTP/1 clients are sent a bare 408 first; on TLS connections the raw
+     * socket cannot carry a response, so they are only closed.
+     * 
+     * @private
+     * @param {string} connectionId - Connection ID
+     */
+    handleHeadersTimeout(connectionId) {
+        const connectionInfo = this.activeConnections.get(connectionId);
+        if (!connectionInfo || connectionInfo.inFlight > 0) {
+            return;
+        }
+        
+        const error = new TimeoutError('Request headers not received in time', this.config.headersTimeoutMs, 'request_headers', {
+            connectionId,
+            remoteAddress: connectionInfo.remoteAddress
+        });
+        
+        this.log('warn', 'Request headers deadline exceeded, closing connection', {
+            connectionId,
+            remoteAddress: connectionInfo.remoteAddress,
+            timeoutMs: this.config.headersTimeoutMs,
+            requestCount: connectionInfo.requestCount
+        });
+        
+        const { socket } = connectionInfo;
+        const secure = this.server && typeof this.server.setSecureContext === 'function';
+        if (!secure && socket.writable) {
+            socket.write('HTTP/1.1 408 Request Timeout\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        }
+        socket.destroy();
+        
+        this.emit('slow-client', { error, connection: connectionInfo });
+    }
+    
     /**
      * Set up signal handlers for graceful shutdown
      * 
@@ -311,23 +689,51 @@ class ShutdownCoordinator extends EventEmitter {
             this.log('debug', `Signal handler registered for ${signal}`);
         });
         
+        // SIGHUP reloads instead of shutting down
+        const reloadHandler = () => this.reload('SIGHUP');
+        this.signalHandlers.set('SIGHUP', reloadHandler);
+        process.on('SIGHUP', reloadHandler);
+        
         // Handle uncaught exceptions to trigger graceful shutdown
-        process.on('uncaughtException', (error) => {
+        const exceptionHandler = (error) => {
             this.log('error', 'Uncaught exception, initiating emergency shutdown', {
                 error: error.message,
                 stack: error.stack
             });
             this.handleSignal('UNCAUGHT_EXCEPTION', error);
-        });
+        };
+        this.signalHandlers.set('uncaughtException', exceptionHandler);
+        process.on('uncaughtException', exceptionHandler);
         
         // Handle unhandled promise rejections
-        process.on('unhandledRejection', (reason, promise) => {
+        const rejectionHandler = (reason, promise) => {
             this.log('error', 'Unhandled promise rejection, initiating emergency shutdown', {
-                reason: reason.toString(),
+                reason: String(reason),
                 promise: promise.toString()
             });
             this.handleSignal('UNHANDLED_REJECTION', reason);
+        };
+        this.signalHandlers.set('unhandledRejection', rejectionHandler);
+        process.on('unhandledRejection', rejectionHandler);
+    }
+    
+    /**
+     * Remove the process listeners installed by setupSignalHandlers
+     * 
+     * @private
+     */
+    removeSignalHandlers() {
+        this.signalHandlers.forEach((handler, signal) => {
+            try {
+                process.removeListener(signal, handler);
+            } catch (error) {
+                this.log('warn', 'Error removing signal handler', {
+                    signal,
+                    error: error.message
+                });
+            }
         });
+        this.signalHandlers.clear();
     }
     
     /**
@@ -350,7 +756,9 @@ class ShutdownCoordinator extends EventEmitter {
         
         this.shutdownInitiated = true;
         this.shutdownStartTime = Date.now();
+        this.shutdownSignal = signal;
         this.state = SHUTDOWN_STATES.SHUTDOWN_PENDING;
+        this.startForceTimer();
         
         try {
             // Emit shutdown initiated event
@@ -381,6 +789,14 @@ class ShutdownCoordinator extends EventEmitter {
      * @param {Error} [error] - Optional error for exception signals
      */
     async executeShutdownSequence(signal, error) {
+        // Readiness already fails; give load balancers time to notice before closing the listener
+        if (this.config.readinessDelayMs > 0) {
+            this.log('info', 'Waiting for readiness probes to observe shutdown', {
+                delayMs: this.config.readinessDelayMs
+            });
+            await new Promise(resolve => setTimeout(resolve, this.config.readinessDelayMs));
+        }
+        
         // Step 1: Stop accepting new connections
         await this.stopAcceptingConnections();
         
@@ -388,6 +804,7 @@ class ShutdownCoordinator extends EventEmitter {
         await this.drainConnections();
         
         // Step 3: Execute resource cleanup
+        this.transitionToCleanup();
         await this.performResourceCleanup();
         
         // Step 4: Execute shutdown callbacks
@@ -403,77 +820,126 @@ class ShutdownCoordinator extends EventEmitter {
      * @private
      */
     async stopAcceptingConnections() {
-        return new Promise((resolve) => {
-            if (!this.server) {
-                resolve();
-                return;
+        if (!this.server) {
+            return;
+        }
+        
+        this.log('info', 'Stopping server from accepting new connections');
+        
+        // The listener closes immediately; the callback only runs once every
+        // connection has ended, so draining must not wait for it
+        this.server.close((error) => {
+            if (error) {
+                this.log('warn', 'Error closing server', { error: error.message });
+                this.shutdownErrors.push(error);
+            } else {
+                this.log('info', 'Server closed, all connections ended');
             }
-            
-            this.log('info', 'Stopping server from accepting new connections');
-            
-            // Close the server to stop accepting new connections
-            this.server.close((error) => {
-                if (error) {
-                    this.log('warn', 'Error closing server', { error: error.message });
-                    this.shutdownErrors.push(error);
-                } else {
-                    this.log('info', 'Server stopped accepting new connections');
+        });
+        
+        this.log('info', 'Server stopped accepting new connections');
+        this.emit('server-closed');
+        
+        this.closeHttp2Sessions();
+    }
+    
+    /**
+     * Send GOAWAY on every open HTTP/2 session
+     * 
+     * Streams already in progress complete; the client opens new streams on
+     * another connection. Each session closes once its last stream ends.
+     * 
+     * @private
+     */
+    closeHttp2Sessions() {
+        if (this.http2Sessions.size === 0) {
+            return;
+        }
+        
+        this.log('info', 'Sending GOAWAY to HTTP/2 sessions', {
+            sessions: this.http2Sessions.size
+        });
+        
+        this.http2Sessions.forEach(session => {
+            try {
+                if (!session.closed && !session.destroyed) {
+                    session.close();
                 }
-                resolve();
-            });
-            
-            this.emit('server-closed');
+            } catch (error) {
+                this.log('warn', 'Error closing HTTP/2 session', { error: error.message });
+                this.shutdownErrors.push(error);
+            }
         });
     }
     
     /**
      * Drain existing connections within grace period
      * 
+     * Idle connections are closed immediately and busy ones after their last
+     * response. Without arguments every connection is drained as part of
+     * shutdown. Given a list of connection IDs (as during a reload), only those
+     * connections are drained and the coordinator stays active.
+     * 
      * @private
+     * @param {Array<string>} [connectionIds] - Connections to drain (defaults to all)
      */
-    async drainConnections() {
-        if (this.activeConnections.size === 0) {
+    async drainConnections(connectionIds = null) {
+        const partial = Array.isArray(connectionIds);
+        const remaining = () => partial ?
+            connectionIds.filter(id => this.activeConnections.has(id)) :
+            Array.from(this.activeConnections.keys());
+        
+        if (remaining().length === 0) {
             this.log('info', 'No active connections to drain');
             return;
         }
         
         this.log('info', 'Starting connection draining', {
-            activeConnections: this.activeConnections.size,
+            activeConnections: remaining().length,
             gracePeriod: this.config.gracePeriodMs
         });
         
-        this.state = SHUTDOWN_STATES.DRAINING;
-        this.emit('draining-started', { connectionCount: this.activeConnections.size });
+        if (!partial) {
+            this.state = SHUTDOWN_STATES.DRAINING;
+            this.emit('draining-started', { connectionCount: this.activeConnections.size });
+        }
+        
+        this.beginDraining(remaining());
         
         return new Promise((resolve) => {
-            // Set up grace period timeout
-            const graceTimeout = setTimeout(() => {
-                this.log('warn', 'Grace period expired, forcing connection termination', {
-                    remainingConnections: this.activeConnections.size
-                });
-                
-                this.forceCloseConnections();
-                resolve();
-            }, this.config.gracePeriodMs);
+            let graceTimeout = null;
             
-            // Track timeout for cleanup
-            this.timers.add(graceTimeout);
+            const finish = () => {
+                clearTimeout(graceTimeout);
+                this.timers.delete(graceTimeout);
+                this.removeListener('connection-removed', checkConnections);
+                resolve();
+            };
             
             // Wait for natural connection completion
             const checkConnections = () => {
-                if (this.activeConnections.size === 0) {
-                    clearTimeout(graceTimeout);
-                    this.timers.delete(graceTimeout);
+                if (remaining().length === 0) {
                     this.log('info', 'All connections drained naturally');
-                    resolve();
+                    finish();
                 }
             };
             
-            // Check immediately and set up monitoring
-            checkConnections();
+            // Set up grace period timeout
+            graceTimeout = setTimeout(() => {
+                this.log('warn', 'Grace period expired, forcing connection termination', {
+                    remainingConnections: remaining().length
+                });
+                
+                this.forceCloseConnections(partial ? remaining() : null);
+                finish();
+            }, this.config.gracePeriodMs);
             
-            // Monitor connection changes
+            // Track timeout for cleanup
+            this.timers.add(graceTimeout);
+            
+            // Monitor connection changes, then check in case they already closed
             this.on('connection-removed', checkConnections);
+            checkConnections();
         });
     }
     
@@ -481,9 +947,12 @@ class ShutdownCoordinator extends EventEmitter {
      * Force close all remaining connections
      * 
      * @private
+     * @param {Array<string>} [connectionIds] - Connections to close (defaults to all)
      */
-    forceCloseConnections() {
-        const connectionsToClose = Array.from(this.activeConnections.values());
+    forceCloseConnections(connectionIds = null) {
+        const connectionsToClose = connectionIds ?
+            connectionIds.map(id => this.activeConnections.get(id)).filter(Boolean) :
+            Array.from(this.activeConnections.values());
         
         this.log('info', 'Force closing connections', {
             count: connectionsToClose.length
@@ -505,8 +974,12 @@ class ShutdownCoordinator extends EventEmitter {
             }
         });
         
-        // Clear all connections from registry
-        this.activeConnections.clear();
+        // Clear closed connections from registry
+        if (connectionIds) {
+            connectionsToClose.forEach(connectionInfo => this.removeConnection(connectionInfo.id));
+        } else {
+            this.activeConnections.clear();
+        }
         
         this.emit('connections-force-closed', { count: connectionsToClose.length });
     }
@@ -520,18 +993,6 @@ class ShutdownCoordinator extends EventEmitter {
         this.state = SHUTDOWN_STATES.CLEANUP;
         this.log('info', 'Transitioning to cleanup phase');
         this.emit('cleanup-started');
-        
-        // Perform resource cleanup
-        this.performResourceCleanup()
-            .then(() => this.executeShutdownCallbacks())
-            .then(() => this.completeShutdown())
-            .catch((error) => {
-                this.log('error', 'Error during cleanup phase', {
-                    error: error.message,
-                    stack: error.stack
-                });
-                this.forceShutdown(EXIT_CODES.RESOURCE_CLEANUP_FAILED);
-            });
     }
     
     /**
@@ -571,29 +1032,10 @@ class ShutdownCoordinator extends EventEmitter {
             this.eventListeners.clear();
             
             // Clean up signal handlers
-            this.signalHandlers.forEach((handler, signal) => {
-                try {
-                    process.removeListener(signal, handler);
-                } catch (error) {
-                    this.log('warn', 'Error removing signal handler', {
-                        signal,
-                        error: error.message
-                    });
-                }
-            });
-            this.signalHandlers.clear();
-            
-            // Execute custom resource cleanup callbacks
-            await Promise.all(this.resourceCleanupCallbacks.map(async (callback) => {
-                try {
-                    await callback();
-                } catch (error) {
-                    this.log('warn', 'Error in resource cleanup callback', {
-                        error: error.message
-                    });
-                    this.shutdownErrors.push(error);
-                }
-            }));
+            this.removeSignalHandlers();
+            
+            // Run the cleanup hooks
+            await this.runHooks(HOOK_PHASES.CLEANUP);
             
             this.log('info', 'Resource cleanup completed', {
                 timersCleared: this.timers.size,
@@ -614,40 +1056,185 @@ class ShutdownCoordinator extends EventEmitter {
     }
     
     /**
-     * Execute registered shutdown callbacks
+     * Execute registered shutdown hooks
      * 
      * @private
      */
     async executeShutdownCallbacks() {
-        if (this.shutdownCallbacks.length === 0) {
+        const results = await this.runHooks(HOOK_PHASES.SHUTDOWN);
+        if (results.length === 0) {
             return;
         }
         
-        this.log('info', 'Executing shutdown callbacks', {
-            count: this.shutdownCallbacks.length
-        });
-        
-        const results = await Promise.allSettled(
-            this.shutdownCallbacks.map(async (callback) => {
-                try {
-                    await callback();
-                } catch (error) {
-                    this.log('warn', 'Error in shutdown callback', {
-                        error: error.message
-                    });
-                    this.shutdownErrors.push(error);
-                }
-            })
-        );
-        
-        const failed = results.filter(result => result.status === 'rejected').length;
+        const failed = results.filter(result => result.status !== HOOK_STATUS.SUCCEEDED).length;
         
         this.log('info', 'Shutdown callbacks completed', {
-            total: this.shutdownCallbacks.length,
+            total: results.length,
             failed
         });
         
-        this.emit('shutdown-callbacks-completed', { total: this.shutdownCallbacks.length, failed });
+        this.emit('shutdown-callbacks-completed', { total: results.length, failed });
+    }
+    
+    /**
+     * Run the hooks of one phase in dependency and priority order
+     * 
+     * Hooks whose dependencies have finished form the next batch; of those, the
+     * ones with the highest priority run concurrently. A failing hook does not
+     * stop the others: `dependsOn` orders hooks but does not make them conditional.
+     * 
+     * @private
+     * @param {string} phase - Hook phase (see HOOK_PHASES)
+     * @returns {Promise<Array<Object>>} Results of the hooks run in this phase
+     */
+    async runHooks(phase) {
+        let pending = Array.from(this.hooks.values()).filter(hook => hook.phase === phase);
+        const results = [];
+        
+        if (pending.length > 0) {
+            this.log('info', `Running ${phase} hooks`, { count: pending.length });
+        }
+        
+        while (pending.length > 0) {
+            let ready = pending.filter(hook => hook.dependsOn.every(name =>
+                this.hookResults.has(name) || !this.hooks.has(name)));
+            
+            if (ready.length === 0) {
+                // A cycle, or a dependency in a later phase: run the rest by priority alone
+                this.log('error', 'Shutdown hook dependencies cannot be satisfied, ignoring them', {
+                    phase,
+                    hooks: pending.map(hook => hook.name)
+                });
+                ready = pending;
+            }
+            
+            const priority = Math.max(...ready.map(hook => hook.priority));
+            const batch = ready.filter(hook => hook.priority === priority);
+            
+            results.push(...await Promise.all(batch.map(hook => this.runHook(hook))));
+            pending = pending.filter(hook => !batch.includes(hook));
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Run one hook, bounded by its timeout and the force timeout
+     * 
+     * @private
+     * @param {Object} hook - Hook registration
+     * @returns {Promise<Object>} `{ name, phase, status, durationMs, error? }`
+     */
+    async runHook(hook) {
+        const { signal } = this.abortController;
+        const startTime = Date.now();
+        let timer = null;
+        let onAbort = null;
+        let status = HOOK_STATUS.SUCCEEDED;
+        let failure = null;
+        
+        try {
+            if (signal.aborted) {
+                throw signal.reason;
+            }
+            
+            await Promise.race([
+                Promise.resolve().then(() => hook.callback(signal)),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        status = HOOK_STATUS.TIMED_OUT;
+                        reject(new ShutdownError(`Shutdown hook '${hook.name}' timed out after ${hook.timeoutMs}ms`, hook.phase, {
+                            hook: hook.name,
+                            timeoutMs: hook.timeoutMs
+                        }));
+                    }, hook.timeoutMs);
+                }),
+                new Promise((resolve, reject) => {
+                    onAbort = () => {
+                        status = HOOK_STATUS.ABORTED;
+                        reject(signal.reason);
+                    };
+                    signal.addEventListener('abort', onAbort, { once: true });
+                })
+            ]);
+        } catch (error) {
+            if (status === HOOK_STATUS.SUCCEEDED) {
+                status = signal.aborted ? HOOK_STATUS.ABORTED : HOOK_STATUS.FAILED;
+            }
+            
+            failure = error instanceof ShutdownError ? error : new ShutdownError(
+                `Shutdown hook '${hook.name}' failed: ${error && error.message}`,
+                hook.phase,
+                { hook: hook.name, cause: error && error.message }
+            );
+            this.shutdownErrors.push(failure);
+            
+            this.log('warn', `Shutdown hook ${status.replace('_', ' ')}`, {
+                hook: hook.name,
+                phase: hook.phase,
+                error: failure.message
+            });
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+        
+        const result = {
+            name: hook.name,
+            phase: hook.phase,
+            status,
+            durationMs: Date.now() - startTime
+        };
+        if (failure) {
+            result.error = failure.message;
+        }
+        
+        this.hookResults.set(hook.name, result);
+        this.emit('hook-completed', result);
+        
+        return result;
+    }
+    
+    /**
+     * Start the timer bounding the whole shutdown
+     * 
+     * The budget is the readiness delay, grace period and force timeout together.
+     * When it expires, running hooks are aborted through their AbortSignal and the
+     * shutdown is forced with EXIT_CODES.TIMEOUT, whichever step it is stuck in.
+     * 
+     * @private
+     */
+    startForceTimer() {
+        const budgetMs = this.config.readinessDelayMs + this.config.gracePeriodMs + this.config.forceTimeoutMs;
+        
+        this.forceTimer = setTimeout(() => {
+            this.forceTimedOut = true;
+            
+            const reason = new ShutdownError('Shutdown force timeout expired', this.state, { budgetMs });
+            this.log('warn', 'Force timeout expired, aborting running shutdown hooks', { budgetMs, state: this.state });
+            this.abortController.abort(reason);
+            this.emit('force-timeout', { budgetMs });
+            
+            this.forceShutdown(EXIT_CODES.TIMEOUT);
+        }, budgetMs);
+    }
+    
+    /**
+     * Summarize hook outcomes for the shutdown report
+     * 
+     * @returns {Object} Hook names grouped by status, plus per-hook details
+     */
+    getHookReport() {
+        const results = Array.from(this.hookResults.values());
+        const namesWith = status => results.filter(result => result.status === status).map(result => result.name);
+        
+        return {
+            succeeded: namesWith(HOOK_STATUS.SUCCEEDED),
+            failed: namesWith(HOOK_STATUS.FAILED),
+            timedOut: namesWith(HOOK_STATUS.TIMED_OUT),
+            aborted: namesWith(HOOK_STATUS.ABORTED),
+            details: results
+        };
     }
     
     /**
@@ -658,21 +1245,29 @@ class ShutdownCoordinator extends EventEmitter {
      * @param {Error} [error] - Optional error for exception signals
      */
     completeShutdown(signal = 'UNKNOWN', error = null) {
+        if (this.forced || this.disposed) {
+            return;
+        }
         this.state = SHUTDOWN_STATES.TERMINATION;
         
         const shutdownDuration = this.shutdownStartTime ? 
             Date.now() - this.shutdownStartTime : 0;
         
+        clearTimeout(this.forceTimer);
+        
         const shutdownSummary = {
             signal,
             duration: shutdownDuration,
             errorsEncountered: this.shutdownErrors.length,
-            finalConnectionCount: this.activeConnections.size
+            finalConnectionCount: this.activeConnections.size,
+            hooks: this.getHookReport()
         };
         
         // Determine exit code
         let exitCode = EXIT_CODES.GRACEFUL;
-        if (error || this.shutdownErrors.length > 0) {
+        if (this.forceTimedOut) {
+            exitCode = EXIT_CODES.TIMEOUT;
+        } else if (error || this.shutdownErrors.length > 0) {
             exitCode = this.shutdownErrors.some(err => err.name === 'TimeoutError') ?
                 EXIT_CODES.TIMEOUT : EXIT_CODES.RESOURCE_CLEANUP_FAILED;
         }
@@ -683,25 +1278,40 @@ class ShutdownCoordinator extends EventEmitter {
         });
         
         this.emit('shutdown-completed', { ...shutdownSummary, exitCode });
+        this.shutdownCompleted = true;
+        this.resolveCompletion({ ...shutdownSummary, exitCode });
         
         // Final process exit
-        process.exit(exitCode);
+        this.exit(exitCode);
     }
     
     /**
      * Force immediate shutdown
      * 
+     * Runs at most once. The summary is taken just before exiting, so hooks
+     * interrupted by the abort are reported as aborted.
+     * 
      * @private
      * @param {number} exitCode - Exit code for process termination
      */
     forceShutdown(exitCode = EXIT_CODES.TIMEOUT) {
+        if (this.forced || this.disposed) {
+            return;
+        }
+        this.forced = true;
+        
         this.log('warn', 'Forcing immediate shutdown', {
             exitCode,
             activeConnections: this.activeConnections.size,
             shutdownErrors: this.shutdownErrors.length
         });
         
-        // Force close all connections
+        // Abort running hooks and force close all connections
+        clearTimeout(this.forceTimer);
+        if (!this.abortController.signal.aborted) {
+            this.abortController.abort(new ShutdownError('Forced shutdown', this.state, { exitCode }));
+        }
+        this.state = SHUTDOWN_STATES.TERMINATION;
         this.forceCloseConnections();
         
         // Clear all timers and intervals immediately
@@ -712,44 +1322,213 @@ class ShutdownCoordinator extends EventEmitter {
         
         // Force exit after brief delay to allow logging
         setTimeout(() => {
-            process.exit(exitCode);
+            if (this.disposed) {
+                return;
+            }
+            this.shutdownCompleted = true;
+            this.resolveCompletion({
+                signal: this.shutdownSignal,
+                duration: this.shutdownStartTime ? Date.now() - this.shutdownStartTime : 0,
+                errorsEncountered: this.shutdownErrors.length,
+                finalConnectionCount: this.activeConnections.size,
+                hooks: this.getHookReport(),
+                forced: true,
+                exitCode
+            });
+            this.exit(exitCode);
         }, 100);
     }
     
     /**
-     * Register a callback to execute during shutdown
+     * Register a named shutdown or cleanup hook
      * 
-     * @param {Function} callback - Async function to execute during shutdown
+     * Cleanup hooks run during the cleanup phase, after connections are drained;
+     * shutdown hooks run after them. Within a phase a hook runs after every hook
+     * named in `dependsOn`, and among hooks that are free to run, higher
+     * `priority` runs first; equal priorities run concurrently.
+     * 
+     * @param {string} name - Unique hook name, used by dependsOn and in the shutdown report
+     * @param {Function} callback - Function receiving an AbortSignal that fires when the force timeout expires
+     * @param {Object} [options] - Hook options
+     * @param {string} [options.phase='cleanup'] - 'cleanup' or 'shutdown'
+     * @param {number} [options.priority=0] - Higher runs earlier
+     * @param {Array<string>|string} [options.dependsOn=[]] - Hooks that must finish first
+     * @param {number} [options.timeoutMs] - Time allowed (defaults to hookTimeoutMs)
+     * @returns {string} The hook name
+     * @throws {Error} When the callback, name or phase is invalid
      */
-    onShutdown(callback) {
+    registerHook(name, callback, options = {}) {
         if (typeof callback !== 'function') {
-            throw new Error('Shutdown callback must be a function');
+            throw new Error(`Shutdown hook '${name}' must be a function`);
+        }
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Shutdown hook name must be a non-empty string');
+        }
+        if (this.hooks.has(name)) {
+            throw new Error(`Shutdown hook '${name}' is already registered`);
         }
         
-        this.shutdownCallbacks.push(callback);
+        const phase = options.phase || HOOK_PHASES.CLEANUP;
+        if (!Object.values(HOOK_PHASES).includes(phase)) {
+            throw new Error(`Unknown shutdown hook phase '${phase}'`);
+        }
+        
+        this.hooks.set(name, {
+            name,
+            phase,
+            callback,
+            priority: options.priority || 0,
+            dependsOn: [].concat(options.dependsOn || []),
+            timeoutMs: options.timeoutMs || this.config.hookTimeoutMs
+        });
         
-        this.log('debug', 'Shutdown callback registered', {
-            totalCallbacks: this.shutdownCallbacks.length
+        this.log('debug', 'Shutdown hook registered', {
+            hook: name,
+            phase,
+            totalHooks: this.hooks.size
         });
+        
+        return name;
+    }
+    
+    /**
+     * Remove a shutdown or cleanup hook
+     * 
+     * @param {string} name - Hook name
+     * @returns {boolean} True when a hook was removed
+     */
+    unregisterHook(name) {
+        return this.hooks.delete(name);
+    }
+    
+    /**
+     * Register a callback to execute during shutdown
+     * 
+     * @param {Function} callback - Async function to execute during shutdown
+     * @param {Object} [options] - Hook options (see registerHook); `name` defaults to `shutdown-<n>`
+     * @returns {string} The hook name
+     */
+    onShutdown(callback, options = {}) {
+        const { name = `shutdown-${++this.hookCounter}`, ...hookOptions } = options;
+        return this.registerHook(name, callback, { ...hookOptions, phase: HOOK_PHASES.SHUTDOWN });
     }
     
     /**
      * Register a callback for resource cleanup
      * 
      * @param {Function} callback - Async function to execute during resource cleanup
+     * @param {Object} [options] - Hook options (see registerHook); `name` defaults to `cleanup-<n>`
+     * @returns {string} The hook name
+     */
+    onResourceCleanup(callback, options = {}) {
+        const { name = `cleanup-${++this.hookCounter}`, ...hookOptions } = options;
+        return this.registerHook(name, callback, { ...hookOptions, phase: HOOK_PHASES.CLEANUP });
+    }
+    
+    /**
+     * Register a callback that replaces the serving generation on reload
+     * 
+     * The callback should build the replacement, check that it is ready and swap
+     * it in, throwing (or rejecting) to keep the current generation. It may
+     * resolve with `{ drain: connectionIds }` to have connections of the previous
+     * generation drained afterwards.
+     * 
+     * @param {Function} callback - Async function performing the reload
      */
-    onResourceCleanup(callback) {
+    onReload(callback) {
         if (typeof callback !== 'function') {
-            throw new Error('Resource cleanup callback must be a function');
+            throw new Error('Reload callback must be a function');
         }
         
-        this.resourceCleanupCallbacks.push(callback);
+        this.reloadCallbacks.push(callback);
         
-        this.log('debug', 'Resource cleanup callback registered', {
-            totalCallbacks: this.resourceCleanupCallbacks.length
+        this.log('debug', 'Reload callback registered', {
+            totalCallbacks: this.reloadCallbacks.length
         });
     }
     
+    /**
+     * Replace the serving generation without stopping the server
+     * 
+     * Runs the reload callbacks in registration order and stops at the first
+     * failure, which is logged; whatever is already serving keeps serving.
+     * Reloads are ignored during shutdown and while another reload runs.
+     * 
+     * @param {string} [reason='manual'] - What triggered the reload (e.g. SIGHUP)
+     * @returns {Promise<Object>} `{ reloaded, reason, duration, error? }`
+     */
+    reload(reason = 'manual') {
+        if (this.isShuttingDown()) {
+            this.log('warn', `Received ${reason} reload during shutdown, ignoring`);
+            return Promise.resolve({ reloaded: false, reason, duration: 0, error: 'shutting down' });
+        }
+        
+        if (this.reloadInProgress) {
+            this.log('warn', `Received ${reason} reload while a reload is in progress, ignoring`);
+            return this.reloadInProgress;
+        }
+        
+        this.reloadInProgress = this.executeReload(reason).finally(() => {
+            this.reloadInProgress = null;
+        });
+        
+        return this.reloadInProgress;
+    }
+    
+    /**
+     * Run the reload callbacks and drain the connections they hand over
+     * 
+     * @private
+     * @param {string} reason - What triggered the reload
+     * @returns {Promise<Object>} Reload result
+     */
+    async executeReload(reason) {
+        const startTime = Date.now();
+        
+        this.log('info', 'Reload started', { reason, callbacks: this.reloadCallbacks.length });
+        this.emit('reload-started', { reason });
+        
+        const drain = [];
+        try {
+            for (const callback of this.reloadCallbacks) {
+                const outcome = await callback();
+                if (outcome && Array.isArray(outcome.drain)) {
+                    drain.push(...outcome.drain);
+                }
+            }
+        } catch (error) {
+            const result = { reloaded: false, reason, duration: Date.now() - startTime, error: error.message };
+            
+            this.log('error', 'Reload failed, previous generation keeps serving', {
+                ...result,
+                stack: error.stack
+            });
+            this.emit('reload-failed', { ...result, error });
+            
+            return result;
+        }
+        
+        // The replacement is serving; let connections of the previous generation finish
+        if (drain.length > 0) {
+            await this.drainConnections(drain);
+        }
+        
+        const result = { reloaded: true, reason, duration: Date.now() - startTime, drainedConnections: drain.length };
+        this.log('info', 'Reload completed', result);
+        this.emit('reload-completed', result);
+        
+        return result;
+    }
+    
+    /**
+     * Get the IDs of all tracked connections
+     * 
+     * @returns {Array<string>} Connection IDs
+     */
+    getConnectionIds() {
+        return Array.from(this.activeConnections.keys());
+    }
+    
     /**
      * Track a timer for cleanup
      * 
@@ -798,11 +1577,13 @@ class ShutdownCoordinator extends EventEmitter {
             state: this.state,
             shutdownInitiated: this.shutdownInitiated,
             activeConnections: this.activeConnections.size,
+            activeRequests: this.activeRequests.size,
+            http2Sessions: this.http2Sessions.size,
             trackedTimers: this.timers.size,
             trackedIntervals: this.intervals.size,
             trackedListeners: this.eventListeners.size,
-            shutdownCallbacks: this.shutdownCallbacks.length,
-            resourceCleanupCallbacks: this.resourceCleanupCallbacks.length,
+            shutdownCallbacks: Array.from(this.hooks.values()).filter(hook => hook.phase === HOOK_PHASES.SHUTDOWN).length,
+            resourceCleanupCallbacks: Array.from(this.hooks.values()).filter(hook => hook.phase === HOOK_PHASES.CLEANUP).length,
             shutdownErrors: this.shutdownErrors.length,
             uptime: process.uptime(),
             shutdownDuration: this.shutdownStartTime ? 
@@ -823,6 +1604,8 @@ class ShutdownCoordinator extends EventEmitter {
             remoteAddress: conn.remoteAddress,
             remotePort: conn.remotePort,
             requestCount: conn.requestCount,
+            inFlight: conn.inFlight,
+            draining: conn.draining,
             lastActivity: conn.lastActivity,
             timeSinceLastActivity: Date.now() - conn.lastActivity
         }));
@@ -831,11 +1614,79 @@ class ShutdownCoordinator extends EventEmitter {
     /**
      * Trigger graceful shutdown programmatically
      * 
+     * Calling it again while a shutdown runs returns the same promise.
+     * 
      * @param {string} [reason='PROGRAMMATIC'] - Reason for shutdown
+     * @returns {Promise<Object>} Shutdown summary, including `exitCode` and the hook report
+     */
+    shutdown(reason = 'PROGRAMMATIC') {
+        if (!this.shutdownInitiated) {
+            this.log('info', 'Programmatic shutdown requested', { reason });
+            this.handleSignal(reason);
+        }
+        
+        return this.completion;
+    }
+    
+    /**
+     * Release everything the coordinator installed
+     * 
+     * Removes the process signal and exception listeners, the listeners on the
+     * registered server and any tracked listeners, and clears tracked timers and
+     * intervals. The server itself is left open. A disposed coordinator cannot be
+     * reused; the shared coordinator is reset so initializeShutdown creates a new one.
+     * 
+     * Disposing during a shutdown abandons it: running hooks are aborted, the
+     * process is not exited and `shutdown()` resolves with a summary marked
+     * `disposed` whose `exitCode` is null.
      */
-    async shutdown(reason = 'PROGRAMMATIC') {
-        this.log('info', 'Programmatic shutdown requested', { reason });
-        await this.handleSignal(reason);
+    dispose() {
+        if (this.disposed) {
+            return;
+        }
+        this.disposed = true;
+        
+        if (this.shutdownInitiated && !this.shutdownCompleted) {
+            if (!this.abortController.signal.aborted) {
+                this.abortController.abort(new ShutdownError('Shutdown coordinator disposed', this.state));
+            }
+            this.log('warn', 'Coordinator disposed during shutdown, abandoning it', { state: this.state });
+            
+            this.shutdownCompleted = true;
+            this.resolveCompletion({
+                signal: this.shutdownSignal,
+                duration: Date.now() - this.shutdownStartTime,
+                errorsEncountered: this.shutdownErrors.length,
+                finalConnectionCount: this.activeConnections.size,
+                hooks: this.getHookReport(),
+                disposed: true,
+                exitCode: null
+            });
+        }
+        
+        this.removeSignalHandlers();
+        
+        this.eventListeners.forEach((listeners, target) => {
+            listeners.forEach(({ event, handler }) => target.removeListener(event, handler));
+        });
+        this.eventListeners.clear();
+        
+        clearTimeout(this.forceTimer);
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.intervals.forEach(interval => clearInterval(interval));
+        this.timers.clear();
+        this.intervals.clear();
+        this.activeConnections.forEach(connectionInfo => {
+            clearTimeout(connectionInfo.timeout);
+            this.clearHeadersDeadline(connectionInfo);
+        });
+        
+        if (sharedCoordinator === this) {
+            sharedCoordinator = null;
+        }
+        
+        this.emit('disposed');
+        this.removeAllListeners();
     }
     
     /**
@@ -851,6 +1702,12 @@ class ShutdownCoordinator extends EventEmitter {
             return;
         }
         
+        // Tie entries logged while serving a request to that request
+        const requestId = getRequestId();
+        if (requestId && metadata.requestId === undefined) {
+            metadata = { requestId, ...metadata };
+        }
+        
         const logEntry = {
             timestamp: new Date().toISOString(),
             level: level.toUpperCase(),
@@ -889,10 +1746,81 @@ function createShutdownCoordinator(options = {}) {
     return new ShutdownCoordinator(options);
 }
 
+/**
+ * Process-wide coordinator backing the module-level facade below
+ */
+let sharedCoordinator = null;
+
+/**
+ * Register a server with the process-wide shutdown coordinator, creating it on first use
+ * 
+ * @param {http.Server} server - The HTTP server instance to manage
+ * @param {Object} [options] - Configuration options for the coordinator
+ * @returns {ShutdownCoordinator} The shared coordinator instance
+ */
+function initializeShutdown(server, options = {}) {
+    if (!sharedCoordinator) {
+        sharedCoordinator = createShutdownCoordinator(options);
+    }
+    
+    sharedCoordinator.registerServer(server);
+    
+    return sharedCoordinator;
+}
+
+/**
+ * Get the process-wide shutdown coordinator
+ * 
+ * @returns {ShutdownCoordinator|null} The shared coordinator, or null before initializeShutdown
+ */
+function getShutdownCoordinator() {
+    return sharedCoordinator;
+}
+
+/**
+ * Track an in-flight request on the shared coordinator
+ * 
+ * @param {string|number} requestId - Request identifier
+ * @param {net.Socket} socket - Socket the request arrived on
+ * @param {http.ServerResponse} [response] - Response, closed with `Connection: close` while draining
+ */
+function registerConnection(requestId, socket, response) {
+    if (sharedCoordinator) {
+        sharedCoordinator.registerRequest(requestId, socket, response);
+    }
+}
+
+/**
+ * Stop tracking a completed request on the shared coordinator
+ * 
+ * @param {string|number} requestId - Request identifier passed to registerConnection
+ */
+function unregisterConnection(requestId) {
+    if (sharedCoordinator) {
+        sharedCoordinator.unregisterRequest(requestId);
+    }
+}
+
+/**
+ * Check whether the shared coordinator is shutting down
+ * 
+ * @returns {boolean} True once the shared coordinator has left the active state
+ */
+function isShuttingDown() {
+    return sharedCoordinator !== null && sharedCoordinator.isShuttingDown();
+}
+
 module.exports = {
     ShutdownCoordinator,
     createShutdownCoordinator,
+    initializeShutdown,
+    getShutdownCoordinator,
+    registerConnection,
+    unregisterConnection,
+    isShuttingDown,
     EXIT_CODES,
     SHUTDOWN_STATES,
+    HOOK_PHASES,
+    HOOK_STATUS,
     DEFAULT_CONFIG
 };
\ No newline at end of file
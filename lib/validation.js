@@ -9,7 +9,10 @@
  * - HTTP method whitelist validation (405 Method Not Allowed)
  * - Content-Type header validation (415 Unsupported Media Type)
  * - Request size limits enforcement (413 Payload Too Large)
+ * - Message framing checks against request smuggling (400 Bad Request, logged as a security event)
+ * - Host / :authority allowlist against host-header injection (400 Bad Request, logged as a security event)
  * - URL path sanitization for directory traversal prevention
+ * - Slow-body deadlines: time to the first body byte and minimum body throughput (408)
  * - Fast-fail validation behavior with synchronous checks
  * 
  * @module validation
@@ -23,27 +26,45 @@ const url = require('url');
 const path = require('path');
 
 // Try to import custom error classes, fallback to built-in Error if not available
-let ValidationError, TimeoutError;
+let ValidationError, TimeoutError, handleError, logger;
 try {
     const errors = require('./errors');
     ValidationError = errors.ValidationError;
     TimeoutError = errors.TimeoutError;
+    handleError = errors.handleError;
+    logger = errors.logger;
 } catch (e) {
     // Create minimal error classes if errors module doesn't exist yet
     ValidationError = class ValidationError extends Error {
-        constructor(message, statusCode = 400) {
+        constructor(message, field = null, value = null, context = {}) {
             super(message);
             this.name = 'ValidationError';
-            this.statusCode = statusCode;
+            this.statusCode = context.statusCode || 400;
+            this.context = { ...context, field, value };
         }
     };
     TimeoutError = class TimeoutError extends Error {
-        constructor(message, statusCode = 408) {
+        constructor(message, timeout = 0, operation = 'unknown', context = {}) {
             super(message);
             this.name = 'TimeoutError';
-            this.statusCode = statusCode;
+            this.statusCode = 408;
+            this.context = { ...context, timeout, operation };
         }
     };
+    handleError = (error, req, res) => {
+        if (!res.headersSent) {
+            res.statusCode = error.statusCode || 400;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({
+                error: getErrorTypeFromStatusCode(res.statusCode),
+                message: error.message,
+                statusCode: res.statusCode
+            }));
+        }
+    };
+    logger = {
+        logSecurityEvent: (event, request, context) => console.warn(`Security event ${event}:`, context)
+    };
 }
 
 /**
@@ -75,7 +96,11 @@ const DEFAULT_CONFIG = {
     strictPathValidation: true,
     
     // Enable Content-Type validation for methods with body
-    validateContentType: true
+    validateContentType: true,
+    
+    // Accepted Host / :authority values ('*.example.com' matches subdomains, an
+    // optional ':port' must match exactly); empty accepts any host
+    allowedHosts: []
 };
 
 /**
@@ -88,7 +113,7 @@ const DEFAULT_CONFIG = {
  */
 function validateHttpMethod(method, allowedMethods = DEFAULT_CONFIG.allowedMethods) {
     if (!method || typeof method !== 'string') {
-        throw new ValidationError('HTTP method is required and must be a string', 400);
+        throw new ValidationError('HTTP method is required and must be a string', 'method', method);
     }
     
     const upperMethod = method.toUpperCase();
@@ -96,7 +121,9 @@ function validateHttpMethod(method, allowedMethods = DEFAULT_CONFIG.allowedMetho
     if (!allowedMethods.includes(upperMethod)) {
         throw new ValidationError(
             `HTTP method '${method}' is not allowed. Allowed methods: ${allowedMethods.join(', ')}`,
-            405
+            'method',
+            method,
+            { allowedMethods, statusCode: 405, httpErrorType: 'method_not_allowed' }
         );
     }
     
@@ -130,7 +157,8 @@ function validateContentType(method, contentType, allowedTypes = DEFAULT_CONFIG.
     if (!contentType) {
         throw new ValidationError(
             `Content-Type header is required for ${method} requests`,
-            400
+            'content-type',
+            null
         );
     }
     
@@ -140,7 +168,9 @@ function validateContentType(method, contentType, allowedTypes = DEFAULT_CONFIG.
     if (!allowedTypes.some(type => parsedContentType === type.toLowerCase())) {
         throw new ValidationError(
             `Content-Type '${parsedContentType}' is not supported. Allowed types: ${allowedTypes.join(', ')}`,
-            415
+            'content-type',
+            parsedContentType,
+            { allowedTypes, statusCode: 415, httpErrorType: 'unsupported_media_type' }
         );
     }
     
@@ -163,19 +193,23 @@ function validateRequestSize(req, maxSize = DEFAULT_CONFIG.maxBodySize) {
     const contentLength = req.headers['content-length'];
     
     if (contentLength) {
-        const size = parseInt(contentLength, 10);
+        // Digits only: parseInt would accept values such as '10abc' or '+10'
+        const size = /^\d+$/.test(contentLength) ? Number(contentLength) : NaN;
         
-        if (isNaN(size) || size < 0) {
+        if (!Number.isSafeInteger(size)) {
             throw new ValidationError(
                 'Invalid Content-Length header value',
-                400
+                'content-length',
+                contentLength
             );
         }
         
         if (size > maxSize) {
             throw new ValidationError(
                 `Request payload size ${size} bytes exceeds maximum allowed size ${maxSize} bytes`,
-                413
+                'payload_size',
+                size,
+                { actualSize: size, maxSize, statusCode: 413, httpErrorType: 'payload_too_large' }
             );
         }
         
@@ -195,6 +229,161 @@ function validateRequestSize(req, maxSize = DEFAULT_CONFIG.maxBodySize) {
     };
 }
 
+/**
+ * Transfer codings the server can decode; anything else is rejected
+ * @type {Array<string>}
+ */
+const SUPPORTED_TRANSFER_CODINGS = ['chunked'];
+
+/**
+ * HTTP parser errors (llhttp codes) caused by ambiguous or malformed message framing
+ * @type {Array<string>}
+ */
+const FRAMING_PARSE_ERRORS = [
+    'HPE_INVALID_CONTENT_LENGTH',
+    'HPE_UNEXPECTED_CONTENT_LENGTH',
+    'HPE_INVALID_TRANSFER_ENCODING',
+    'HPE_INVALID_CHUNK_SIZE',
+    'HPE_INVALID_HEADER_TOKEN',
+    'HPE_CR_EXPECTED',
+    'HPE_LF_EXPECTED'
+];
+
+/**
+ * Validates that the request body has exactly one unambiguous length
+ * 
+ * Front-end proxies and this server must agree where a request ends, or a second
+ * request can be smuggled inside the first one's body. Node's parser already rejects
+ * most of these forms; this check also covers requests that reach the handler
+ * through a lenient parser or an HTTP/2 translation, and logs every attempt.
+ * 
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {Object} Validation result with isValid and framing ('content-length', 'chunked' or 'none')
+ * @throws {ValidationError} With status 400 when the framing is ambiguous or malformed
+ */
+function validateRequestFraming(req) {
+    const contentLengths = [];
+    const transferEncodings = [];
+    const rawHeaders = req.rawHeaders || [];
+    
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        const name = rawHeaders[i].toLowerCase();
+        const value = String(rawHeaders[i + 1]);
+        
+        // Obsolete line folding (RFC 9112 section 5.2) leaves line breaks in the value
+        if (/[\r\n]/.test(value)) {
+            throw framingError(req, 'obsolete_line_folding', `Header '${rawHeaders[i]}' uses obsolete line folding`);
+        }
+        
+        if (name === 'content-length') {
+            contentLengths.push(value.trim());
+        } else if (name === 'transfer-encoding') {
+            transferEncodings.push(value);
+        }
+    }
+    
+    if (contentLengths.length > 0 && transferEncodings.length > 0) {
+        throw framingError(req, 'content_length_with_transfer_encoding',
+            'Request carries both Content-Length and Transfer-Encoding');
+    }
+    
+    if (contentLengths.length > 1 || contentLengths.some(value => value.includes(','))) {
+        throw framingError(req, 'duplicate_content_length', 'Request carries more than one Content-Length value');
+    }
+    
+    if (contentLengths.length === 1 && !/^\d+$/.test(contentLengths[0])) {
+        throw framingError(req, 'invalid_content_length', 'Content-Length must contain digits only');
+    }
+    
+    if (transferEncodings.length > 0) {
+        const codings = transferEncodings.join(',').split(',')
+            .map(coding => coding.split(';')[0].trim().toLowerCase())
+            .filter(Boolean);
+        
+        const unknown = codings.find(coding => !SUPPORTED_TRANSFER_CODINGS.includes(coding));
+        if (unknown !== undefined) {
+            throw framingError(req, 'unknown_transfer_coding', `Unsupported transfer coding '${unknown}'`);
+        }
+        
+        // chunked must be applied exactly once, as the final coding
+        if (codings.length !== 1) {
+            throw framingError(req, 'invalid_transfer_encoding', 'Transfer-Encoding must be exactly chunked');
+        }
+        
+        return { isValid: true, framing: 'chunked' };
+    }
+    
+    return { isValid: true, framing: contentLengths.length === 1 ? 'content-length' : 'none' };
+}
+
+/**
+ * Log a rejected framing attempt and build the error for it
+ * 
+ * @private
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {string} reason - Machine-readable rejection reason
+ * @param {string} message - Error message
+ * @returns {ValidationError} 400 error to throw
+ */
+function framingError(req, reason, message) {
+    logger.logSecurityEvent('request_smuggling', req, {
+        reason,
+        contentLength: req.headers['content-length'],
+        transferEncoding: req.headers['transfer-encoding']
+    });
+    
+    return new ValidationError(message, 'framing', reason, {
+        reason,
+        httpErrorType: 'bad_request'
+    });
+}
+
+/**
+ * Log an HTTP parser error caused by malformed framing
+ * 
+ * Such requests never reach the request handler; the 'clientError' handler
+ * calls this so they are recorded like the ones validateRequestFraming rejects.
+ * 
+ * @param {Error} error - Error passed to the server's 'clientError' event
+ * @param {net.Socket} socket - Client socket
+ * @returns {boolean} True when the error was a framing error (and was logged)
+ */
+function logFramingParseError(error, socket) {
+    if (!FRAMING_PARSE_ERRORS.includes(error.code)) {
+        return false;
+    }
+    
+    logger.logSecurityEvent('request_smuggling', null, {
+        reason: error.code,
+        detail: error.reason,
+        remoteAddress: socket ? socket.remoteAddress : undefined
+    });
+    return true;
+}
+
+/**
+ * Directory traversal patterns, literal and URL-encoded
+ * @type {Array<RegExp>}
+ */
+const TRAVERSAL_PATTERNS = [
+    /\.\.\//,  // ../
+    /\.\.\\/,  // ..\
+    /\.\./,    // ..
+    /%2e%2e/i, // URL encoded ..
+    /%2f/i,    // URL encoded /
+    /%5c/i     // URL encoded \
+];
+
+/**
+ * Checks a path or file name for directory traversal patterns
+ * 
+ * @param {string} value - Path or file name to inspect
+ * @returns {boolean} True when the value contains a traversal pattern
+ */
+function detectPathTraversal(value) {
+    return TRAVERSAL_PATTERNS.some(pattern => pattern.test(value));
+}
+
 /**
  * Validates and sanitizes URL path to prevent directory traversal attacks
  * 
@@ -205,7 +394,7 @@ function validateRequestSize(req, maxSize = DEFAULT_CONFIG.maxBodySize) {
  */
 function validateUrlPath(urlPath, strict = DEFAULT_CONFIG.strictPathValidation) {
     if (!urlPath || typeof urlPath !== 'string') {
-        throw new ValidationError('URL path is required and must be a string', 400);
+        throw new ValidationError('URL path is required and must be a string', 'path', urlPath);
     }
     
     // Parse URL to handle query strings and fragments
@@ -213,46 +402,39 @@ function validateUrlPath(urlPath, strict = DEFAULT_CONFIG.strictPathValidation)
     try {
         parsedUrl = url.parse(urlPath);
     } catch (error) {
-        throw new ValidationError('Invalid URL format', 400);
+        throw new ValidationError('Invalid URL format', 'path', urlPath);
     }
     
     const pathname = parsedUrl.pathname || '/';
     
     // Check for directory traversal patterns
-    const dangerousPatterns = [
-        /\.\.\//g,  // ../
-        /\.\.\\g/,  // ..\
-        /\.\./g,    // ..
-        /%2e%2e/gi, // URL encoded ..
-        /%2f/gi,    // URL encoded /
-        /%5c/gi     // URL encoded \
-    ];
-    
-    for (const pattern of dangerousPatterns) {
-        if (pattern.test(pathname)) {
-            throw new ValidationError(
-                'URL path contains suspicious patterns that could indicate directory traversal attempt',
-                400
-            );
-        }
+    if (detectPathTraversal(pathname)) {
+        throw new ValidationError(
+            'URL path contains suspicious patterns that could indicate directory traversal attempt',
+            'path',
+            pathname
+        );
     }
     
     // Additional strict validation
     if (strict) {
         // Reject paths with null bytes
         if (pathname.includes('\0')) {
-            throw new ValidationError('URL path contains null bytes', 400);
+            throw new ValidationError('URL path contains null bytes', 'path', pathname);
         }
         
         // Reject excessively long paths
         if (pathname.length > 2048) {
-            throw new ValidationError('URL path exceeds maximum length', 414);
+            throw new ValidationError('URL path exceeds maximum length', 'path', pathname, {
+                statusCode: 414,
+                httpErrorType: 'uri_too_long'
+            });
         }
         
         // Normalize path and ensure it doesn't escape root
         const normalizedPath = path.posix.normalize(pathname);
         if (normalizedPath.startsWith('../') || normalizedPath.includes('/../')) {
-            throw new ValidationError('Normalized path attempts to escape root directory', 400);
+            throw new ValidationError('Normalized path attempts to escape root directory', 'path', pathname);
         }
     }
     
@@ -274,7 +456,7 @@ function validateUrlPath(urlPath, strict = DEFAULT_CONFIG.strictPathValidation)
  */
 function validateRequestHeaders(headers) {
     if (!headers || typeof headers !== 'object') {
-        throw new ValidationError('Request headers are required', 400);
+        throw new ValidationError('Request headers are required', 'headers', null);
     }
     
     const validatedHeaders = {};
@@ -284,7 +466,8 @@ function validateRequestHeaders(headers) {
         if (typeof value === 'string' && value.length > 8192) {
             throw new ValidationError(
                 `Header '${name}' exceeds maximum length of 8192 characters`,
-                400
+                'header',
+                name
             );
         }
         
@@ -292,7 +475,8 @@ function validateRequestHeaders(headers) {
         if (typeof value === 'string' && value.includes('\0')) {
             throw new ValidationError(
                 `Header '${name}' contains null bytes`,
-                400
+                'header',
+                name
             );
         }
         
@@ -301,7 +485,7 @@ function validateRequestHeaders(headers) {
     
     // Validate Host header (required for HTTP/1.1)
     if (!validatedHeaders.host && !validatedHeaders[':authority']) {
-        throw new ValidationError('Host header is required for HTTP/1.1 requests', 400);
+        throw new ValidationError('Host header is required for HTTP/1.1 requests', 'header', 'host');
     }
     
     return {
@@ -310,6 +494,86 @@ function validateRequestHeaders(headers) {
     };
 }
 
+/**
+ * Split a Host value into hostname and port
+ * 
+ * @private
+ * @param {string} host - Host header value, e.g. "example.com:8080" or "[::1]:3000"
+ * @returns {Object|null} `{ hostname, port }` (port null when absent), or null when malformed
+ */
+function splitHost(host) {
+    const match = /^(\[[^\]]+\]|[^:\[\]]+)(?::(\d{1,5}))?$/.exec(String(host).trim());
+    return match ? { hostname: match[1].toLowerCase(), port: match[2] || null } : null;
+}
+
+/**
+ * Checks a host against an allowlist
+ * 
+ * @param {string} host - Host header, :authority or forwarded host value
+ * @param {Array<string>} allowedHosts - Allowed hosts; empty allows any host
+ * @returns {boolean} True when the host is allowed
+ */
+function isHostAllowed(host, allowedHosts = DEFAULT_CONFIG.allowedHosts) {
+    if (!allowedHosts || allowedHosts.length === 0) {
+        return true;
+    }
+    
+    const target = host ? splitHost(host) : null;
+    if (!target) {
+        return false;
+    }
+    
+    return allowedHosts.some(entry => {
+        const allowed = splitHost(entry);
+        if (!allowed || (allowed.port && allowed.port !== target.port)) {
+            return false;
+        }
+        if (allowed.hostname.startsWith('*.')) {
+            return target.hostname.endsWith(allowed.hostname.slice(1));
+        }
+        return allowed.hostname === target.hostname;
+    });
+}
+
+/**
+ * Validates the request host against the allowlist
+ * 
+ * Checks the Host header (or HTTP/2 :authority) and, for requests relayed by a
+ * trusted proxy, the forwarded host in req.clientIdentity, so neither can be used
+ * to inject a foreign host into generated links or cache keys.
+ * 
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Array<string>} allowedHosts - Allowed hosts; empty allows any host
+ * @returns {Object} Validation result with isValid and host properties
+ * @throws {ValidationError} With status 400 when a host is not allowed
+ */
+function validateHost(req, allowedHosts = DEFAULT_CONFIG.allowedHosts) {
+    const headerHost = req.headers[':authority'] || req.headers.host;
+    const identity = req.clientIdentity;
+    const hosts = [headerHost];
+    if (identity && identity.proxied && identity.host !== headerHost) {
+        hosts.push(identity.host);
+    }
+    
+    const rejected = hosts.find(host => !isHostAllowed(host, allowedHosts));
+    if (rejected !== undefined) {
+        logger.logSecurityEvent('host_header_rejected', req, {
+            host: headerHost,
+            forwardedHost: hosts[1],
+            rejected
+        });
+        
+        throw new ValidationError('Host is not allowed', 'host', rejected, {
+            httpErrorType: 'bad_request'
+        });
+    }
+    
+    return {
+        isValid: true,
+        host: identity && identity.host ? identity.host : headerHost
+    };
+}
+
 /**
  * Creates a request timeout handler for preventing hanging connections
  * 
@@ -321,15 +585,7 @@ function validateRequestHeaders(headers) {
 function createRequestTimeout(req, res, timeout = DEFAULT_CONFIG.requestTimeout) {
     const timeoutId = setTimeout(() => {
         if (!res.headersSent) {
-            const error = new TimeoutError('Request timeout exceeded', 408);
-            res.statusCode = 408;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({
-                error: 'Request Timeout',
-                message: error.message,
-                statusCode: 408,
-                timestamp: new Date().toISOString()
-            }));
+            handleError(new TimeoutError('Request timeout exceeded', timeout, 'request_processing'), req, res);
         }
         
         // Force close the connection
@@ -347,9 +603,88 @@ function createRequestTimeout(req, res, timeout = DEFAULT_CONFIG.requestTimeout)
     req.on('close', cleanup);
     req.on('error', cleanup);
     
+    // A response sent before the body was read (e.g. 408 to a slow client) ends the request too
+    res.on('close', cleanup);
+    
     return cleanup;
 }
 
+/**
+ * Validates the request line and headers: everything known before routing
+ * 
+ * Covers the method, headers, host, message framing and URL path. Callers that
+ * resolve routes run this first, report 404/405 next, and only then check the
+ * body with validateRequestPayload.
+ * 
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Object} config - Validation configuration object
+ * @returns {Object} Validation results for method, headers and path
+ * @throws {ValidationError} When any check fails
+ */
+function validateRequestHead(req, res, config = {}) {
+    const validationConfig = { ...DEFAULT_CONFIG, ...config };
+    
+    // 1. Validate HTTP method
+    const methodResult = validateHttpMethod(req.method, validationConfig.allowedMethods);
+    
+    // 2. Validate request headers
+    const headersResult = validateRequestHeaders(req.headers);
+    
+    // 2a. Reject hosts outside the allowlist (including forwarded hosts)
+    validateHost(req, validationConfig.allowedHosts);
+    
+    // 2b. Reject ambiguous message framing before the body is read; the
+    // connection cannot be trusted for another request afterwards
+    try {
+        validateRequestFraming(req);
+    } catch (framingFailure) {
+        if (res && !res.headersSent && req.httpVersionMajor < 2) {
+            res.setHeader('Connection', 'close');
+        }
+        throw framingFailure;
+    }
+    
+    // 3. Validate and sanitize URL path
+    const pathResult = validateUrlPath(req.url, validationConfig.strictPathValidation);
+    
+    return {
+        method: methodResult,
+        headers: headersResult,
+        path: pathResult
+    };
+}
+
+/**
+ * Validates the declared body: Content-Type and size
+ * 
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} config - Validation configuration object
+ * @returns {Object} Validation results for contentType and size
+ * @throws {ValidationError} When the Content-Type is unsupported or the body too large
+ */
+function validateRequestPayload(req, config = {}) {
+    const validationConfig = { ...DEFAULT_CONFIG, ...config };
+    
+    // 4. Validate Content-Type (if applicable)
+    let contentTypeResult = { isValid: true, skipValidation: true };
+    if (validationConfig.validateContentType) {
+        contentTypeResult = validateContentType(
+            req.method,
+            req.headers['content-type'],
+            validationConfig.allowedContentTypes
+        );
+    }
+    
+    // 5. Validate request size
+    const sizeResult = validateRequestSize(req, validationConfig.maxBodySize);
+    
+    return {
+        contentType: contentTypeResult,
+        size: sizeResult
+    };
+}
+
 /**
  * Comprehensive request validation middleware
  * 
@@ -375,32 +710,8 @@ function validateRequest(req, res, config = {}) {
         // Create timeout handler first
         const timeoutCleanup = createRequestTimeout(req, res, validationConfig.requestTimeout);
         
-        // 1. Validate HTTP method
-        const methodResult = validateHttpMethod(req.method, validationConfig.allowedMethods);
-        validationResult.method = methodResult;
-        
-        // 2. Validate request headers
-        const headersResult = validateRequestHeaders(req.headers);
-        validationResult.headers = headersResult;
-        
-        // 3. Validate Content-Type (if applicable)
-        let contentTypeResult = { isValid: true, skipValidation: true };
-        if (validationConfig.validateContentType) {
-            contentTypeResult = validateContentType(
-                methodResult.method,
-                req.headers['content-type'],
-                validationConfig.allowedContentTypes
-            );
-        }
-        validationResult.contentType = contentTypeResult;
-        
-        // 4. Validate request size
-        const sizeResult = validateRequestSize(req, validationConfig.maxBodySize);
-        validationResult.size = sizeResult;
-        
-        // 5. Validate and sanitize URL path
-        const pathResult = validateUrlPath(req.url, validationConfig.strictPathValidation);
-        validationResult.path = pathResult;
+        Object.assign(validationResult, validateRequestHead(req, res, validationConfig));
+        Object.assign(validationResult, validateRequestPayload(req, validationConfig));
         
         // All validations passed
         validationResult.isValid = true;
@@ -409,33 +720,8 @@ function validateRequest(req, res, config = {}) {
         return validationResult;
         
     } catch (error) {
-        // Validation failed - prepare error response
-        const statusCode = error.statusCode || 400;
-        const errorResponse = {
-            error: getErrorTypeFromStatusCode(statusCode),
-            message: error.message,
-            statusCode: statusCode,
-            timestamp: new Date().toISOString(),
-            path: req.url,
-            method: req.method
-        };
-        
-        // Set appropriate response headers
-        if (!res.headersSent) {
-            res.statusCode = statusCode;
-            res.setHeader('Content-Type', 'application/json');
-            res.setHeader('X-Content-Type-Options', 'nosniff');
-            res.setHeader('X-Frame-Options', 'DENY');
-            res.setHeader('X-XSS-Protection', '1; mode=block');
-            
-            // Add specific error headers
-            if (statusCode === 405) {
-                res.setHeader('Allow', validationConfig.allowedMethods.join(', '));
-            }
-        }
-        
+        // Validation failed - the caller renders the response through handleError
         validationResult.error = error;
-        validationResult.errorResponse = errorResponse;
         
         // Re-throw the error for the caller to handle
         throw error;
@@ -483,28 +769,8 @@ function createValidationMiddleware(config = {}) {
             return result;
             
         } catch (error) {
-            // Handle validation error
-            if (!res.headersSent) {
-                const statusCode = error.statusCode || 400;
-                const errorResponse = {
-                    error: getErrorTypeFromStatusCode(statusCode),
-                    message: error.message,
-                    statusCode: statusCode,
-                    timestamp: new Date().toISOString()
-                };
-                
-                res.statusCode = statusCode;
-                res.setHeader('Content-Type', 'application/json');
-                res.setHeader('X-Content-Type-Options', 'nosniff');
-                res.setHeader('X-Frame-Options', 'DENY');
-                res.setHeader('X-XSS-Protection', '1; mode=block');
-                
-                if (statusCode === 405) {
-                    res.setHeader('Allow', (config.allowedMethods || DEFAULT_CONFIG.allowedMethods).join(', '));
-                }
-                
-                res.end(JSON.stringify(errorResponse));
-            }
+            // Render the validation error in the configured error response format
+            handleError(error, req, res);
             
             // Don't call next on error
             return null;
@@ -515,23 +781,41 @@ function createValidationMiddleware(config = {}) {
 /**
  * Stream validation for chunked requests without Content-Length
  * 
+ * Counts body bytes as they arrive and rejects as soon as the limit is crossed.
+ * Callers that need the payload (such as the body parser) receive each accepted
+ * chunk through `options.onData`.
+ * 
  * @param {http.IncomingMessage} req - HTTP request object
  * @param {number} maxSize - Maximum allowed size
+ * @param {Object} [options] - Stream validation options
+ * @param {Function} [options.onData] - Called with each chunk that fits within the limit
+ * @param {number} [options.timeout] - Time allowed for the whole body to arrive
  * @returns {Promise<boolean>} Promise that resolves when validation completes
  */
-function validateRequestStream(req, maxSize = DEFAULT_CONFIG.maxBodySize) {
+function validateRequestStream(req, maxSize = DEFAULT_CONFIG.maxBodySize, options = {}) {
+    const timeout = options.timeout || DEFAULT_CONFIG.requestTimeout;
+    
+    // An answered HTTP/1 request whose body was never read only closes with its socket;
+    // HTTP/2 requests close with their stream
+    const socket = req.httpVersionMajor < 2 ? req.socket : null;
+    
     return new Promise((resolve, reject) => {
         let totalSize = 0;
         let isValidating = true;
         
         const cleanup = () => {
             isValidating = false;
-            req.removeAllListeners('data');
-            req.removeAllListeners('end');
-            req.removeAllListeners('error');
+            clearTimeout(timeoutId);
+            req.removeListener('data', onData);
+            req.removeListener('end', onEnd);
+            req.removeListener('error', onError);
+            req.removeListener('close', onClose);
+            if (socket) {
+                socket.removeListener('close', onClose);
+            }
         };
         
-        req.on('data', (chunk) => {
+        const onData = (chunk) => {
             if (!isValidating) return;
             
             totalSize += chunk.length;
@@ -540,43 +824,164 @@ function validateRequestStream(req, maxSize = DEFAULT_CONFIG.maxBodySize) {
                 cleanup();
                 reject(new ValidationError(
                     `Request payload size ${totalSize} bytes exceeds maximum allowed size ${maxSize} bytes`,
-                    413
+                    'payload_size',
+                    totalSize,
+                    { actualSize: totalSize, maxSize, statusCode: 413, httpErrorType: 'payload_too_large' }
                 ));
+                return;
             }
-        });
+            
+            if (options.onData) {
+                options.onData(chunk);
+            }
+        };
         
-        req.on('end', () => {
+        const onEnd = () => {
             if (!isValidating) return;
             cleanup();
             resolve(true);
-        });
+        };
         
-        req.on('error', (error) => {
+        const onError = (error) => {
             if (!isValidating) return;
             cleanup();
             reject(error);
-        });
+        };
+        
+        // The request closed mid-body, e.g. after a slow client was answered with 408
+        const onClose = () => {
+            if (!isValidating) return;
+            cleanup();
+            reject(new ValidationError(
+                'Request closed before the body was complete',
+                'request_body',
+                totalSize,
+                { receivedSize: totalSize }
+            ));
+        };
         
         // Set a timeout for the stream validation
-        setTimeout(() => {
+        const timeoutId = setTimeout(() => {
             if (isValidating) {
                 cleanup();
-                reject(new TimeoutError('Request stream validation timeout', 408));
+                reject(new TimeoutError(
+                    'Request stream validation timeout',
+                    timeout,
+                    'request_stream_validation'
+                ));
             }
-        }, DEFAULT_CONFIG.requestTimeout);
+        }, timeout);
+        
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+        req.on('close', onClose);
+        if (socket) {
+            socket.on('close', onClose);
+        }
     });
 }
 
+/**
+ * How often body throughput is checked against the minimum rate
+ */
+const BODY_RATE_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Watch a request body for clients that send it too slowly
+ * 
+ * Runs alongside the body reader: race the reader against `violation`, then call
+ * `stop()` once reading settles. Throughput is averaged from the first body byte
+ * and checked only after the grace period, so short pauses are tolerated.
+ * 
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} [options] - Deadline options (0 disables one)
+ * @param {number} [options.bodyStartTimeoutMs=0] - Time allowed until the first body byte
+ * @param {number} [options.minBodyRate=0] - Minimum average throughput in bytes per second
+ * @param {number} [options.bodyRateGraceMs=0] - Time after the first byte before throughput is checked
+ * @returns {{violation: Promise<never>, stop: Function}} Rejects with a TimeoutError (operation
+ *   'request_body_start' or 'request_body_rate') when a deadline is missed
+ */
+function watchBodyDeadlines(req, options = {}) {
+    const { bodyStartTimeoutMs = 0, minBodyRate = 0, bodyRateGraceMs = 0 } = options;
+    let firstByteAt = null;
+    let bytesReceived = 0;
+    let startTimer = null;
+    let rateInterval = null;
+    let stopped = false;
+    let rejectViolation;
+    
+    const violation = new Promise((resolve, reject) => {
+        rejectViolation = reject;
+    });
+    
+    const stop = () => {
+        stopped = true;
+        clearTimeout(startTimer);
+        clearInterval(rateInterval);
+        req.removeListener('data', onData);
+        req.removeListener('end', stop);
+    };
+    
+    const fail = (error) => {
+        if (stopped) return;
+        stop();
+        rejectViolation(error);
+    };
+    
+    const checkRate = () => {
+        const elapsed = Date.now() - firstByteAt;
+        if (elapsed >= bodyRateGraceMs && bytesReceived / (elapsed / 1000) < minBodyRate) {
+            fail(new TimeoutError(
+                'Request body is arriving too slowly',
+                elapsed,
+                'request_body_rate',
+                { bytesReceived, minBodyRate }
+            ));
+        }
+    };
+    
+    const onData = (chunk) => {
+        bytesReceived += chunk.length;
+        if (firstByteAt !== null) return;
+        
+        firstByteAt = Date.now();
+        clearTimeout(startTimer);
+        if (minBodyRate > 0) {
+            rateInterval = setInterval(checkRate, BODY_RATE_CHECK_INTERVAL_MS);
+        }
+    };
+    
+    if (bodyStartTimeoutMs > 0) {
+        startTimer = setTimeout(() => {
+            fail(new TimeoutError('Request body did not start in time', bodyStartTimeoutMs, 'request_body_start'));
+        }, bodyStartTimeoutMs);
+    }
+    
+    req.on('data', onData);
+    req.once('end', stop);
+    
+    return { violation, stop };
+}
+
 // Export all functions and configuration
 module.exports = {
     // Main validation functions
     validateRequest,
+    validateRequestHead,
+    validateRequestPayload,
     validateHttpMethod,
     validateContentType,
     validateRequestSize,
+    validateRequestFraming,
+    logFramingParseError,
     validateUrlPath,
     validateRequestHeaders,
+    validateHost,
+    isHostAllowed,
     validateRequestStream,
+    watchBodyDeadlines,
+    detectPathTraversal,
     
     // Middleware and utilities
     createValidationMiddleware,
@@ -0,0 +1,292 @@
+/**
+ * Memory and Event-Loop Watchdog
+ *
+ * Samples heap, RSS and event-loop delay on an interval tracked by the shutdown
+ * coordinator, sheds new requests while the process is under pressure and asks for
+ * a graceful restart before it runs out of memory.
+ *
+ * Features:
+ * - Heap used and RSS read from process.memoryUsage(); event-loop delay (p99 over
+ *   the last interval) from perf_hooks.monitorEventLoopDelay
+ * - Soft thresholds: new requests are refused with 503 and Retry-After until the
+ *   next sample is back below every soft threshold
+ * - Hard thresholds: ShutdownCoordinator.shutdown('MEMORY_PRESSURE') (or
+ *   'EVENT_LOOP_PRESSURE'), so a supervisor replaces the process
+ * - Thresholds of null are disabled, except the heap thresholds: the soft one
+ *   defaults to 75% and the hard one to 90% of the V8 heap limit
+ *
+ * @module watchdog
+ * @requires perf_hooks
+ * @requires v8
+ */
+
+'use strict';
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const v8 = require('v8');
+const { ServiceUnavailableError } = require('./errors');
+
+/**
+ * Default watchdog settings (byte and millisecond thresholds; null disables one)
+ */
+const DEFAULT_OPTIONS = {
+    memoryThreshold: null,                // Heap used above which requests are shed (null: 75% of the heap limit)
+    memoryHardThreshold: null,            // Heap used that triggers a restart (null: 90% of the heap limit)
+    rssThreshold: null,                   // RSS above which requests are shed
+    rssHardThreshold: null,               // RSS that triggers a restart (e.g. just under a container limit)
+    eventLoopDelayThreshold: 1000,        // p99 event-loop delay above which requests are shed
+    eventLoopDelayHardThreshold: null,    // p99 event-loop delay that triggers a restart
+    sampleIntervalMs: 1000,               // How often the process is sampled
+    retryAfterSeconds: 5                  // Retry-After sent with shed requests
+};
+
+/**
+ * Pressure levels, from least to most severe
+ */
+const LEVELS = {
+    OK: 'ok',
+    SOFT: 'soft',
+    HARD: 'hard'
+};
+
+/**
+ * Shares of the V8 heap limit used as the heap thresholds when none are configured
+ */
+const DEFAULT_SOFT_HEAP_RATIO = 0.75;
+const DEFAULT_HARD_HEAP_RATIO = 0.9;
+
+/**
+ * Resolution of the event-loop delay histogram in milliseconds
+ */
+const EVENT_LOOP_RESOLUTION_MS = 20;
+
+/**
+ * Watchdog Class
+ */
+class Watchdog {
+    /**
+     * @param {Object} [options] - Watchdog options (see DEFAULT_OPTIONS)
+     * @param {Object} [options.coordinator] - ShutdownCoordinator that tracks the interval and performs the restart
+     * @param {Object} [options.logger] - Logger with logInfo(message, context) and logWarning(message, context)
+     */
+    constructor(options = {}) {
+        const { coordinator = null, logger = null, ...settings } = options;
+
+        this.coordinator = coordinator;
+        this.logger = logger;
+        this.configure(settings);
+
+        this.level = LEVELS.OK;
+        this.reasons = [];
+        this.lastSample = null;
+        this.shutdownRequested = false;
+        this.histogram = null;
+        this.interval = null;
+    }
+
+    /**
+     * Replace the thresholds, e.g. after a configuration reload
+     *
+     * The sample interval only changes on the next start().
+     *
+     * @param {Object} settings - Watchdog options (see DEFAULT_OPTIONS)
+     * @returns {Watchdog} The watchdog, for chaining
+     */
+    configure(settings) {
+        this.options = { ...DEFAULT_OPTIONS, ...settings };
+
+        const heapLimit = v8.getHeapStatistics().heap_size_limit;
+        if (this.options.memoryThreshold === null) {
+            this.options.memoryThreshold = Math.floor(heapLimit * DEFAULT_SOFT_HEAP_RATIO);
+        }
+        if (this.options.memoryHardThreshold === null) {
+            this.options.memoryHardThreshold = Math.floor(heapLimit * DEFAULT_HARD_HEAP_RATIO);
+        }
+        return this;
+    }
+
+    /**
+     * Start sampling
+     *
+     * @returns {Watchdog} The watchdog, for chaining
+     */
+    start() {
+        if (this.interval) {
+            return this;
+        }
+
+        this.histogram = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+        this.histogram.enable();
+
+        this.interval = setInterval(() => this.sample(), this.options.sampleIntervalMs);
+        this.interval.unref();
+        if (this.coordinator) {
+            this.coordinator.trackInterval(this.interval);
+        }
+
+        return this;
+    }
+
+    /**
+     * Stop sampling
+     */
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+
+        if (this.histogram) {
+            this.histogram.disable();
+            this.histogram = null;
+        }
+    }
+
+    /**
+     * Take one sample and act on the pressure level it shows
+     *
+     * @returns {Object} `{ heapUsed, rss, eventLoopDelayMs }`
+     */
+    sample() {
+        const { heapUsed, rss } = process.memoryUsage();
+        let eventLoopDelayMs = 0;
+        if (this.histogram) {
+            eventLoopDelayMs = Math.round(this.histogram.percentile(99) / 1e6);
+            this.histogram.reset();
+        }
+
+        this.lastSample = { heapUsed, rss, eventLoopDelayMs };
+
+        const measurements = [
+            { name: 'heap', value: heapUsed, soft: this.options.memoryThreshold, hard: this.options.memoryHardThreshold },
+            { name: 'rss', value: rss, soft: this.options.rssThreshold, hard: this.options.rssHardThreshold },
+            { name: 'eventLoopDelay', value: eventLoopDelayMs, soft: this.options.eventLoopDelayThreshold, hard: this.options.eventLoopDelayHardThreshold }
+        ];
+        const over = limit => measurements.filter(m => m[limit] !== null && m.value > m[limit]).map(m => m.name);
+
+        const hard = over('hard');
+        const soft = over('soft');
+        if (hard.length > 0) {
+            this.transition(LEVELS.HARD, hard);
+            this.requestRestart(hard);
+        } else if (soft.length > 0) {
+            this.transition(LEVELS.SOFT, soft);
+        } else {
+            this.transition(LEVELS.OK, []);
+        }
+
+        return this.lastSample;
+    }
+
+    /**
+     * Record a new pressure level, logging when it changes
+     *
+     * @private
+     * @param {string} level - New level (see LEVELS)
+     * @param {Array<string>} reasons - Measurements over their threshold
+     */
+    transition(level, reasons) {
+        const previous = this.level;
+        this.level = level;
+        this.reasons = reasons;
+
+        if (level === previous) {
+            return;
+        }
+
+        if (level === LEVELS.OK) {
+            this.log('logInfo', 'Watchdog pressure cleared, accepting requests again', this.lastSample);
+        } else {
+            this.log('logWarning', 'Watchdog detected resource pressure, shedding new requests', {
+                level,
+                reasons,
+                ...this.lastSample
+            });
+        }
+    }
+
+    /**
+     * Ask the coordinator for a graceful shutdown, once
+     *
+     * @private
+     * @param {Array<string>} reasons - Measurements over their hard threshold
+     */
+    requestRestart(reasons) {
+        if (this.shutdownRequested || !this.coordinator) {
+            return;
+        }
+        this.shutdownRequested = true;
+
+        const memoryPressure = reasons.includes('heap') || reasons.includes('rss');
+        const reason = memoryPressure ? 'MEMORY_PRESSURE' : 'EVENT_LOOP_PRESSURE';
+
+        this.log('logWarning', 'Watchdog hard threshold exceeded, shutting down for a restart', {
+            reason,
+            reasons,
+            ...this.lastSample
+        });
+        this.coordinator.shutdown(reason);
+    }
+
+    /**
+     * Whether new requests should be refused
+     *
+     * @returns {boolean} True while any soft or hard threshold is exceeded
+     */
+    isShedding() {
+        return this.level !== LEVELS.OK;
+    }
+
+    /**
+     * Error for a request refused while shedding load
+     *
+     * @returns {ServiceUnavailableError} 503 carrying Retry-After
+     */
+    createSheddingError() {
+        return new ServiceUnavailableError('Server is overloaded, retry later', this.options.retryAfterSeconds, {
+            reasons: this.reasons
+        });
+    }
+
+    /**
+     * Current level and last sample, for health reports
+     *
+     * @returns {Object} `{ level, reasons, sample }`
+     */
+    getStatus() {
+        return {
+            level: this.level,
+            reasons: this.reasons,
+            sample: this.lastSample
+        };
+    }
+
+    /**
+     * Write a log entry when a logger was supplied
+     *
+     * @private
+     * @param {string} method - Logger method name
+     * @param {string} message - Log message
+     * @param {Object} context - Log context
+     */
+    log(method, message, context) {
+        if (this.logger) {
+            this.logger[method](message, context);
+        }
+    }
+}
+
+/**
+ * Create and start a watchdog
+ *
+ * @param {Object} [options] - Watchdog options (see Watchdog)
+ * @returns {Watchdog} Running watchdog
+ */
+function createWatchdog(options = {}) {
+    return new Watchdog(options).start();
+}
+
+module.exports = {
+    Watchdog,
+    createWatchdog,
+    LEVELS,
+    DEFAULT_OPTIONS
+};
@@ -1,25 +1,201 @@
-const http = require('http');
-const { handleError, ValidationError, TimeoutError, ShutdownError, InternalError } = require('./lib/errors');
-const { validateRequest } = require('./lib/validation');
-const { initializeShutdown, registerConnection, unregisterConnection, isShuttingDown } = require('./lib/shutdown');
+const cluster = require('cluster');
+const url = require('url');
+const { handleError, configureErrorResponses, logger, AppError, TimeoutError, InternalError, ServiceUnavailableError } = require('./lib/errors');
+const { validateRequestHead, validateRequestPayload, createRequestTimeout, watchBodyDeadlines, logFramingParseError } = require('./lib/validation');
+const { initializeShutdown, registerConnection, unregisterConnection, isShuttingDown, SHUTDOWN_STATES } = require('./lib/shutdown');
+const { loadConfig } = require('./lib/config');
+const { createRouter } = require('./lib/router');
+const { parseBody, parseContentType, hasBody } = require('./lib/body');
+const { parseMultipart, UploadDirectory } = require('./lib/multipart');
+const { validateRequestData } = require('./lib/schema');
+const { createRequestContext, runWithContext } = require('./lib/context');
+const { createAccessLogger } = require('./lib/accessLog');
+const { createRegistry, registerDefaultMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { createHealthChecks } = require('./lib/health');
+const { createRateLimiter, MemoryStore } = require('./lib/rateLimit');
+const { createCorsPolicy, isPreflightRequest } = require('./lib/cors');
+const { configureSecurityHeaders, applySecurityHeaders, createReportHandler, REPORT_CONTENT_TYPES } = require('./lib/securityHeaders');
+const { createListener } = require('./lib/listener');
+const { startCluster, attachWorker, reportWorkerReady } = require('./lib/cluster');
+const { createWatchdog } = require('./lib/watchdog');
+const { createClientResolver } = require('./lib/proxy');
+const { createIpAccessPolicy } = require('./lib/ipAccess');
 
-const hostname = '127.0.0.1';
-const port = 3000;
+// Load configuration from environment and optional config file - fail fast on invalid settings
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const { host: hostname, port } = config.server;
+
+// Cluster mode: the primary only supervises workers, each of which runs the server below
+const { enabled: clusterEnabled, ...clusterSettings } = config.cluster;
+if (require.main === module && clusterEnabled && cluster.isPrimary) {
+  const { readinessDelayMs, gracePeriodMs, forceTimeoutMs } = config.shutdown;
+  if (config.rateLimit.enabled) {
+    // Each worker keeps its own MemoryStore, so a client may make `limit` requests per worker
+    logger.logWarning('Rate limits are enforced per worker in cluster mode', {
+      limit: config.rateLimit.limit,
+      workers: clusterSettings.workers,
+      effectiveLimit: config.rateLimit.limit * clusterSettings.workers
+    });
+  }
+  startCluster({
+    ...clusterSettings,
+    // Workers get their whole drain sequence plus a margin before they are killed
+    shutdownTimeoutMs: readinessDelayMs + gracePeriodMs + forceTimeoutMs + 5000
+  });
+  return;
+}
 
 // Connection registry for tracking active HTTP connections
 const activeConnections = new Map();
 let connectionId = 0;
 
-// Request timeout configuration (30 seconds)
-const REQUEST_TIMEOUT = 30000;
+// Uploaded files live in a per-process directory wiped during shutdown cleanup
+const uploadDirectory = new UploadDirectory(config.multipart.tempDir);
+
+// One access log entry per finished response
+const accessLogger = createAccessLogger(config.accessLog);
+
+// Rate limit state lives in one store shared by every limiter, so it survives reloads
+const rateLimitStore = new MemoryStore();
+
+// Settings bound to the listener, routes or process-wide resources; changing them needs a restart
+const RESTART_REQUIRED_SETTINGS = [
+  'server.host', 'server.port', 'server.protocol', 'tls', 'cluster', 'shutdown', 'multipart.tempDir',
+  'accessLog', 'metrics', 'health', 'securityHeaders.reportEndpoint', 'securityHeaders.reportPath',
+  'resources.watchdogEnabled', 'resources.sampleIntervalMs',
+  'clientLimits.headersTimeoutMs', 'clientLimits.maxConnectionsPerIp'
+];
+
+// A generation holds everything derived from one configuration. Each request keeps the
+// generation it started with, so a reload (SIGHUP) never changes settings mid-request.
+const buildGeneration = (generationConfig, id) => {
+  const { tempDir, ...multipartLimits } = generationConfig.multipart;
+
+  // Rate limiting: routes may set their own policy or opt out with false
+  const { enabled: rateLimitEnabled, ...rateLimitSettings } = generationConfig.rateLimit;
+  const globalRateLimiter = rateLimitEnabled ?
+    createRateLimiter({ ...rateLimitSettings, store: rateLimitStore }) :
+    null;
+  const routeRateLimiters = new WeakMap();
+
+  // CORS: the global policy applies when enabled; routes may set their own policy or opt out with false
+  const { enabled: corsEnabled, ...corsSettings } = generationConfig.cors;
+  const globalCorsPolicy = corsEnabled ? createCorsPolicy(corsSettings) : null;
+  const routeCorsPolicies = new WeakMap();
+
+  const { reportEndpoint, ...securityHeaderSettings } = generationConfig.securityHeaders;
+
+  // IP access control: routes may set their own lists, use the admin lists ('admin') or opt out with false.
+  // Admin routes need an address in both allow lists; without an admin list the global one applies.
+  const { adminAllow, ...ipAccessSettings } = generationConfig.ipAccess;
+  const globalIpAccessPolicy = createIpAccessPolicy(ipAccessSettings);
+  const adminIpAccessPolicy = createIpAccessPolicy({
+    ...ipAccessSettings,
+    allow: adminAllow,
+    baseAllow: ipAccessSettings.allow,
+    name: 'admin'
+  });
+  const routeIpAccessPolicies = new WeakMap();
+
+  return {
+    id,
+    config: generationConfig,
+    requestTimeout: generationConfig.server.requestTimeout,
+    multipartLimits,
+
+    // Client IP, protocol and host, taken from forwarding headers only for trusted proxies
+    resolveClient: createClientResolver(generationConfig.proxy),
+
+    getRateLimiter: (route) => {
+      if (!route || route.options.rateLimit === undefined) {
+        return globalRateLimiter;
+      }
+      if (route.options.rateLimit === false) {
+        return null;
+      }
+      if (!routeRateLimiters.has(route)) {
+        routeRateLimiters.set(route, createRateLimiter({
+          ...rateLimitSettings,
+          name: `route:${route.pattern}`,
+          ...route.options.rateLimit,
+          store: rateLimitStore
+        }));
+      }
+      return routeRateLimiters.get(route);
+    },
+
+    getIpAccessPolicy: (route) => {
+      if (!route || route.options.ipAccess === undefined) {
+        return globalIpAccessPolicy;
+      }
+      if (route.options.ipAccess === false) {
+        return null;
+      }
+      if (route.options.ipAccess === 'admin') {
+        return adminIpAccessPolicy;
+      }
+      if (!routeIpAccessPolicies.has(route)) {
+        routeIpAccessPolicies.set(route, createIpAccessPolicy({
+          ...ipAccessSettings,
+          name: `route:${route.pattern}`,
+          ...route.options.ipAccess
+        }));
+      }
+      return routeIpAccessPolicies.get(route);
+    },
+
+    getCorsPolicy: (route) => {
+      if (!route || route.options.cors === undefined) {
+        return globalCorsPolicy;
+      }
+      if (route.options.cors === false) {
+        return null;
+      }
+      if (!routeCorsPolicies.has(route)) {
+        routeCorsPolicies.set(route, createCorsPolicy({ ...corsSettings, ...route.options.cors }));
+      }
+      return routeCorsPolicies.get(route);
+    },
+
+    // Install the process-wide settings: error format and security headers
+    activate: () => {
+      configureErrorResponses(generationConfig.errors);
+      configureSecurityHeaders({
+        ...securityHeaderSettings,
+        reportPath: reportEndpoint ? securityHeaderSettings.reportPath : null
+      });
+    }
+  };
+};
+
+let generation = buildGeneration(config, 1);
+generation.activate();
 
 // Enhanced request handler with comprehensive error handling and validation
-const requestHandler = async (req, res) => {
+const processRequest = async (req, res, requestGeneration) => {
+  const { config, requestTimeout } = requestGeneration;
   const startTime = Date.now();
   const currentConnectionId = ++connectionId;
+  applySecurityHeaders(res);
+  accessLogger.track(req, res, startTime);
+  if (httpMetrics) {
+    httpMetrics.trackRequest(req, res);
+  }
   
-  // Register connection for tracking during graceful shutdown
-  registerConnection(currentConnectionId, req.socket);
+  // Register the request against its connection for keep-alive aware draining; it stays
+  // in flight until the response is finished (or the connection is lost)
+  registerConnection(currentConnectionId, req.socket, res);
+  res.once('close', () => {
+    activeConnections.delete(currentConnectionId);
+    unregisterConnection(currentConnectionId);
+  });
   activeConnections.set(currentConnectionId, {
     socket: req.socket,
     startTime,
@@ -28,54 +204,140 @@ const requestHandler = async (req, res) => {
   });
 
   try {
-    // Check if server is shutting down - reject new requests
-    if (isShuttingDown()) {
-      res.statusCode = 503;
-      res.setHeader('Content-Type', 'application/json');
-      addSecurityHeaders(res);
-      res.end(JSON.stringify({ 
-        error: 'Server shutting down', 
-        message: 'Server is currently shutting down and not accepting new requests' 
-      }));
+    // Resolve the route first so its validation overrides apply to this request
+    let { pathname, query } = url.parse(req.url, true);
+    const match = router.resolve(req.method, pathname || '/');
+
+    // A CORS preflight targets the route of the method it asks about
+    const preflightMatch = isPreflightRequest(req) ?
+      router.resolve(req.headers['access-control-request-method'], pathname || '/') :
+      null;
+    const corsPolicy = requestGeneration.getCorsPolicy((preflightMatch || match).route);
+    req.route = (preflightMatch && corsPolicy ? preflightMatch : match).route;
+
+    // Check if server is shutting down - reject new requests except on operational routes.
+    // While shutdown is pending (the readiness delay) traffic is still served normally.
+    const rejectDuringShutdown = isShuttingDown() && shutdownCoordinator.state !== SHUTDOWN_STATES.SHUTDOWN_PENDING;
+    if (rejectDuringShutdown && !(match.route && match.route.options.availableDuringShutdown)) {
+      // HTTP/2 forbids connection headers; its sessions are closed with GOAWAY instead
+      if (req.httpVersionMajor < 2) {
+        res.setHeader('Connection', 'close');
+      }
+      handleError(new ServiceUnavailableError('Server is currently shutting down and not accepting new requests'), req, res);
+      return;
+    }
+
+    // Shed load while the watchdog reports memory or event-loop pressure; probes and metrics still answer
+    if (watchdog && watchdog.isShedding() && !(match.route && match.route.options.availableDuringShutdown)) {
+      handleError(watchdog.createSheddingError(), req, res);
       return;
     }
 
     // Set request timeout to prevent hanging connections
     const timeoutId = setTimeout(() => {
       if (!res.headersSent) {
-        const timeoutError = new TimeoutError('Request timeout exceeded');
+        const timeoutError = new TimeoutError('Request timeout exceeded', requestTimeout, 'request_processing');
         handleError(timeoutError, req, res);
       }
-    }, REQUEST_TIMEOUT);
+    }, requestTimeout);
+
+    const routeOptions = req.route ? req.route.options : {};
+    const validationConfig = { ...config.validation, ...routeOptions.validation };
 
-    // Perform comprehensive input validation
     try {
-      await validateRequest(req);
-    } catch (validationError) {
-      clearTimeout(timeoutId);
-      if (validationError instanceof ValidationError) {
-        handleError(validationError, req, res);
+      // Refuse clients outside the IP allow/deny lists before any other work
+      const ipAccessPolicy = requestGeneration.getIpAccessPolicy(req.route);
+      if (ipAccessPolicy) {
+        ipAccessPolicy.enforce(req);
+      }
+
+      // Enforce the client's request quota before doing any work for it
+      const rateLimiter = requestGeneration.getRateLimiter(req.route);
+      if (rateLimiter) {
+        await rateLimiter.consume(req, res);
+      }
+
+      // Validate the request line and headers, then report an unmatched path (404) or a
+      // method the route does not serve (405) before judging the body it declares
+      createRequestTimeout(req, res, validationConfig.requestTimeout);
+      validateRequestHead(req, res, validationConfig);
+
+      // Answer CORS preflights and reject disallowed origins; preflights are rate limited
+      // and their head validated (Host allowlist, framing, path) like any other request
+      if (corsPolicy) {
+        let allowedMethods = config.validation.allowedMethods;
+        if (preflightMatch && preflightMatch.error) {
+          // Unknown path: report 404; known path: let the policy reject the method
+          if (!preflightMatch.error.context.allowedMethods) {
+            throw preflightMatch.error;
+          }
+          allowedMethods = preflightMatch.error.context.allowedMethods;
+        } else if (req.route && req.route.methods) {
+          allowedMethods = Array.from(req.route.methods);
+        }
+
+        if (corsPolicy.apply(req, res, { allowedMethods })) {
+          return;
+        }
+      }
+
+      if (match.error) {
+        throw match.error;
+      }
+      validateRequestPayload(req, validationConfig);
+
+      // Buffer and parse the body unless the route consumes the stream itself
+      if (match.route.options.parseBody !== false && hasBody(req)) {
+        // Cut off clients that start the body late or trickle it (slowloris)
+        const bodyDeadlines = watchBodyDeadlines(req, config.clientLimits);
+        const parsing = parseContentType(req.headers['content-type']).type === 'multipart/form-data' ?
+          parseMultipart(req, {
+            uploadDirectory,
+            limits: {
+              ...requestGeneration.multipartLimits,
+              maxTotalSize: validationConfig.maxBodySize,
+              ...match.route.options.multipart
+            }
+          }).then(({ fields, files }) => {
+            req.body = fields;
+            req.files = files;
+          }) :
+          parseBody(req, { maxBodySize: validationConfig.maxBodySize, timeout: requestTimeout });
+
+        try {
+          await Promise.race([parsing, bodyDeadlines.violation]);
+        } catch (bodyError) {
+          // Do not keep reading from a client that was too slow; close after the 408
+          if (bodyError instanceof TimeoutError && req.httpVersionMajor < 2) {
+            res.setHeader('Connection', 'close');
+          }
+          throw bodyError;
+        } finally {
+          bodyDeadlines.stop();
+        }
+      }
+
+      // Validate params, query and body against the route's JSON Schemas
+      let { params } = match;
+      if (match.route.options.schema) {
+        ({ params, query } = validateRequestData(match.route.options.schema, { params, query, body: req.body }));
+      }
+
+      // Dispatch to the route handler
+      req.params = params;
+      await match.route.handler(req, res, { params, query, route: match.route });
+    } catch (requestError) {
+      if (requestError instanceof AppError) {
+        handleError(requestError, req, res);
       } else {
-        // Unexpected validation error
-        const internalError = new InternalError('Validation system error');
+        // Unexpected validation or handler error
+        const internalError = new InternalError('Request processing error', requestError);
         handleError(internalError, req, res);
       }
-      return;
+    } finally {
+      clearTimeout(timeoutId);
     }
 
-    // Clear timeout after successful validation
-    clearTimeout(timeoutId);
-
-    // Process valid request - generate response
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'text/plain');
-    
-    // Add comprehensive security headers
-    addSecurityHeaders(res);
-    
-    // Generate the response content
-    res.end('Hello, World!\n');
-
   } catch (error) {
     // Handle any unexpected errors during request processing
     console.error('Unexpected error in request handler:', error);
@@ -84,30 +346,43 @@ const requestHandler = async (req, res) => {
       const internalError = new InternalError('Internal server error occurred');
       handleError(internalError, req, res);
     }
-  } finally {
-    // Cleanup: Unregister connection when request completes
-    activeConnections.delete(currentConnectionId);
-    unregisterConnection(currentConnectionId);
   }
 };
 
-// Add comprehensive security headers to all responses
-const addSecurityHeaders = (res) => {
-  // Prevent MIME type sniffing
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  
-  // Prevent page from being displayed in frames/iframes
-  res.setHeader('X-Frame-Options', 'DENY');
-  
-  // Control referrer information
-  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+// Entry point: run each request inside its own correlation context
+const requestHandler = (req, res) => {
+  const requestGeneration = generation;
+  req.clientIdentity = requestGeneration.resolveClient(req);
+  const requestContext = createRequestContext(req, requestGeneration.config.requestId);
+  req.requestId = requestContext.requestId;
+  res.setHeader('X-Request-Id', requestContext.requestId);
+
+  return runWithContext(requestContext, () => processRequest(req, res, requestGeneration));
+};
+
+// Default route: static greeting for every allowed method
+const helloHandler = (req, res) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/plain');
   
-  // Basic XSS protection (legacy browsers)
-  res.setHeader('X-XSS-Protection', '1; mode=block');
+  // Generate the response content
+  res.end('Hello, World!\n');
 };
 
-// Create HTTP server with enhanced error handling
-const server = http.createServer(requestHandler);
+// Route table - unmatched paths answer 404, unmatched methods 405
+const router = createRouter();
+router.all('/', helloHandler);
+
+// Create the HTTP, HTTPS or HTTP/2 listener - TLS credentials must load before startup
+let server;
+let certificates;
+try {
+  ({ server, certificates } = createListener(requestHandler, { protocol: config.server.protocol, ...config.tls }, logger));
+} catch (error) {
+  console.error(`Failed to create ${config.server.protocol} listener: ${error.message}`);
+  process.exit(1);
+}
+server.keepAliveTimeout = config.server.keepAliveTimeout;
 
 // Comprehensive server-level error handling
 server.on('error', (error) => {
@@ -127,18 +402,28 @@ server.on('error', (error) => {
 
 // Handle client connection errors
 server.on('clientError', (error, socket) => {
-  console.error('Client connection error:', error.message);
+  // A request already answered (e.g. rejected by validateRequestFraming) has been logged and responded to
+  const responded = Boolean(socket._httpMessage && socket._httpMessage.headersSent);
+  if (responded) {
+    socket.destroy();
+    return;
+  }
+
+  // Ambiguous framing (request smuggling) is logged as a security event
+  if (!logFramingParseError(error, socket)) {
+    console.error('Client connection error:', error.message);
+  }
   
   // Send appropriate error response if socket is still writable
   if (!socket.destroyed) {
-    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
   }
 });
 
 // Enhanced connection handling for tracking
 server.on('connection', (socket) => {
   // Set socket timeout to prevent hanging connections
-  socket.setTimeout(REQUEST_TIMEOUT * 2); // Allow extra time for request processing
+  socket.setTimeout(generation.requestTimeout * 2); // Allow extra time for request processing
   
   socket.on('timeout', () => {
     console.warn('Socket timeout occurred, closing connection');
@@ -152,13 +437,116 @@ server.on('connection', (socket) => {
 });
 
 // Initialize graceful shutdown handling
-initializeShutdown(server, activeConnections);
+const shutdownCoordinator = initializeShutdown(server, {
+  ...config.shutdown,
+  headersTimeoutMs: config.clientLimits.headersTimeoutMs,
+  maxConnectionsPerIp: config.clientLimits.maxConnectionsPerIp
+});
+attachWorker(shutdownCoordinator);
+shutdownCoordinator.onResourceCleanup(() => uploadDirectory.wipe(), { name: 'upload-directory' });
+shutdownCoordinator.onResourceCleanup(() => rateLimitStore.close(), { name: 'rate-limit-store' });
+// Closed last (lowest priority) so the other hooks can still be logged
+shutdownCoordinator.onResourceCleanup(() => accessLogger.close(), { name: 'access-log', priority: -10 });
+
+// TLS certificates are reloaded when their files change (and on reload below), without dropping connections
+if (certificates) {
+  shutdownCoordinator.onResourceCleanup(() => certificates.stop(), { name: 'tls-certificates' });
+}
+
+// Resource watchdog: sheds new requests under memory or event-loop pressure and shuts down
+// (for the supervisor to replace the process) above the hard thresholds
+const { watchdogEnabled, ...watchdogSettings } = config.resources;
+const watchdog = watchdogEnabled ?
+  createWatchdog({ ...watchdogSettings, coordinator: shutdownCoordinator, logger }) :
+  null;
+if (watchdog) {
+  shutdownCoordinator.onResourceCleanup(() => watchdog.stop(), { name: 'watchdog' });
+}
+
+// Prometheus metrics, scraped from config.metrics.path
+const metricsRegistry = createRegistry();
+const httpMetrics = config.metrics.enabled ?
+  registerDefaultMetrics(metricsRegistry, { coordinator: shutdownCoordinator }) :
+  null;
+if (httpMetrics) {
+  shutdownCoordinator.onResourceCleanup(() => httpMetrics.dispose(), { name: 'metrics' });
+  router.get(config.metrics.path, (req, res) => {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    res.end(metricsRegistry.render());
+  }, { availableDuringShutdown: true, rateLimit: false, ipAccess: 'admin' });
+}
+
+// Content Security Policy violation reports
+if (config.securityHeaders.reportEndpoint) {
+  router.post(config.securityHeaders.reportPath, createReportHandler(logger), {
+    validation: { allowedContentTypes: REPORT_CONTENT_TYPES, maxBodySize: 64 * 1024 },
+    cors: false
+  });
+}
+
+// Liveness and readiness probes; readiness fails as soon as shutdown begins
+const healthChecks = createHealthChecks({
+  coordinator: shutdownCoordinator,
+  checkTimeoutMs: config.health.checkTimeoutMs
+});
+if (watchdog) {
+  // Informational: shedding already answers 503 to traffic, readiness need not fail as well
+  healthChecks.register('watchdog', () => watchdog.getStatus(), { critical: false });
+}
+const healthHandlers = healthChecks.createHandlers();
+// Kubelet probes address the pod by IP, so the Host allowlist does not apply to them
+const probeOptions = { availableDuringShutdown: true, rateLimit: false, validation: { allowedHosts: [] } };
+router.get(config.health.livenessPath, healthHandlers.liveness, probeOptions);
+router.get(config.health.readinessPath, healthHandlers.readiness, probeOptions);
+
+// Reload (SIGHUP or reload()): build a generation from the current configuration, check readiness,
+// swap it in, then drain the connections opened before the swap. Any failure keeps the old generation.
+const getSetting = (source, keyPath) => keyPath.split('.').reduce((node, key) => (node ? node[key] : undefined), source);
+
+shutdownCoordinator.onReload(async () => {
+  const nextConfig = loadConfig();
+
+  const ignoredSettings = RESTART_REQUIRED_SETTINGS.filter(keyPath =>
+    JSON.stringify(getSetting(nextConfig, keyPath)) !== JSON.stringify(getSetting(config, keyPath)));
+  if (ignoredSettings.length > 0) {
+    logger.logWarning('Reload keeps settings that only take effect after a restart', { settings: ignoredSettings });
+  }
+
+  const nextGeneration = buildGeneration(nextConfig, generation.id + 1);
+
+  const { ready, report } = await healthChecks.readiness();
+  if (!ready) {
+    const failedChecks = Object.keys(report.checks).filter(name => report.checks[name].status === 'fail');
+    throw new Error(`Generation ${nextGeneration.id} failed its readiness check (${failedChecks.join(', ') || report.state})`);
+  }
+  if (certificates && !certificates.reload()) {
+    throw new Error(`Generation ${nextGeneration.id} could not load its TLS certificate`);
+  }
+
+  const previousConnections = shutdownCoordinator.getConnectionIds();
+  nextGeneration.activate();
+  server.keepAliveTimeout = nextConfig.server.keepAliveTimeout;
+  if (watchdog) {
+    // Thresholds apply at once; enabling or disabling the watchdog needs a restart
+    watchdog.configure(nextConfig.resources);
+  }
+  generation = nextGeneration;
+
+  logger.logInfo('Configuration generation activated', {
+    generation: generation.id,
+    drainingConnections: previousConnections.length
+  });
+
+  return { drain: previousConnections };
+});
 
 // Enhanced server startup with error handling
 const startServer = () => {
   try {
     server.listen(port, hostname, () => {
-      console.log(`Server running at http://${hostname}:${port}/`);
+      const scheme = config.server.protocol === 'http' ? 'http' : 'https';
+      console.log(`Server running at ${scheme}://${hostname}:${port}/ (${config.server.protocol})`);
       console.log('Server features enabled:');
       console.log('  ✓ Comprehensive error handling');
       console.log('  ✓ Input validation middleware');
@@ -166,6 +554,9 @@ const startServer = () => {
       console.log('  ✓ Connection tracking and timeout handling');
       console.log('  ✓ Security headers injection');
       console.log('  ✓ Resource cleanup procedures');
+
+      // In cluster mode the primary waits for this before retiring the workers being replaced
+      reportWorkerReady(async () => (await healthChecks.readiness()).ready);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -206,7 +597,15 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Export server instance for testing purposes
-module.exports = { server, activeConnections };
+module.exports = {
+  server,
+  router,
+  activeConnections,
+  config,
+  metricsRegistry,
+  healthChecks,
+  reload: (reason) => shutdownCoordinator.reload(reason)
+};
 
 // Start the server if this file is run directly
 if (require.main === module) {
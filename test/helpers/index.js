@@ -0,0 +1,215 @@
+/**
+ * Shared helpers for the node:test suites
+ *
+ * Not a test file itself: `npm test` only picks up `*.test.js`.
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { mock } = require('node:test');
+
+/**
+ * Replace the console methods with no-ops for the rest of the test file
+ *
+ * The coordinator and the error logger write to the console on every event,
+ * which would bury the test report.
+ */
+function silenceConsole() {
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => mock.method(console, method, () => {}));
+}
+
+/**
+ * Listen on an ephemeral port
+ *
+ * @param {net.Server} server - Server to start
+ * @returns {Promise<number>} The port
+ */
+function listen(server) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            server.removeListener('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+/**
+ * Send one HTTP request on a fresh connection
+ *
+ * @param {number} port - Server port
+ * @param {Object} [options] - http.request options; `timeout` (ms of socket inactivity, default 10000) fails the request
+ * @param {string|Buffer} [body] - Request body
+ * @returns {Promise<Object>} `{ status, headers, body }`
+ */
+function request(port, options = {}, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, agent: false, timeout: 10000, ...options }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                body: Buffer.concat(chunks).toString()
+            }));
+        });
+        req.on('timeout', () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Write raw bytes to a server and collect everything it sends back until it closes
+ *
+ * @param {number} port - Server port
+ * @param {string|Array<string>} payload - Data to write; an array is written in pieces
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=0] - Delay between pieces
+ * @param {number} [options.timeoutMs=3000] - Give up and resolve what arrived so far
+ * @returns {Promise<string>} Response bytes
+ */
+function rawRequest(port, payload, { intervalMs = 0, timeoutMs = 3000 } = {}) {
+    return new Promise(resolve => {
+        const socket = net.connect(port, '127.0.0.1');
+        const pieces = [].concat(payload);
+        let response = '';
+        const timer = setTimeout(() => socket.destroy(), timeoutMs);
+
+        socket.on('data', chunk => {
+            response += chunk;
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            clearTimeout(timer);
+            resolve(response);
+        });
+
+        const writeNext = () => {
+            if (pieces.length === 0 || socket.destroyed) {
+                return;
+            }
+            socket.write(pieces.shift());
+            setTimeout(writeNext, intervalMs);
+        };
+        socket.on('connect', writeNext);
+    });
+}
+
+/**
+ * Load server.js with the given environment and start it on an ephemeral port
+ *
+ * server.js builds its state at require time, so each test file gets one server;
+ * settings that must differ go in separate files or through reload().
+ *
+ * @param {Object} [env] - Environment variables to set before loading
+ * @returns {Promise<Object>} `{ app, port, close }`
+ */
+async function startServer(env = {}) {
+    Object.assign(process.env, { ACCESS_LOG: 'off', ...env });
+
+    const app = require(path.join(__dirname, '..', '..', 'server'));
+    const { getShutdownCoordinator } = require(path.join(__dirname, '..', '..', 'lib', 'shutdown'));
+    const port = await listen(app.server);
+
+    const close = async () => {
+        app.server.closeAllConnections();
+        await new Promise(resolve => app.server.close(() => resolve()));
+        const coordinator = getShutdownCoordinator();
+        if (coordinator) {
+            coordinator.dispose();
+        }
+    };
+
+    return { app, port, close };
+}
+
+/**
+ * Find a port that is free right now
+ *
+ * For child processes, which must be told their port up front.
+ *
+ * @returns {Promise<number>} The port
+ */
+async function freePort() {
+    const server = net.createServer();
+    const port = await listen(server);
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+/**
+ * Run `node server.js` in a child process
+ *
+ * Use this for behaviour that ends in process.exit or needs the cluster primary.
+ * The caller must `stop()` the child; it is killed if it is still running.
+ *
+ * @param {Object} [env] - Environment variables added to the child's environment
+ * @returns {Promise<Object>} `{ child, port, output(), exited, stop() }`; exited resolves to `{ code, signal }`
+ */
+async function spawnServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+        env: { ...process.env, ACCESS_LOG: 'off', HOST: '127.0.0.1', PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve({ code, signal })));
+
+    const stop = async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill('SIGKILL');
+        }
+        await exited;
+    };
+
+    return { child, port, output: () => output, exited, stop };
+}
+
+/**
+ * Poll until a condition holds
+ *
+ * @param {Function} condition - Sync or async predicate
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - Give up after this long
+ * @param {number} [options.intervalMs=50] - Delay between attempts
+ * @returns {Promise<*>} The first truthy result
+ * @throws {Error} When the condition does not hold in time
+ */
+async function waitFor(condition, { timeoutMs = 10000, intervalMs = 50 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        let result;
+        try {
+            result = await condition();
+        } catch (error) {
+            result = false;
+        }
+        if (result) {
+            return result;
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`Condition not met within ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    silenceConsole,
+    listen,
+    request,
+    rawRequest,
+    startServer,
+    freePort,
+    spawnServer,
+    waitFor
+};
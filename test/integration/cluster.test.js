@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { request, spawnServer, waitFor } = require('../helpers');
+
+describe('cluster mode', () => {
+    let server;
+
+    /**
+     * PIDs of the workers answering liveness probes, sampled until `count` distinct ones are seen
+     */
+    async function workerPids(count, exclude = []) {
+        const pids = new Set();
+        await waitFor(async () => {
+            // A connection handed to a worker as it stops listening may never be answered
+            const response = await request(server.port, { path: '/healthz', timeout: 2000 });
+            const pid = JSON.parse(response.body).pid;
+            if (!exclude.includes(pid)) {
+                pids.add(pid);
+            }
+            return pids.size >= count;
+        }, { timeoutMs: 20000, intervalMs: 20 });
+        return Array.from(pids).sort();
+    }
+
+    before(async () => {
+        server = await spawnServer({
+            CLUSTER_ENABLED: 'true',
+            CLUSTER_WORKERS: '2',
+            CLUSTER_RESTART_DELAY: '100',
+            RATE_LIMIT_ENABLED: 'true',
+            RATE_LIMIT: '50',
+            SHUTDOWN_GRACE_PERIOD: '2000',
+            FORCE_SHUTDOWN_DELAY: '1000'
+        });
+    });
+
+    after(() => server.stop());
+
+    it('serves requests from every worker and warns that rate limits are per worker', async () => {
+        const pids = await workerPids(2);
+
+        assert.strictEqual(pids.length, 2);
+        assert.ok(!pids.includes(server.child.pid), 'the primary serves no requests');
+        assert.match(server.output(), /Rate limits are enforced per worker in cluster mode/);
+        assert.match(server.output(), /"effectiveLimit":\s*100/);
+    });
+
+    it('restarts a worker that crashes', async () => {
+        const [crashed, survivor] = await workerPids(2);
+
+        process.kill(crashed, 'SIGKILL');
+
+        const pids = await workerPids(2, [crashed]);
+        assert.ok(pids.includes(survivor));
+        assert.ok(!pids.includes(crashed));
+    });
+
+    it('replaces every worker on SIGHUP', async () => {
+        const previous = await workerPids(2);
+
+        process.kill(server.child.pid, 'SIGHUP');
+
+        const replacements = await workerPids(2, previous);
+        assert.strictEqual(replacements.filter(pid => previous.includes(pid)).length, 0);
+    });
+
+    it('drains the workers and exits 0 on SIGTERM', async () => {
+        process.kill(server.child.pid, 'SIGTERM');
+
+        const { code } = await server.exited;
+        assert.strictEqual(code, 0);
+        assert.match(server.output(), /Cluster shutdown completed/);
+    });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('CORS-enabled server', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer({ CORS_ENABLED: 'true', CORS_ORIGINS: 'https://app.example.com' });
+    });
+
+    after(() => server.close());
+
+    it('answers a preflight with the methods of the target route', async () => {
+        const response = await request(server.port, {
+            method: 'OPTIONS',
+            path: '/healthz',
+            headers: { Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'GET' }
+        });
+
+        assert.strictEqual(response.status, 204);
+        assert.strictEqual(response.headers['access-control-allow-origin'], 'https://app.example.com');
+        assert.strictEqual(response.headers['access-control-allow-methods'], 'GET, HEAD');
+    });
+
+    it('rejects a preflight for a method the route does not accept', async () => {
+        const response = await request(server.port, {
+            method: 'OPTIONS',
+            path: '/healthz',
+            headers: { Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'DELETE' }
+        });
+
+        assert.strictEqual(response.status, 403);
+    });
+
+    it('rejects requests from origins outside the allowlist', async () => {
+        const response = await request(server.port, { path: '/healthz', headers: { Origin: 'https://evil.test' } });
+
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(response.headers['access-control-allow-origin'], undefined);
+    });
+});
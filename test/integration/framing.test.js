@@ -0,0 +1,43 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, rawRequest, startServer } = require('../helpers');
+const { logger } = require('../../lib/errors');
+
+describe('request framing', () => {
+    let server;
+    let securityEvents;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer();
+    });
+
+    beforeEach(() => {
+        securityEvents = [];
+        mock.method(logger, 'logSecurityEvent', (event, req, context) => securityEvents.push({ event, context }));
+    });
+
+    after(() => server.close());
+
+    it('rejects requests the HTTP parser cannot frame and logs them', async () => {
+        const response = await rawRequest(server.port,
+            'POST / HTTP/1.1\r\nHost: localhost\r\nContent-Length: 10abc\r\n\r\n0123456789');
+
+        assert.match(response, /^HTTP\/1\.1 400 /);
+        assert.match(response, /Connection: close/i);
+        assert.deepStrictEqual(securityEvents.map(entry => entry.event), ['request_smuggling']);
+    });
+
+    it('rejects transfer codings it cannot decode and does not serve a smuggled request', async () => {
+        const response = await rawRequest(server.port,
+            'POST / HTTP/1.1\r\nHost: localhost\r\nTransfer-Encoding: gzip, chunked\r\n\r\n0\r\n\r\n' +
+            'GET /healthz HTTP/1.1\r\nHost: localhost\r\n\r\n');
+
+        assert.match(response, /^HTTP\/1\.1 400 /);
+        assert.match(response, /Connection: close/i);
+        assert.strictEqual(response.match(/HTTP\/1\.1 \d{3}/g).length, 1, 'only one response is sent');
+        assert.strictEqual(securityEvents[0].context.reason, 'unknown_transfer_coding');
+    });
+});
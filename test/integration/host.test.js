@@ -0,0 +1,48 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('host allowlist behind a trusted proxy', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer({ ALLOWED_HOSTS: 'example.com', TRUSTED_PROXIES: '127.0.0.1/32' });
+    });
+
+    after(() => server.close());
+
+    it('serves allowed hosts and rejects others with 400', async () => {
+        const allowed = await request(server.port, { headers: { Host: 'example.com' } });
+        const rejected = await request(server.port, { headers: { Host: 'evil.test' } });
+
+        assert.strictEqual(allowed.status, 200);
+        assert.strictEqual(rejected.status, 400);
+    });
+
+    it('rejects a foreign host forwarded by the proxy', async () => {
+        const response = await request(server.port, {
+            headers: { Host: 'example.com', 'X-Forwarded-For': '203.0.113.5', 'X-Forwarded-Host': 'evil.test' }
+        });
+
+        assert.strictEqual(response.status, 400);
+    });
+
+    it('answers probes addressed by IP', async () => {
+        const liveness = await request(server.port, { path: '/healthz', headers: { Host: '10.1.2.3:3000' } });
+        const readiness = await request(server.port, { path: '/readyz', headers: { Host: '10.1.2.3:3000' } });
+
+        assert.strictEqual(liveness.status, 200);
+        assert.strictEqual(readiness.status, 200);
+    });
+
+    it('refuses metrics for a host outside the allowlist', async () => {
+        const foreign = await request(server.port, { path: '/metrics', headers: { Host: 'evil.test' } });
+        const listed = await request(server.port, { path: '/metrics', headers: { Host: 'example.com' } });
+
+        assert.strictEqual(foreign.status, 400);
+        assert.strictEqual(listed.status, 200);
+    });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('IP access lists behind a trusted proxy', () => {
+    let server;
+
+    /**
+     * Request a path on behalf of a client relayed by the local (trusted) proxy
+     */
+    const requestFrom = (address, path) => request(server.port, { path, headers: { 'X-Forwarded-For': address } });
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer({
+            TRUSTED_PROXIES: '127.0.0.1/32',
+            IP_ALLOW: '10.0.0.0/8,192.0.2.0/24',
+            IP_DENY: '10.66.0.0/16'
+        });
+    });
+
+    after(() => server.close());
+
+    it('admits allowed clients and refuses denied or unlisted ones with 403', async () => {
+        assert.strictEqual((await requestFrom('10.1.2.3', '/')).status, 200);
+        assert.strictEqual((await requestFrom('10.66.0.1', '/')).status, 403);
+        assert.strictEqual((await requestFrom('203.0.113.5', '/')).status, 403);
+    });
+
+    it('keeps the global allow list on admin routes while no admin list is set', async () => {
+        assert.strictEqual((await requestFrom('192.0.2.10', '/metrics')).status, 200);
+        assert.strictEqual((await requestFrom('203.0.113.5', '/metrics')).status, 403);
+    });
+
+    it('requires admin clients to be in both lists once an admin list is set', async () => {
+        process.env.ADMIN_IP_ALLOW = '10.1.0.0/16,198.51.100.0/24';
+        try {
+            const result = await server.app.reload('test');
+            assert.strictEqual(result.reloaded, true);
+
+            assert.strictEqual((await requestFrom('10.1.2.3', '/metrics')).status, 200);
+            assert.strictEqual((await requestFrom('192.0.2.10', '/metrics')).status, 403, 'outside the admin list');
+            assert.strictEqual((await requestFrom('198.51.100.1', '/metrics')).status, 403, 'outside the global list');
+            assert.strictEqual((await requestFrom('192.0.2.10', '/')).status, 200, 'other routes keep the global list');
+        } finally {
+            delete process.env.ADMIN_IP_ALLOW;
+        }
+    });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('metrics endpoint', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer();
+    });
+
+    after(() => server.close());
+
+    it('serves the text exposition format with per-route request counts', async () => {
+        await request(server.port, { path: '/healthz' });
+        await request(server.port, { path: '/missing' });
+
+        const response = await request(server.port, { path: '/metrics' });
+
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+        assert.match(response.body, /^http_requests_total\{route="\/healthz",method="GET",status="200"\} 1$/m);
+        assert.match(response.body, /^http_requests_total\{route="unmatched",method="GET",status="404"\} 1$/m);
+        assert.match(response.body, /^# TYPE http_request_duration_seconds histogram$/m);
+        assert.match(response.body, /^# TYPE process_cpu_seconds_total counter$/m);
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('CORS preflights', () => {
+    let server;
+
+    const preflight = host => request(server.port, {
+        method: 'OPTIONS',
+        path: '/',
+        headers: { Host: host, Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'POST' }
+    });
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer({
+            CORS_ENABLED: 'true',
+            CORS_ORIGINS: 'https://app.example.com',
+            ALLOWED_HOSTS: 'example.com',
+            RATE_LIMIT_ENABLED: 'true',
+            RATE_LIMIT: '2',
+            RATE_LIMIT_WINDOW: '60000'
+        });
+    });
+
+    after(() => server.close());
+
+    it('rejects a preflight for a host outside the allowlist with 400', async () => {
+        const response = await preflight('evil.test');
+
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.headers['access-control-allow-origin'], undefined);
+    });
+
+    it('counts preflights against the rate limit', async () => {
+        const statuses = [];
+        for (let attempt = 0; attempt < 3; attempt++) {
+            statuses.push((await preflight('example.com')).status);
+        }
+
+        // The rejected preflight above used the first unit of the quota
+        assert.deepStrictEqual(statuses, [204, 429, 429]);
+    });
+});
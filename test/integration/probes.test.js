@@ -0,0 +1,41 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('health probes', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer();
+    });
+
+    after(() => server.close());
+
+    it('answers liveness with an uncacheable health+json report', async () => {
+        const response = await request(server.port, { path: '/healthz' });
+
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers['content-type'], /^application\/health\+json/);
+        assert.strictEqual(response.headers['cache-control'], 'no-store');
+        assert.strictEqual(JSON.parse(response.body).status, 'pass');
+    });
+
+    it('fails readiness while a critical dependency check fails', async () => {
+        assert.strictEqual((await request(server.port, { path: '/readyz' })).status, 200);
+
+        server.app.healthChecks.register('database', () => false);
+        try {
+            const response = await request(server.port, { path: '/readyz' });
+
+            assert.strictEqual(response.status, 503);
+            assert.strictEqual(JSON.parse(response.body).checks.database.status, 'fail');
+        } finally {
+            server.app.healthChecks.unregister('database');
+        }
+
+        assert.strictEqual((await request(server.port, { path: '/readyz' })).status, 200);
+    });
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('rate limited server', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer({ RATE_LIMIT_ENABLED: 'true', RATE_LIMIT: '2', RATE_LIMIT_WINDOW: '60000' });
+    });
+
+    after(() => server.close());
+
+    it('answers 429 with Retry-After once the quota is spent', async () => {
+        const first = await request(server.port, { path: '/missing' });
+        await request(server.port, { path: '/missing' });
+        const limited = await request(server.port, { path: '/missing' });
+
+        assert.strictEqual(first.headers['ratelimit-limit'], '2');
+        assert.strictEqual(first.headers['ratelimit-remaining'], '1');
+        assert.strictEqual(limited.status, 429);
+        assert.ok(Number(limited.headers['retry-after']) >= 1);
+        assert.strictEqual(limited.headers['ratelimit-remaining'], '0');
+    });
+
+    it('exempts the probes', async () => {
+        const response = await request(server.port, { path: '/healthz' });
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers['ratelimit-limit'], undefined);
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('configuration reload', () => {
+    let server;
+    let directory;
+    let configFile;
+
+    const writeConfig = settings => fs.writeFileSync(configFile, JSON.stringify(settings));
+
+    before(async () => {
+        silenceConsole();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reload-test-'));
+        configFile = path.join(directory, 'config.json');
+        writeConfig({ errors: { format: 'json' } });
+        server = await startServer({ CONFIG_FILE: configFile });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('applies the new configuration to new requests', async () => {
+        const initial = await request(server.port, { path: '/missing' });
+        assert.match(initial.headers['content-type'], /^application\/json/);
+
+        writeConfig({ errors: { format: 'problem' } });
+        const result = await server.app.reload('test');
+
+        assert.strictEqual(result.reloaded, true);
+        assert.strictEqual(result.reason, 'test');
+        const reloaded = await request(server.port, { path: '/missing' });
+        assert.match(reloaded.headers['content-type'], /^application\/problem\+json/);
+    });
+
+    it('keeps the previous generation when the configuration is invalid', async () => {
+        writeConfig({ errors: { format: 'xml' } });
+        const result = await server.app.reload('test');
+
+        assert.strictEqual(result.reloaded, false);
+        assert.match(result.error, /errors\.format/);
+        const response = await request(server.port, { path: '/missing' });
+        assert.match(response.headers['content-type'], /^application\/problem\+json/);
+    });
+
+    it('finishes in-flight requests with their generation and closes old keep-alive connections', async () => {
+        writeConfig({ validation: { maxBodySize: 1024 } });
+        await server.app.reload('test');
+
+        const socket = net.connect(server.port, '127.0.0.1');
+        let response = '';
+        socket.on('data', chunk => { response += chunk; });
+        const closed = new Promise(resolve => socket.on('close', resolve));
+        await new Promise(resolve => socket.on('connect', resolve));
+        socket.write('POST / HTTP/1.1\r\nHost: localhost\r\nContent-Type: text/plain\r\nTransfer-Encoding: chunked\r\n\r\n');
+        socket.write('20\r\n' + 'a'.repeat(32) + '\r\n');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        writeConfig({ validation: { maxBodySize: 16 } });
+        const reloading = server.app.reload('test');
+        socket.write('20\r\n' + 'b'.repeat(32) + '\r\n0\r\n\r\n');
+
+        const result = await reloading;
+        await closed;
+
+        assert.strictEqual(result.reloaded, true);
+        assert.strictEqual(result.drainedConnections, 1);
+        assert.match(response, /^HTTP\/1\.1 200 /, 'the request keeps the limit it started with');
+        assert.match(response, /Connection: close/i);
+
+        const rejected = await request(server.port, { method: 'POST', headers: { 'Content-Type': 'text/plain' } }, 'c'.repeat(64));
+        assert.strictEqual(rejected.status, 413);
+    });
+});
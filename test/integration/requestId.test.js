@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('request ID propagation', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer({ TRUST_REQUEST_ID: 'true' });
+    });
+
+    after(() => server.close());
+
+    it('echoes an inbound request ID on the response and in the error body', async () => {
+        const response = await request(server.port, {
+            path: '/missing',
+            headers: { 'X-Request-Id': 'client-42', Accept: 'application/problem+json' }
+        });
+
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(response.headers['x-request-id'], 'client-42');
+        assert.strictEqual(JSON.parse(response.body).requestId, 'client-42');
+    });
+
+    it('assigns a fresh ID to each request without one', async () => {
+        const first = await request(server.port, { path: '/healthz' });
+        const second = await request(server.port, { path: '/healthz' });
+
+        assert.ok(first.headers['x-request-id']);
+        assert.notStrictEqual(first.headers['x-request-id'], second.headers['x-request-id']);
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer } = require('../helpers');
+
+describe('request routing', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer();
+    });
+
+    after(() => server.close());
+
+    it('answers 404 for unknown paths', async () => {
+        const response = await request(server.port, { path: '/missing' });
+
+        assert.strictEqual(response.status, 404);
+    });
+
+    it('answers 405 with an Allow header for unsupported methods', async () => {
+        const response = await request(server.port, {
+            method: 'POST',
+            path: '/metrics',
+            headers: { 'Content-Type': 'application/json' }
+        }, '{}');
+
+        assert.strictEqual(response.status, 405);
+        assert.strictEqual(response.headers.allow, 'GET, HEAD');
+    });
+
+    it('reports 405 before checking the Content-Type of the body', async () => {
+        const response = await request(server.port, { method: 'POST', path: '/metrics' }, 'x');
+
+        assert.strictEqual(response.status, 405);
+        assert.strictEqual(response.headers.allow, 'GET, HEAD');
+    });
+
+    it('reports 404 before checking the declared body size', async () => {
+        const response = await request(server.port, {
+            method: 'POST',
+            path: '/missing',
+            headers: { 'Content-Type': 'text/plain', 'Content-Length': String(10 * 1024 * 1024) }
+        });
+
+        assert.strictEqual(response.status, 404);
+    });
+
+    it('still rejects unsupported Content-Types on matched routes', async () => {
+        const response = await request(server.port, {
+            method: 'POST',
+            path: '/',
+            headers: { 'Content-Type': 'application/octet-stream' }
+        }, 'x');
+
+        assert.strictEqual(response.status, 415);
+    });
+
+    it('serves HEAD from GET routes without a body', async () => {
+        const response = await request(server.port, { method: 'HEAD', path: '/metrics' });
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body, '');
+    });
+
+    it('sends the security headers on success and error responses', async () => {
+        for (const path of ['/healthz', '/missing']) {
+            const response = await request(server.port, { path });
+
+            assert.strictEqual(response.headers['x-content-type-options'], 'nosniff', path);
+            assert.ok(response.headers['content-security-policy'], path);
+            assert.strictEqual(response.headers['strict-transport-security'], undefined, path);
+        }
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { silenceConsole, request, rawRequest, startServer } = require('../helpers');
+
+describe('slow client protection', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        server = await startServer({
+            HEADERS_TIMEOUT: '200',
+            BODY_START_TIMEOUT: '200',
+            MAX_CONNECTIONS_PER_IP: '3'
+        });
+    });
+
+    after(() => server.close());
+
+    it('answers 408 and closes when the headers trickle in too slowly', async () => {
+        const startTime = Date.now();
+        const response = await rawRequest(server.port, ['GET / HTTP/1.1\r\n', 'Host: localhost\r\n', 'X-Slow: 1\r\n'], {
+            intervalMs: 100
+        });
+
+        assert.match(response, /^HTTP\/1\.1 408 /);
+        assert.ok(Date.now() - startTime < 2000, 'the connection is closed at the headers deadline');
+    });
+
+    it('answers 408 with Connection: close when the body does not start in time', async () => {
+        const response = await rawRequest(server.port,
+            'POST / HTTP/1.1\r\nHost: localhost\r\nContent-Type: text/plain\r\nContent-Length: 10\r\n\r\n');
+
+        assert.match(response, /^HTTP\/1\.1 408 /);
+        assert.match(response, /Connection: close/i);
+    });
+
+    it('counts each violation by operation', async () => {
+        const response = await request(server.port, { path: '/metrics' });
+
+        assert.match(response.body, /^http_slow_client_timeouts_total\{operation="request_headers"\} 1$/m);
+        assert.match(response.body, /^http_slow_client_timeouts_total\{operation="request_body_start"\} 1$/m);
+    });
+
+    it('refuses connections beyond the per-IP cap', async () => {
+        const sockets = [];
+        try {
+            for (let index = 0; index < 3; index++) {
+                const socket = net.connect(server.port, '127.0.0.1');
+                socket.on('error', () => {});
+                await new Promise(resolve => socket.on('connect', resolve));
+                sockets.push(socket);
+            }
+
+            await assert.rejects(request(server.port, { path: '/healthz' }), /socket hang up|ECONNRESET/);
+        } finally {
+            sockets.forEach(socket => socket.destroy());
+        }
+    });
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole, request, startServer, waitFor } = require('../helpers');
+
+describe('server under memory pressure', () => {
+    let server;
+
+    before(async () => {
+        silenceConsole();
+        // Any heap is over a one-byte soft threshold
+        server = await startServer({ MEMORY_THRESHOLD: '1', WATCHDOG_INTERVAL: '10', SHED_RETRY_AFTER: '3' });
+    });
+
+    after(() => server.close());
+
+    it('sheds new requests with 503 and Retry-After', async () => {
+        const response = await waitFor(async () => {
+            const candidate = await request(server.port);
+            return candidate.status === 503 && candidate;
+        });
+
+        assert.strictEqual(response.headers['retry-after'], '3');
+    });
+
+    it('keeps answering the probes', async () => {
+        const response = await request(server.port, { path: '/healthz' });
+
+        assert.strictEqual(response.status, 200);
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { listen, request } = require('../helpers');
+const { runWithContext } = require('../../lib/context');
+const { createAccessLogger, formatCombined, formatJson, FileSink } = require('../../lib/accessLog');
+
+const ENTRY = {
+    timestamp: '2024-03-05T08:09:10.000Z',
+    requestId: 'req-1',
+    remoteAddress: '192.0.2.10',
+    method: 'GET',
+    path: '/search?q="x"',
+    httpVersion: '1.1',
+    status: 200,
+    bytes: 512,
+    durationMs: 12,
+    completed: true,
+    referer: undefined,
+    userAgent: 'curl/8.0\n'
+};
+
+/**
+ * Sink collecting lines in memory
+ */
+function memorySink() {
+    return {
+        lines: [],
+        write(line) {
+            this.lines.push(line);
+        },
+        close() {}
+    };
+}
+
+describe('access log', () => {
+    it('renders the combined format with request ID and duration', () => {
+        const line = formatCombined(ENTRY);
+
+        assert.match(line, /^192\.0\.2\.10 - - \[\d{2}\/Mar\/2024:\d{2}:\d{2}:\d{2} [+-]\d{4}\] /);
+        assert.ok(line.includes('"GET /search?q=\\"x\\" HTTP/1.1" 200 512 "-" "curl/8.0\\x0a" req-1 12'));
+    });
+
+    it('renders zero bytes and missing values as "-" in the combined format', () => {
+        const line = formatCombined({ ...ENTRY, remoteAddress: undefined, bytes: 0, requestId: undefined });
+
+        assert.match(line, /^- - - \[/);
+        assert.match(line, / 200 - "-" ".*" - 12 -$/);
+    });
+
+    it('ends combined lines with the IP access decision', () => {
+        const line = formatCombined({ ...ENTRY, accessDecision: { decision: 'deny', reason: 'not_in_allow_list', policy: 'admin' } });
+
+        assert.match(line, / req-1 12 admin:deny:not_in_allow_list$/);
+    });
+
+    it('renders JSON lines', () => {
+        assert.deepStrictEqual(JSON.parse(formatJson(ENTRY)), JSON.parse(JSON.stringify(ENTRY)));
+    });
+
+    it('rejects an unknown format', () => {
+        assert.throws(() => createAccessLogger({ format: 'xml', sink: memorySink() }), /Unknown access log format/);
+    });
+
+    it('writes one entry per request once the response finishes', async () => {
+        const sink = memorySink();
+        const logger = createAccessLogger({ sink });
+        const server = http.createServer((req, res) => {
+            runWithContext({ requestId: 'req-tracked' }, () => logger.track(req, res));
+            res.write('hello ');
+            res.end('world');
+        });
+        const port = await listen(server);
+
+        try {
+            await request(port, { path: '/greeting', headers: { 'User-Agent': 'test-agent' } });
+            await request(port, { method: 'HEAD', path: '/greeting' });
+        } finally {
+            server.close();
+        }
+
+        assert.strictEqual(sink.lines.length, 2);
+        const [get, head] = sink.lines.map(line => JSON.parse(line));
+        assert.strictEqual(get.requestId, 'req-tracked');
+        assert.strictEqual(get.path, '/greeting');
+        assert.strictEqual(get.status, 200);
+        assert.strictEqual(get.bytes, 11);
+        assert.strictEqual(get.userAgent, 'test-agent');
+        assert.strictEqual(get.completed, true);
+        assert.strictEqual(get.remoteAddress, '127.0.0.1');
+        assert.strictEqual(head.bytes, 0);
+    });
+
+    it('rotates the log file and keeps maxFiles old files', async () => {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'access-log-test-'));
+        const filePath = path.join(directory, 'access.log');
+
+        try {
+            const sink = new FileSink(filePath, { maxFileSize: 20, maxFiles: 2 });
+            ['first line 1234\n', 'second line 123\n', 'third line 1234\n', 'fourth line 123\n']
+                .forEach(line => sink.write(line));
+            await sink.close();
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            assert.deepStrictEqual((await fs.promises.readdir(directory)).sort(), ['access.log', 'access.log.1', 'access.log.2']);
+            assert.strictEqual(await fs.promises.readFile(filePath, 'utf8'), 'fourth line 123\n');
+            assert.strictEqual(await fs.promises.readFile(`${filePath}.1`, 'utf8'), 'third line 1234\n');
+            assert.strictEqual(await fs.promises.readFile(`${filePath}.2`, 'utf8'), 'second line 123\n');
+        } finally {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { parseBody, parseContentType, hasBody } = require('../../lib/body');
+const { ValidationError } = require('../../lib/errors');
+
+/**
+ * Minimal stand-in for an IncomingMessage carrying the given body
+ */
+function fakeRequest(body, contentType) {
+    const req = Readable.from([Buffer.from(body)]);
+    req.headers = { 'content-type': contentType, 'content-length': String(Buffer.byteLength(body)) };
+    return req;
+}
+
+async function parseError(body, contentType) {
+    try {
+        await parseBody(fakeRequest(body, contentType));
+    } catch (error) {
+        assert.ok(error instanceof ValidationError);
+        return error;
+    }
+    assert.fail('expected parseBody to reject');
+}
+
+describe('body parsing', () => {
+    it('parses JSON, urlencoded and text bodies', async () => {
+        assert.deepStrictEqual(await parseBody(fakeRequest('{"a":[1,2]}', 'application/json')), { a: [1, 2] });
+
+        const fields = await parseBody(fakeRequest('a=1&b=x%20y&a=2', 'application/x-www-form-urlencoded'));
+        assert.deepStrictEqual({ ...fields }, { a: ['1', '2'], b: 'x y' });
+        assert.strictEqual(Object.getPrototypeOf(fields), null);
+
+        assert.strictEqual(await parseBody(fakeRequest('hello', 'text/plain')), 'hello');
+    });
+
+    it('keeps the raw bytes and leaves unknown types as a Buffer', async () => {
+        const req = fakeRequest('\x00\x01', 'application/octet-stream');
+        const body = await parseBody(req);
+
+        assert.ok(Buffer.isBuffer(body));
+        assert.deepStrictEqual(req.rawBody, Buffer.from([0, 1]));
+    });
+
+    it('reports the byte offset of JSON syntax errors', async () => {
+        const error = await parseError('{"a":1,}', 'application/json');
+
+        assert.strictEqual(error.statusCode, 400);
+        assert.strictEqual(error.context.offset, 7);
+        assert.match(error.message, /byte offset 7/);
+    });
+
+    it('counts multi-byte characters before a JSON error in bytes', async () => {
+        const error = await parseError('{"é":1 x}', 'application/json');
+
+        assert.strictEqual(error.context.offset, 8);
+    });
+
+    it('reports truncated JSON at the end of the body', async () => {
+        const error = await parseError('[1,2', 'application/json');
+
+        assert.strictEqual(error.context.offset, 4);
+    });
+
+    it('locates unexpected tokens whatever the parser message says', async () => {
+        const error = await parseError('{"a":}', 'application/json');
+
+        assert.strictEqual(error.statusCode, 400);
+        assert.strictEqual(error.context.offset, 5);
+        assert.strictEqual((await parseError('xyz', 'application/json')).context.offset, 0);
+        assert.strictEqual((await parseError('{"a":tru}', 'application/json')).context.offset, 5);
+    });
+
+    it('keeps the parser message, which may quote the body, out of the error context', async () => {
+        const error = await parseError('{"secret":oops}', 'application/json');
+
+        assert.strictEqual(error.context.offset, 10);
+        assert.strictEqual(error.context.reason, undefined);
+        assert.ok(!JSON.stringify(error.context).includes('secret'));
+    });
+
+    it('reports invalid bytes for the declared charset', async () => {
+        const req = Readable.from([Buffer.from([0x61, 0xff, 0x62])]);
+        req.headers = { 'content-type': 'text/plain; charset=utf-8' };
+
+        await assert.rejects(parseBody(req), error => error.context.offset === 1);
+    });
+
+    it('rejects unsupported charsets with 415', async () => {
+        await assert.rejects(parseBody(fakeRequest('x', 'text/plain; charset=klingon')), error => error.statusCode === 415);
+    });
+
+    it('rejects malformed percent-escapes in urlencoded bodies', async () => {
+        const error = await parseError('a=%zz', 'application/x-www-form-urlencoded');
+
+        assert.strictEqual(error.context.offset, 2);
+    });
+
+    it('rejects bodies over the size limit with 413', async () => {
+        await assert.rejects(
+            parseBody(fakeRequest('x'.repeat(100), 'text/plain'), { maxBodySize: 10 }),
+            error => error.statusCode === 413
+        );
+    });
+
+    it('parses Content-Type parameters and detects bodies', () => {
+        assert.deepStrictEqual(parseContentType('Text/Plain; Charset="utf-8"'), { type: 'text/plain', params: { charset: 'utf-8' } });
+        assert.strictEqual(hasBody({ headers: { 'content-length': '0' } }), false);
+        assert.strictEqual(hasBody({ headers: { 'transfer-encoding': 'chunked' } }), true);
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../../lib/config');
+const { ValidationError } = require('../../lib/errors');
+
+describe('loadConfig', () => {
+    let directory;
+    const writeConfig = (name, contents) => {
+        const file = path.join(directory, name);
+        fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return file;
+    };
+    const problems = (options) => {
+        try {
+            loadConfig(options);
+        } catch (error) {
+            assert.ok(error instanceof ValidationError);
+            return error.context.errors;
+        }
+        assert.fail('expected loadConfig to throw');
+    };
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('returns the defaults for an empty environment', () => {
+        const config = loadConfig({ env: {} });
+
+        assert.strictEqual(config.server.port, 3000);
+        assert.strictEqual(config.server.host, '127.0.0.1');
+        assert.ok(config.validation.allowedMethods.includes('GET'));
+        assert.strictEqual(config.validation.requestTimeout, config.server.requestTimeout);
+    });
+
+    it('coerces environment variables and ignores empty ones', () => {
+        const config = loadConfig({
+            env: { PORT: '8080', STRICT_PATH_VALIDATION: 'false', ALLOWED_METHODS: 'get, post', HOST: '' }
+        });
+
+        assert.strictEqual(config.server.port, 8080);
+        assert.strictEqual(config.validation.strictPathValidation, false);
+        assert.deepStrictEqual(config.validation.allowedMethods, ['GET', 'POST']);
+        assert.strictEqual(config.server.host, '127.0.0.1');
+    });
+
+    it('lets the environment override the configuration file', () => {
+        const configFile = writeConfig('precedence.json', { server: { port: 4000, keepAliveTimeout: 1000 } });
+        const config = loadConfig({ configFile, env: { PORT: '5000' } });
+
+        assert.strictEqual(config.server.port, 5000);
+        assert.strictEqual(config.server.keepAliveTimeout, 1000);
+    });
+
+    it('reports every invalid setting at once', () => {
+        const configFile = writeConfig('invalid.json', { server: { prot: 1 } });
+        const errors = problems({
+            configFile,
+            env: { PORT: 'eighty', MAX_CONNECTIONS: '0', ALLOWED_METHODS: 'GET,FETCH', LOG_LEVEL: 'loud' }
+        });
+
+        assert.deepStrictEqual(errors.map(error => error.key).sort(), [
+            'server.port',
+            'server.prot',
+            'shutdown.logLevel',
+            'shutdown.maxConnections',
+            'validation.allowedMethods'
+        ]);
+        assert.strictEqual(errors.find(error => error.key === 'server.port').source, 'PORT');
+    });
+
+    it('reports a configuration file it cannot parse', () => {
+        const configFile = writeConfig('broken.json', '{ not json');
+        const errors = problems({ configFile, env: {} });
+
+        assert.strictEqual(errors[0].key, 'configFile');
+    });
+
+    it('accepts empty lists where empty is meaningful', () => {
+        const configFile = writeConfig('empty-lists.json', {
+            validation: { allowedHosts: [] },
+            ipAccess: { deny: [], adminAllow: [] },
+            cors: { exposedHeaders: [] }
+        });
+        const config = loadConfig({ configFile, env: {} });
+
+        assert.deepStrictEqual(config.validation.allowedHosts, []);
+        assert.deepStrictEqual(config.ipAccess.deny, []);
+        assert.deepStrictEqual(config.ipAccess.adminAllow, []);
+        assert.deepStrictEqual(config.cors.exposedHeaders, []);
+    });
+
+    it('rejects empty lists for settings marked nonEmpty', () => {
+        const configFile = writeConfig('empty-methods.json', { validation: { allowedMethods: [], allowedContentTypes: [] } });
+        const errors = problems({ configFile, env: {} });
+
+        assert.deepStrictEqual(errors.map(error => error.key).sort(), [
+            'validation.allowedContentTypes',
+            'validation.allowedMethods'
+        ]);
+        assert.match(errors[0].message, /at least one entry/);
+    });
+
+    it('requires a certificate and key for encrypted protocols', () => {
+        const errors = problems({ env: { SERVER_PROTOCOL: 'https' } });
+
+        assert.deepStrictEqual(errors.map(error => error.key).sort(), ['tls.certFile', 'tls.keyFile']);
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole } = require('../helpers');
+const {
+    createRequestContext,
+    runWithContext,
+    getRequestContext,
+    getRequestId
+} = require('../../lib/context');
+const { createNotFoundError, handleError } = require('../../lib/errors');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const TRACEPARENT = `00-${TRACE_ID}-00f067aa0ba902b7-01`;
+
+describe('request correlation context', () => {
+    before(() => silenceConsole());
+
+    it('reuses a well-formed inbound X-Request-Id', () => {
+        const context = createRequestContext({ headers: { 'x-request-id': 'abc-123' } }, { trustInbound: true });
+
+        assert.deepStrictEqual(context, { requestId: 'abc-123', source: 'x-request-id' });
+    });
+
+    it('falls back to the traceparent trace ID', () => {
+        const context = createRequestContext({ headers: { traceparent: TRACEPARENT } }, { trustInbound: true });
+
+        assert.strictEqual(context.requestId, TRACE_ID);
+        assert.strictEqual(context.source, 'traceparent');
+        assert.strictEqual(context.parentId, '00f067aa0ba902b7');
+    });
+
+    it('generates an ID for malformed or untrusted inbound values', () => {
+        const malformed = createRequestContext({ headers: { 'x-request-id': 'bad id\r\n' } }, { trustInbound: true });
+        assert.strictEqual(malformed.source, 'generated');
+        assert.match(malformed.requestId, /^[0-9a-f-]{36}$/);
+
+        const zeroTrace = createRequestContext({ headers: { traceparent: `00-${'0'.repeat(32)}-00f067aa0ba902b7-01` } }, { trustInbound: true });
+        assert.strictEqual(zeroTrace.source, 'generated');
+
+        const untrusted = createRequestContext({ headers: { 'x-request-id': 'abc-123', traceparent: TRACEPARENT } });
+        assert.strictEqual(untrusted.source, 'generated');
+        assert.notStrictEqual(untrusted.requestId, 'abc-123');
+    });
+
+    it('exposes the context across async boundaries', async () => {
+        assert.strictEqual(getRequestId(), undefined);
+
+        await runWithContext({ requestId: 'req-async' }, async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(getRequestId(), 'req-async');
+            assert.strictEqual(getRequestContext().requestId, 'req-async');
+        });
+
+        assert.strictEqual(getRequestId(), undefined);
+    });
+
+    it('adds the current request ID to error responses', () => {
+        const result = runWithContext({ requestId: 'req-error' }, () =>
+            handleError(createNotFoundError('GET', '/missing'), null, null, { format: 'problem' }));
+
+        assert.strictEqual(result.response.requestId, 'req-error');
+    });
+});
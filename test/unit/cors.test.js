@@ -0,0 +1,106 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createCorsPolicy, isPreflightRequest } = require('../../lib/cors');
+const { CorsError } = require('../../lib/errors');
+
+/**
+ * Minimal stand-in for a ServerResponse that records headers
+ */
+function fakeResponse() {
+    const headers = {};
+    return {
+        headers,
+        statusCode: 200,
+        ended: false,
+        setHeader(name, value) {
+            headers[name.toLowerCase()] = value;
+        },
+        end() {
+            this.ended = true;
+        }
+    };
+}
+
+function preflight(origin, method, requestHeaders) {
+    const headers = { origin, 'access-control-request-method': method };
+    if (requestHeaders) {
+        headers['access-control-request-headers'] = requestHeaders;
+    }
+    return { method: 'OPTIONS', headers };
+}
+
+describe('CORS policy', () => {
+    it('matches exact, wildcard-subdomain and regular expression origins', () => {
+        const policy = createCorsPolicy({
+            origins: ['https://app.example.com/', 'https://*.example.org', '/^https:\\/\\/review-\\d+\\.example\\.net$/']
+        });
+
+        assert.ok(policy.isOriginAllowed('https://APP.example.com'));
+        assert.ok(policy.isOriginAllowed('https://a.b.example.org'));
+        assert.ok(!policy.isOriginAllowed('https://example.org'));
+        assert.ok(!policy.isOriginAllowed('https://evilexample.org'));
+        assert.ok(policy.isOriginAllowed('https://review-42.example.net'));
+        assert.ok(!policy.isOriginAllowed('https://app.example.com.evil.test'));
+    });
+
+    it('adds allow and expose headers to simple requests from allowed origins', () => {
+        const policy = createCorsPolicy({ origins: ['https://app.example.com'], credentials: true });
+        const res = fakeResponse();
+
+        const answered = policy.apply({ method: 'GET', headers: { origin: 'https://app.example.com' } }, res);
+
+        assert.strictEqual(answered, false);
+        assert.strictEqual(res.headers['access-control-allow-origin'], 'https://app.example.com');
+        assert.strictEqual(res.headers['access-control-allow-credentials'], 'true');
+        assert.strictEqual(res.headers.vary, 'Origin');
+        assert.match(res.headers['access-control-expose-headers'], /X-Request-Id/);
+    });
+
+    it('leaves requests without an Origin alone and rejects unknown origins', () => {
+        const policy = createCorsPolicy({ origins: ['https://app.example.com'] });
+        const res = fakeResponse();
+
+        assert.strictEqual(policy.apply({ method: 'GET', headers: {} }, res), false);
+        assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+
+        assert.throws(() => policy.apply({ method: 'GET', headers: { origin: 'https://evil.test' } }, fakeResponse()),
+            error => error instanceof CorsError && error.statusCode === 403);
+    });
+
+    it('answers preflights for the route methods and allowed headers', () => {
+        const policy = createCorsPolicy({ origins: ['*'], maxAge: 120 });
+        const res = fakeResponse();
+
+        const answered = policy.apply(preflight('https://any.test', 'put', 'Content-Type, X-Request-Id'), res, {
+            allowedMethods: ['GET', 'PUT']
+        });
+
+        assert.strictEqual(answered, true);
+        assert.strictEqual(res.statusCode, 204);
+        assert.ok(res.ended);
+        assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+        assert.strictEqual(res.headers['access-control-allow-methods'], 'GET, PUT');
+        assert.strictEqual(res.headers['access-control-max-age'], '120');
+        assert.strictEqual(res.headers.vary, undefined);
+    });
+
+    it('rejects preflights for other methods or headers', () => {
+        const policy = createCorsPolicy({ origins: ['*'] });
+
+        assert.throws(() => policy.apply(preflight('https://any.test', 'DELETE'), fakeResponse(), { allowedMethods: ['GET'] }),
+            /Method DELETE is not allowed/);
+        assert.throws(() => policy.apply(preflight('https://any.test', 'GET', 'X-Secret'), fakeResponse(), { allowedMethods: ['GET'] }),
+            /x-secret/);
+    });
+
+    it('refuses a wildcard origin with credentials', () => {
+        assert.throws(() => createCorsPolicy({ origins: ['*'], credentials: true }), /cannot be combined with credentials/);
+    });
+
+    it('recognises preflight requests', () => {
+        assert.ok(isPreflightRequest(preflight('https://any.test', 'GET')));
+        assert.ok(!isPreflightRequest({ method: 'OPTIONS', headers: { origin: 'https://any.test' } }));
+    });
+});
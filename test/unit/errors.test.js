@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole } = require('../helpers');
+const {
+    ValidationError,
+    createMethodValidationError,
+    createNotFoundError,
+    configureErrorResponses,
+    resolveErrorFormat,
+    generateProblemDetails,
+    handleError
+} = require('../../lib/errors');
+
+/**
+ * Minimal stand-in for a ServerResponse that records what was sent
+ */
+function fakeResponse() {
+    const headers = {};
+    return {
+        headers,
+        headersSent: false,
+        statusCode: 200,
+        body: null,
+        setHeader(name, value) {
+            headers[name.toLowerCase()] = value;
+        },
+        getHeader(name) {
+            return headers[name.toLowerCase()];
+        },
+        removeHeader(name) {
+            delete headers[name.toLowerCase()];
+        },
+        end(body) {
+            this.body = body;
+            this.headersSent = true;
+        }
+    };
+}
+
+describe('problem details', () => {
+    before(() => silenceConsole());
+
+    afterEach(() => configureErrorResponses({ format: 'json', problemTypeBase: 'about:blank' }));
+
+    it('builds an RFC 9457 object with extension members', () => {
+        const error = new ValidationError('Field is required', 'email');
+
+        const { detail, ...problem } = generateProblemDetails(error, { instance: '/users', requestId: 'req-1' });
+
+        assert.strictEqual(typeof detail, 'string');
+        assert.deepStrictEqual(problem, {
+            type: 'about:blank',
+            title: 'Bad Request',
+            status: 400,
+            instance: '/users',
+            code: 'VALIDATION_ERROR',
+            field: 'email',
+            requestId: 'req-1'
+        });
+    });
+
+    it('derives the type URI from the configured base and error code', () => {
+        configureErrorResponses({ problemTypeBase: 'https://errors.example.com/' });
+
+        const problem = generateProblemDetails(createNotFoundError('GET', '/missing'));
+
+        assert.strictEqual(problem.type, 'https://errors.example.com/not-found');
+        assert.strictEqual(problem.status, 404);
+        assert.strictEqual(problem.title, 'Not Found');
+    });
+
+    it('negotiates the format from configuration and the Accept header', () => {
+        const request = accept => ({ headers: accept ? { accept } : {} });
+
+        assert.strictEqual(resolveErrorFormat(request()), 'json');
+        assert.strictEqual(resolveErrorFormat(request('application/json, application/problem+json')), 'problem');
+        assert.strictEqual(resolveErrorFormat(request('application/problem+json;q=0')), 'json');
+
+        configureErrorResponses({ format: 'problem' });
+        assert.strictEqual(resolveErrorFormat(request('application/json')), 'problem');
+        assert.strictEqual(resolveErrorFormat(request(), { format: 'json' }), 'json');
+    });
+
+    it('rejects an unknown configured format', () => {
+        assert.throws(() => configureErrorResponses({ format: 'xml' }), /Unknown error response format/);
+    });
+
+    it('sends problem+json with the protocol headers the status requires', () => {
+        const req = { method: 'POST', url: '/metrics', headers: { accept: 'application/problem+json' } };
+        const res = fakeResponse();
+
+        handleError(createMethodValidationError('POST', ['GET', 'HEAD']), req, res);
+
+        assert.strictEqual(res.statusCode, 405);
+        assert.match(res.headers['content-type'], /^application\/problem\+json/);
+        assert.strictEqual(res.headers.allow, 'GET, HEAD');
+
+        const body = JSON.parse(res.body);
+        assert.strictEqual(body.status, 405);
+        assert.strictEqual(body.instance, '/metrics');
+        assert.strictEqual(body.error, undefined);
+    });
+
+    it('keeps the legacy envelope by default', () => {
+        const req = { method: 'GET', url: '/missing', headers: {} };
+        const res = fakeResponse();
+
+        handleError(createNotFoundError('GET', '/missing'), req, res);
+
+        assert.strictEqual(res.statusCode, 404);
+        assert.match(res.headers['content-type'], /^application\/json/);
+        assert.strictEqual(JSON.parse(res.body).error.code, 'NOT_FOUND');
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createHealthChecks } = require('../../lib/health');
+const { SHUTDOWN_STATES } = require('../../lib/shutdown');
+
+describe('health checks', () => {
+    it('is ready while every critical check passes', async () => {
+        const health = createHealthChecks({ coordinator: { state: SHUTDOWN_STATES.ACTIVE } })
+            .register('database', () => ({ pool: 4 }))
+            .register('cache', () => false, { critical: false });
+
+        const { ready, report } = await health.readiness();
+
+        assert.strictEqual(ready, true);
+        assert.strictEqual(report.status, 'pass');
+        assert.strictEqual(report.checks.database.status, 'pass');
+        assert.deepStrictEqual(report.checks.database.details, { pool: 4 });
+        assert.strictEqual(report.checks.cache.status, 'fail');
+        assert.strictEqual(report.checks.cache.critical, false);
+    });
+
+    it('is not ready when a critical check fails, throws or times out', async () => {
+        const health = createHealthChecks({ checkTimeoutMs: 20 })
+            .register('returnsFalse', () => false)
+            .register('throws', () => {
+                throw new Error('connection refused');
+            })
+            .register('hangs', () => new Promise(() => {}));
+
+        const { ready, report } = await health.readiness();
+
+        assert.strictEqual(ready, false);
+        assert.strictEqual(report.checks.returnsFalse.status, 'fail');
+        assert.strictEqual(report.checks.throws.error, 'connection refused');
+        assert.match(report.checks.hangs.error, /timed out/);
+    });
+
+    it('reports not ready without running checks once shutdown begins', async () => {
+        let ran = false;
+        const coordinator = { state: SHUTDOWN_STATES.DRAINING };
+        const health = createHealthChecks({ coordinator }).register('database', () => {
+            ran = true;
+        });
+
+        const { ready, report } = await health.readiness();
+
+        assert.strictEqual(ready, false);
+        assert.strictEqual(report.state, SHUTDOWN_STATES.DRAINING);
+        assert.strictEqual(ran, false);
+    });
+
+    it('rejects duplicate and non-function checks', () => {
+        const health = createHealthChecks().register('database', () => true);
+
+        assert.throws(() => health.register('database', () => true), /already registered/);
+        assert.throws(() => health.register('other', 'yes'), /must be a function/);
+        assert.strictEqual(health.unregister('database'), true);
+        assert.strictEqual(health.unregister('database'), false);
+    });
+
+    it('always reports the process as live', () => {
+        const report = createHealthChecks().liveness();
+
+        assert.strictEqual(report.status, 'pass');
+        assert.strictEqual(report.pid, process.pid);
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createCidrList, findInvalidRanges, normalizeAddress } = require('../../lib/cidr');
+const { createIpAccessPolicy } = require('../../lib/ipAccess');
+const { ForbiddenError } = require('../../lib/errors');
+
+describe('CIDR lists', () => {
+    it('matches IPv4, IPv6 and IPv4-mapped addresses', () => {
+        const list = createCidrList(['10.0.0.0/8', '2001:db8::/32', '192.0.2.7']);
+
+        assert.ok(list.contains('10.200.1.1'));
+        assert.ok(list.contains('::ffff:10.0.0.1'));
+        assert.ok(list.contains('[2001:db8::1]'));
+        assert.ok(list.contains('192.0.2.7'));
+        assert.ok(!list.contains('192.0.2.8'));
+        assert.ok(!list.contains('2001:db9::1'));
+        assert.ok(!list.contains('not-an-address'));
+        assert.strictEqual(normalizeAddress('fe80::1%eth0'), 'fe80::1');
+    });
+
+    it('reports invalid ranges when the list is built', () => {
+        assert.deepStrictEqual(findInvalidRanges(['10.0.0.0/8', '10.0.0.0/33', 'example.com']), ['10.0.0.0/33', 'example.com']);
+        assert.throws(() => createCidrList(['10.0.0.0/33']));
+    });
+});
+
+describe('IP access policy', () => {
+    /**
+     * A request stand-in from the given client address
+     */
+    const fromAddress = ip => ({ socket: { remoteAddress: '127.0.0.1' }, clientIdentity: { ip } });
+
+    it('admits everyone when it has no ranges', () => {
+        const req = fromAddress('203.0.113.5');
+
+        assert.strictEqual(createIpAccessPolicy().enforce(req), null);
+        assert.strictEqual(req.accessDecision, undefined);
+    });
+
+    it('lets the deny list win over the allow list', () => {
+        const policy = createIpAccessPolicy({ allow: ['10.0.0.0/8'], deny: ['10.1.0.0/16'] });
+
+        assert.strictEqual(policy.evaluate('10.2.0.1').reason, 'allow_list');
+        assert.strictEqual(policy.evaluate('10.1.0.1').reason, 'deny_list');
+        assert.strictEqual(policy.evaluate('192.0.2.1').reason, 'not_in_allow_list');
+        assert.strictEqual(createIpAccessPolicy({ deny: ['10.1.0.0/16'] }).evaluate('192.0.2.1').reason, 'not_denied');
+    });
+
+    it('refuses with 403 using the client address and records the decision', () => {
+        const policy = createIpAccessPolicy({ allow: ['10.0.0.0/8'], name: 'internal' });
+        const req = fromAddress('203.0.113.5');
+
+        assert.throws(() => policy.enforce(req), error => error instanceof ForbiddenError && error.statusCode === 403);
+        assert.deepStrictEqual(req.accessDecision, { decision: 'deny', reason: 'not_in_allow_list', policy: 'internal' });
+    });
+
+    it('requires an address in the base allow list as well', () => {
+        const admin = createIpAccessPolicy({ allow: ['10.1.0.0/16', '192.0.2.0/24'], baseAllow: ['10.0.0.0/8'], name: 'admin' });
+        const fallback = createIpAccessPolicy({ allow: [], baseAllow: ['10.0.0.0/8'], name: 'admin' });
+
+        assert.strictEqual(admin.evaluate('10.1.0.1').decision, 'allow');
+        assert.strictEqual(admin.evaluate('10.2.0.1').reason, 'not_in_allow_list');
+        assert.strictEqual(admin.evaluate('192.0.2.1').reason, 'not_in_base_allow_list');
+        assert.ok(fallback.hasRules());
+        assert.strictEqual(fallback.evaluate('10.2.0.1').decision, 'allow');
+        assert.strictEqual(fallback.evaluate('192.0.2.1').decision, 'deny');
+    });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const http2 = require('http2');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { silenceConsole, listen } = require('../helpers');
+const { createListener, createServer } = require('../../lib/listener');
+const { ShutdownCoordinator } = require('../../lib/shutdown');
+
+/**
+ * Write a self-signed certificate and key for the given common name
+ */
+function createCertificate(directory, commonName) {
+    const certFile = path.join(directory, `${commonName}.crt`);
+    const keyFile = path.join(directory, `${commonName}.key`);
+    execFileSync('openssl', [
+        'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+        '-keyout', keyFile, '-out', certFile, '-days', '1', '-subj', `/CN=${commonName}`
+    ], { stdio: 'ignore' });
+    return { certFile, keyFile };
+}
+
+/**
+ * Common name of the certificate a TLS server presents to a new connection
+ */
+function presentedName(port) {
+    return new Promise((resolve, reject) => {
+        const socket = tls.connect({ port, host: '127.0.0.1', rejectUnauthorized: false }, () => {
+            const name = socket.getPeerCertificate().subject.CN;
+            socket.end();
+            resolve(name);
+        });
+        socket.on('error', reject);
+    });
+}
+
+/**
+ * GET / over HTTPS/1.1 and resolve the response body
+ */
+function httpsGet(port) {
+    return new Promise((resolve, reject) => {
+        https.get({ port, host: '127.0.0.1', rejectUnauthorized: false, agent: false }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve(data));
+        }).on('error', reject);
+    });
+}
+
+const hasOpenssl = (() => {
+    try {
+        execFileSync('openssl', ['version'], { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+describe('listeners', { skip: !hasOpenssl && 'openssl is not available' }, () => {
+    let directory;
+    let first;
+    let second;
+
+    before(() => {
+        silenceConsole();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'listener-test-'));
+        first = createCertificate(directory, 'first');
+        second = createCertificate(directory, 'second');
+    });
+
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('rejects unknown protocols and missing or mismatched credentials', () => {
+        const handler = () => {};
+
+        assert.throws(() => createServer(handler, { protocol: 'spdy' }), /Unknown listener protocol/);
+        assert.throws(() => createServer(handler, { protocol: 'https', certFile: path.join(directory, 'none.crt'), keyFile: first.keyFile }), /ENOENT/);
+        assert.throws(() => createServer(handler, { protocol: 'https', certFile: first.certFile, keyFile: second.keyFile }));
+    });
+
+    it('serves HTTPS with the configured certificate', async () => {
+        const { server, certificates } = createListener((req, res) => res.end('secure'), { protocol: 'https', watch: false, ...first });
+        const port = await listen(server);
+
+        try {
+            const body = await httpsGet(port);
+
+            assert.strictEqual(body, 'secure');
+            assert.strictEqual(await presentedName(port), 'first');
+        } finally {
+            certificates.stop();
+            server.close();
+        }
+    });
+
+    it('swaps the certificate for new connections and keeps it when a reload fails', async () => {
+        const certFile = path.join(directory, 'active.crt');
+        const keyFile = path.join(directory, 'active.key');
+        fs.copyFileSync(first.certFile, certFile);
+        fs.copyFileSync(first.keyFile, keyFile);
+
+        const { server, certificates } = createListener((req, res) => res.end(), { protocol: 'https', watch: false, certFile, keyFile });
+        const port = await listen(server);
+
+        try {
+            fs.copyFileSync(second.certFile, certFile);
+            assert.strictEqual(certificates.reload(), false, 'a certificate without its key is refused');
+            assert.strictEqual(await presentedName(port), 'first');
+
+            fs.copyFileSync(second.keyFile, keyFile);
+            assert.strictEqual(certificates.reload(), true);
+            assert.strictEqual(await presentedName(port), 'second');
+        } finally {
+            certificates.stop();
+            server.close();
+        }
+    });
+
+    it('reloads the certificate when the watched files change', async () => {
+        const certFile = path.join(directory, 'watched.crt');
+        const keyFile = path.join(directory, 'watched.key');
+        fs.copyFileSync(first.certFile, certFile);
+        fs.copyFileSync(first.keyFile, keyFile);
+
+        const { server, certificates } = createListener((req, res) => res.end(), {
+            protocol: 'https',
+            watchIntervalMs: 20,
+            certFile,
+            keyFile
+        });
+        const port = await listen(server);
+
+        try {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            fs.copyFileSync(second.certFile, certFile);
+            fs.copyFileSync(second.keyFile, keyFile);
+
+            let name = await presentedName(port);
+            for (let attempt = 0; name !== 'second' && attempt < 40; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                name = await presentedName(port);
+            }
+            assert.strictEqual(name, 'second');
+        } finally {
+            certificates.stop();
+            server.close();
+        }
+    });
+
+    it('negotiates HTTP/2 and sends GOAWAY when the listener closes', async () => {
+        const { server, certificates } = createListener((req, res) => res.end(`http/${req.httpVersion}`), {
+            protocol: 'http2',
+            watch: false,
+            ...first
+        });
+        const coordinator = new ShutdownCoordinator({ exit: () => {} });
+        coordinator.registerServer(server);
+        const port = await listen(server);
+        const client = http2.connect(`https://127.0.0.1:${port}`, { rejectUnauthorized: false });
+
+        try {
+            const body = await new Promise((resolve, reject) => {
+                const stream = client.request({ ':path': '/' });
+                let data = '';
+                stream.on('data', chunk => { data += chunk; });
+                stream.on('end', () => resolve(data));
+                stream.on('error', reject);
+            });
+            assert.strictEqual(body, 'http/2.0');
+            assert.strictEqual(coordinator.http2Sessions.size, 1);
+
+            // Clients that do not offer h2 are served over HTTP/1.1
+            const fallback = await httpsGet(port);
+            assert.strictEqual(fallback, 'http/1.1');
+
+            const goaway = new Promise(resolve => client.once('goaway', resolve));
+            await coordinator.stopAcceptingConnections();
+            await goaway;
+        } finally {
+            client.destroy();
+            certificates.stop();
+            coordinator.dispose();
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole } = require('../helpers');
+const { createRegistry, registerDefaultMetrics } = require('../../lib/metrics');
+const { handleError, createMethodValidationError } = require('../../lib/errors');
+
+/**
+ * Sample lines of one metric in an exposition document
+ */
+function samples(text, name) {
+    return text.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+describe('metrics exposition', () => {
+    before(() => silenceConsole());
+
+    it('renders counters and gauges with HELP, TYPE and escaped labels', () => {
+        const registry = createRegistry();
+        const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['queue'] });
+        const gauge = registry.gauge({ name: 'queue_depth', help: 'Queued jobs' });
+
+        counter.inc({ queue: 'a "quoted"\nname\\' });
+        counter.inc({ queue: 'a "quoted"\nname\\' }, 2);
+        gauge.set({}, 5);
+        gauge.dec();
+
+        assert.strictEqual(registry.render(), [
+            '# HELP jobs_total Jobs run',
+            '# TYPE jobs_total counter',
+            'jobs_total{queue="a \\"quoted\\"\\nname\\\\"} 3',
+            '# HELP queue_depth Queued jobs',
+            '# TYPE queue_depth gauge',
+            'queue_depth 4',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets, sum and count', () => {
+        const registry = createRegistry();
+        const histogram = registry.histogram({ name: 'latency_seconds', buckets: [0.5, 0.1] });
+
+        [0.05, 0.2, 3].forEach(value => histogram.observe({}, value));
+
+        assert.deepStrictEqual(registry.render().split('\n').slice(2, -1), [
+            'latency_seconds_bucket{le="0.1"} 1',
+            'latency_seconds_bucket{le="0.5"} 2',
+            'latency_seconds_bucket{le="+Inf"} 3',
+            'latency_seconds_sum 3.25',
+            'latency_seconds_count 3'
+        ]);
+    });
+
+    it('rejects invalid names, unknown labels and decreasing counters', () => {
+        const registry = createRegistry();
+        const counter = registry.counter({ name: 'ok_total', labelNames: ['kind'] });
+
+        assert.throws(() => registry.gauge({ name: '0bad' }), /Invalid metric name/);
+        assert.throws(() => registry.gauge({ name: 'ok_total' }), /already registered/);
+        assert.throws(() => registry.histogram({ name: 'h', labelNames: ['le'] }), /reserved label/);
+        assert.throws(() => counter.inc({ other: 'x' }), /Unknown label/);
+        assert.throws(() => counter.inc({}, -1), /can only increase/);
+    });
+
+    it('exposes process CPU time as a monotonic counter', () => {
+        const registry = createRegistry();
+        const collectors = registerDefaultMetrics(registry);
+
+        try {
+            const first = registry.render();
+            assert.ok(first.includes('# TYPE process_cpu_seconds_total counter'));
+            const userSeconds = text => Number(samples(text, 'process_cpu_seconds_total')
+                .find(line => line.includes('mode="user"')).split(' ')[1]);
+
+            const before = userSeconds(first);
+            for (let i = 0; i < 1e6; i++) Math.sqrt(i);
+            assert.ok(userSeconds(registry.render()) >= before);
+            assert.strictEqual(samples(registry.render(), 'process_cpu_seconds_total').length, 2);
+        } finally {
+            collectors.dispose();
+        }
+    });
+
+    it('counts validation rejections and errors from the error handler', () => {
+        const registry = createRegistry();
+        const collectors = registerDefaultMetrics(registry);
+
+        try {
+            handleError(createMethodValidationError('POST', ['GET']));
+            const text = registry.render();
+
+            assert.deepStrictEqual(samples(text, 'http_validation_rejections_total'), ['http_validation_rejections_total{status="405"} 1']);
+            assert.deepStrictEqual(samples(text, 'app_errors_total'), ['app_errors_total{code="VALIDATION_ERROR"} 1']);
+        } finally {
+            collectors.dispose();
+        }
+    });
+});
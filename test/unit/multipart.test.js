@@ -0,0 +1,150 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { parseMultipart, validateFilename, UploadDirectory } = require('../../lib/multipart');
+const { ValidationError } = require('../../lib/errors');
+
+const BOUNDARY = 'test-boundary';
+
+/**
+ * Build a multipart body from `{ name, filename?, value }` parts
+ */
+function buildBody(parts, { close = true } = {}) {
+    const chunks = parts.map(part => {
+        const disposition = part.filename === undefined ?
+            `form-data; name="${part.name}"` :
+            `form-data; name="${part.name}"; filename="${part.filename}"`;
+        return `--${BOUNDARY}\r\nContent-Disposition: ${disposition}\r\n\r\n${part.value}\r\n`;
+    });
+    return chunks.join('') + (close ? `--${BOUNDARY}--\r\n` : '');
+}
+
+/**
+ * Minimal stand-in for an IncomingMessage streaming the given chunks
+ */
+function fakeRequest(chunks) {
+    const req = new PassThrough();
+    req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+    process.nextTick(() => {
+        [].concat(chunks).forEach(chunk => req.write(chunk));
+        req.end();
+    });
+    return req;
+}
+
+async function parseError(req, options) {
+    try {
+        await parseMultipart(req, options);
+    } catch (error) {
+        assert.ok(error instanceof ValidationError);
+        return error;
+    }
+    assert.fail('expected parseMultipart to reject');
+}
+
+describe('multipart parsing', () => {
+    let baseDir;
+    let uploadDirectory;
+
+    beforeEach(async () => {
+        baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'multipart-test-'));
+        uploadDirectory = new UploadDirectory(baseDir);
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(baseDir, { recursive: true, force: true });
+    });
+
+    async function storedFiles() {
+        const directory = await uploadDirectory.getPath();
+        return fs.promises.readdir(directory);
+    }
+
+    it('collects fields and stores files', async () => {
+        const body = buildBody([
+            { name: 'title', value: 'hello' },
+            { name: 'tag', value: 'a' },
+            { name: 'tag', value: 'b' },
+            { name: 'upload', filename: 'notes.txt', value: 'file contents' }
+        ]);
+
+        const { fields, files } = await parseMultipart(fakeRequest(body), { uploadDirectory });
+
+        assert.deepStrictEqual({ ...fields }, { title: 'hello', tag: ['a', 'b'] });
+        assert.strictEqual(files.length, 1);
+        assert.strictEqual(files[0].fieldName, 'upload');
+        assert.strictEqual(files[0].filename, 'notes.txt');
+        assert.strictEqual(files[0].size, 'file contents'.length);
+        assert.strictEqual(await fs.promises.readFile(files[0].path, 'utf8'), 'file contents');
+    });
+
+    it('rejects a file over maxFileSize with 413 and removes it', async () => {
+        const body = buildBody([{ name: 'upload', filename: 'big.bin', value: 'x'.repeat(2048) }]);
+
+        const error = await parseError(fakeRequest(body), { uploadDirectory, limits: { maxFileSize: 1024 } });
+
+        assert.strictEqual(error.statusCode, 413);
+        assert.deepStrictEqual(await storedFiles(), []);
+    });
+
+    it('enforces the part count and field size limits', async () => {
+        const tooMany = buildBody([{ name: 'a', value: '1' }, { name: 'b', value: '2' }, { name: 'c', value: '3' }]);
+        assert.strictEqual((await parseError(fakeRequest(tooMany), { uploadDirectory, limits: { maxParts: 2 } })).statusCode, 413);
+
+        const longField = buildBody([{ name: 'a', value: 'x'.repeat(100) }]);
+        assert.strictEqual((await parseError(fakeRequest(longField), { uploadDirectory, limits: { maxFieldSize: 10 } })).statusCode, 413);
+    });
+
+    it('removes completed files when a later part fails', async () => {
+        const body = buildBody([
+            { name: 'first', filename: 'one.txt', value: 'one' },
+            { name: 'second', filename: '../escape.txt', value: 'two' }
+        ]);
+
+        const error = await parseError(fakeRequest(body), { uploadDirectory });
+
+        assert.strictEqual(error.field, 'filename');
+        assert.deepStrictEqual(await storedFiles(), []);
+    });
+
+    it('removes files whose directory resolves after the request failed', async () => {
+        // Hold the upload directory back until the body has already been rejected
+        const directory = await uploadDirectory.getPath();
+        let releaseDirectory;
+        const slowDirectory = {
+            getPath: () => new Promise(resolve => {
+                releaseDirectory = () => resolve(directory);
+            })
+        };
+
+        const body = buildBody([{ name: 'upload', filename: 'late.txt', value: 'late' }], { close: false });
+        const error = await parseError(fakeRequest(body), { uploadDirectory: slowDirectory });
+        assert.match(error.message, /unexpected end of body/);
+
+        releaseDirectory();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepStrictEqual(await fs.promises.readdir(directory), []);
+    });
+
+    it('validates file names', () => {
+        assert.strictEqual(validateFilename('report (1).pdf'), 'report (1).pdf');
+        assert.throws(() => validateFilename('../etc/passwd'), ValidationError);
+        assert.throws(() => validateFilename('a\\b.txt'), ValidationError);
+        assert.throws(() => validateFilename(''), ValidationError);
+    });
+
+    it('wipes the upload directory', async () => {
+        const directory = await uploadDirectory.getPath();
+        await fs.promises.writeFile(path.join(directory, 'leftover'), 'x');
+
+        await uploadDirectory.wipe();
+
+        assert.strictEqual(fs.existsSync(directory), false);
+        assert.strictEqual(fs.existsSync(baseDir), true);
+    });
+});
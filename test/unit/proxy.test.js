@@ -0,0 +1,63 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createClientResolver, parseForwarded, sanitizeHost } = require('../../lib/proxy');
+
+/**
+ * A request stand-in arriving from the given peer
+ */
+function fakeRequest(remoteAddress, headers = {}) {
+    return { socket: { remoteAddress }, headers: { host: 'app.example.com', ...headers } };
+}
+
+describe('trusted proxies', () => {
+    const resolve = createClientResolver({ trustedProxies: ['10.0.0.0/8'] });
+
+    it('ignores forwarding headers from untrusted peers', () => {
+        const identity = resolve(fakeRequest('::ffff:192.0.2.7', {
+            'x-forwarded-for': '203.0.113.5',
+            'x-forwarded-proto': 'https',
+            'x-forwarded-host': 'evil.test'
+        }));
+
+        assert.deepStrictEqual(identity, { ip: '192.0.2.7', protocol: 'http', host: 'app.example.com', proxied: false });
+    });
+
+    it('takes the client from the Forwarded header in preference to X-Forwarded-*', () => {
+        const identity = resolve(fakeRequest('10.0.0.2', {
+            forwarded: 'for=203.0.113.5;proto=https;host="shop.example.com", for="10.0.0.9:8080"',
+            'x-forwarded-for': '198.51.100.1'
+        }));
+
+        assert.deepStrictEqual(identity, { ip: '203.0.113.5', protocol: 'https', host: 'shop.example.com', proxied: true });
+    });
+
+    it('walks X-Forwarded-For right to left so prepended entries cannot spoof the client', () => {
+        const identity = resolve(fakeRequest('10.0.0.2', {
+            'x-forwarded-for': '1.1.1.1, 203.0.113.5, 10.0.0.9',
+            'x-forwarded-proto': 'gopher'
+        }));
+
+        assert.strictEqual(identity.ip, '203.0.113.5');
+        assert.strictEqual(identity.protocol, 'http', 'unknown protocols keep the connection protocol');
+        assert.strictEqual(identity.proxied, true);
+    });
+
+    it('falls back to the peer when no forwarded address is usable', () => {
+        const identity = resolve(fakeRequest('10.0.0.2', { 'x-forwarded-for': 'unknown' }));
+
+        assert.strictEqual(identity.ip, '10.0.0.2');
+        assert.strictEqual(identity.proxied, false);
+    });
+
+    it('parses quoted Forwarded parameters and rejects malformed hosts', () => {
+        assert.deepStrictEqual(parseForwarded('for="[2001:db8::1]:443";proto=https, for=10.0.0.1'), [
+            { for: '[2001:db8::1]:443', proto: 'https' },
+            { for: '10.0.0.1' }
+        ]);
+        assert.strictEqual(sanitizeHost(' Example.COM:8080 '), 'example.com:8080');
+        assert.strictEqual(sanitizeHost('evil.test/path'), null);
+        assert.strictEqual(sanitizeHost('a b'), null);
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, MemoryStore } = require('../../lib/rateLimit');
+const { RateLimitError } = require('../../lib/errors');
+
+/**
+ * Minimal request from the given address
+ */
+function fakeRequest(ip, headers = {}) {
+    return { headers, socket: { remoteAddress: ip } };
+}
+
+describe('rate limiting', () => {
+    let now;
+    let limiters;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        mock.method(Date, 'now', () => now);
+        limiters = [];
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await Promise.all(limiters.map(limiter => limiter.close()));
+    });
+
+    function limiter(options) {
+        const created = createRateLimiter(options);
+        limiters.push(created);
+        return created;
+    }
+
+    async function consumeError(rateLimiter, req) {
+        try {
+            await rateLimiter.consume(req);
+        } catch (error) {
+            assert.ok(error instanceof RateLimitError);
+            return error;
+        }
+        assert.fail('expected the request to be limited');
+    }
+
+    it('refills a token bucket evenly over the window', async () => {
+        const bucket = limiter({ limit: 2, windowMs: 1000 });
+        const req = fakeRequest('192.0.2.1');
+
+        assert.strictEqual((await bucket.consume(req)).remaining, 1);
+        assert.strictEqual((await bucket.consume(req)).remaining, 0);
+        const error = await consumeError(bucket, req);
+        assert.strictEqual(error.statusCode, 429);
+        assert.strictEqual(error.context.retryAfter, 1);
+
+        now += 500;
+        assert.strictEqual((await bucket.consume(req)).remaining, 0);
+    });
+
+    it('allows bursts up to the bucket size', async () => {
+        const bucket = limiter({ limit: 1, windowMs: 1000, burst: 3 });
+        const req = fakeRequest('192.0.2.1');
+
+        for (let i = 0; i < 3; i++) {
+            await bucket.consume(req);
+        }
+        await consumeError(bucket, req);
+    });
+
+    it('weights the previous window in the sliding window strategy', async () => {
+        const window = limiter({ strategy: 'sliding-window', limit: 4, windowMs: 1000 });
+        const req = fakeRequest('192.0.2.1');
+        now = 1700000000000; // Window boundary
+
+        for (let i = 0; i < 4; i++) {
+            await window.consume(req);
+        }
+        await consumeError(window, req);
+
+        // Halfway into the next window half of the previous count still applies
+        now += 1500;
+        await window.consume(req);
+        await window.consume(req);
+        await consumeError(window, req);
+    });
+
+    it('keeps separate quotas per client and per limiter name', async () => {
+        const store = new MemoryStore();
+        const global = limiter({ limit: 1, store });
+        const uploads = limiter({ limit: 1, store, name: 'uploads' });
+        limiters.push({ close: () => store.close() });
+
+        await global.consume(fakeRequest('192.0.2.1'));
+        await global.consume(fakeRequest('192.0.2.2'));
+        await uploads.consume(fakeRequest('192.0.2.1'));
+        await consumeError(global, fakeRequest('192.0.2.1'));
+    });
+
+    it('keys by hashed API key, falling back to the client address', () => {
+        const byKey = limiter({ keyBy: 'api-key' });
+
+        const key = byKey.keyFor(fakeRequest('192.0.2.1', { 'x-api-key': 'secret' }));
+        assert.match(key, /^key:[0-9a-f]{32}$/);
+        assert.ok(!key.includes('secret'));
+        assert.strictEqual(byKey.keyFor(fakeRequest('192.0.2.1')), 'ip:192.0.2.1');
+
+        const req = fakeRequest('10.0.0.1');
+        req.clientIdentity = { ip: '198.51.100.7' };
+        assert.strictEqual(byKey.keyFor(req), 'ip:198.51.100.7');
+    });
+
+    it('sets RateLimit headers on the response', async () => {
+        const headers = {};
+        const res = { headersSent: false, setHeader: (name, value) => { headers[name] = value; } };
+
+        await limiter({ limit: 5, windowMs: 10000 }).consume(fakeRequest('192.0.2.1'), res);
+
+        assert.deepStrictEqual(headers, { 'RateLimit-Limit': '5', 'RateLimit-Remaining': '4', 'RateLimit-Reset': '2' });
+    });
+
+    it('evicts the least recently used keys beyond maxKeys', () => {
+        const store = new MemoryStore({ maxKeys: 2 });
+        limiters.push({ close: () => store.close() });
+
+        store.update('a', () => 1, 1000);
+        store.update('b', () => 1, 1000);
+        store.update('a', previous => previous + 1, 1000);
+        store.update('c', () => 1, 1000);
+
+        assert.deepStrictEqual(Array.from(store.entries.keys()), ['a', 'c']);
+    });
+
+    it('rejects unknown strategies and invalid limits', () => {
+        assert.throws(() => createRateLimiter({ strategy: 'leaky' }), /Unknown rate limit strategy/);
+        assert.throws(() => createRateLimiter({ limit: 0 }), /limit >= 1/);
+    });
+});
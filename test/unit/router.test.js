@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createRouter } = require('../../lib/router');
+const { NotFoundError, ValidationError } = require('../../lib/errors');
+
+const handler = () => {};
+
+describe('router', () => {
+    it('matches static paths and captures decoded parameters', () => {
+        const router = createRouter()
+            .get('/users/:id', handler)
+            .get('/users/me', handler);
+
+        assert.strictEqual(router.match('GET', '/users/me').route.pattern, '/users/me');
+
+        const { route, params } = router.match('GET', '/users/a%20b');
+        assert.strictEqual(route.pattern, '/users/:id');
+        assert.deepStrictEqual(params, { id: 'a b' });
+    });
+
+    it('captures the rest of the path with a trailing wildcard', () => {
+        const router = createRouter().get('/static/*', handler);
+
+        assert.deepStrictEqual(router.match('GET', '/static/css/site.css').params, { '*': 'css/site.css' });
+    });
+
+    it('returns a 404 error for unknown paths', () => {
+        const router = createRouter().get('/known', handler);
+        const { route, error } = router.resolve('GET', '/unknown');
+
+        assert.strictEqual(route, null);
+        assert.ok(error instanceof NotFoundError);
+        assert.strictEqual(error.statusCode, 404);
+    });
+
+    it('returns a 405 error listing the methods the path accepts', () => {
+        const router = createRouter()
+            .get('/items', handler)
+            .post('/items', handler);
+        const { error } = router.resolve('DELETE', '/items');
+
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.statusCode, 405);
+        assert.deepStrictEqual(error.context.allowedMethods, ['GET', 'HEAD', 'POST']);
+    });
+
+    it('serves HEAD from GET routes', () => {
+        const router = createRouter().get('/page', handler);
+
+        assert.strictEqual(router.match('HEAD', '/page').route.pattern, '/page');
+    });
+
+    it('answers every method on routes registered with all()', () => {
+        const router = createRouter().all('/any', handler);
+
+        assert.strictEqual(router.match('PATCH', '/any').allowedMethods, null);
+    });
+
+    it('rejects malformed percent-encoding in parameters', () => {
+        const router = createRouter().get('/files/:name', handler);
+
+        assert.ok(router.resolve('GET', '/files/%E0%A4%A').error instanceof ValidationError);
+    });
+
+    it('rejects malformed patterns at registration', () => {
+        assert.throws(() => createRouter().get('no-slash', handler), /must be a string starting with/);
+        assert.throws(() => createRouter().get('/users/:1d', handler), /Invalid route parameter/);
+        assert.throws(() => createRouter().get('/x', null), /must be a function/);
+    });
+});
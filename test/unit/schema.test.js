@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validateSchema, validateRequestData, compileRouteSchemas } = require('../../lib/schema');
+const { createRouter } = require('../../lib/router');
+const { ValidationError } = require('../../lib/errors');
+
+describe('schema validation', () => {
+    it('locates nested violations by JSON Pointer', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                items: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } }
+            }
+        };
+        const violations = validateSchema(schema, { items: [{ name: 'ok' }, { name: 3 }, {}] }, '/body');
+
+        assert.deepStrictEqual(violations.map(v => [v.pointer, v.keyword]), [
+            ['/body/items/1/name', 'type'],
+            ['/body/items/2/name', 'required']
+        ]);
+    });
+
+    it('escapes ~ and / in property names', () => {
+        const schema = { type: 'object', additionalProperties: false };
+        const [violation] = validateSchema(schema, { 'a/b~c': 1 }, '/body');
+
+        assert.strictEqual(violation.pointer, '/body/a~1b~0c');
+    });
+
+    it('checks ranges, lengths, enums and oneOf', () => {
+        const keywords = schema => validateSchema(schema.schema, schema.value).map(v => v.keyword);
+
+        assert.deepStrictEqual(keywords({ schema: { type: 'integer', minimum: 1 }, value: 0 }), ['minimum']);
+        assert.deepStrictEqual(keywords({ schema: { type: 'string', maxLength: 2 }, value: '😀😀😀' }), ['maxLength']);
+        assert.deepStrictEqual(keywords({ schema: { enum: ['a', 'b'] }, value: 'c' }), ['enum']);
+        assert.deepStrictEqual(keywords({ schema: { oneOf: [{ type: 'number' }, { type: 'integer' }] }, value: 1 }), ['oneOf']);
+        assert.deepStrictEqual(keywords({ schema: { type: 'string', pattern: '^[a-z]+$' }, value: 'abc' }), []);
+    });
+
+    it('coerces params and query strings and reports every violation at once', () => {
+        const schemas = {
+            params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+            query: { type: 'object', properties: { verbose: { type: 'boolean' }, tags: { type: 'array', items: { type: 'string' } } } },
+            body: { type: 'object', required: ['name'] }
+        };
+
+        const result = validateRequestData(schemas, { params: { id: '7' }, query: { verbose: 'true', tags: 'x' }, body: { name: 'n' } });
+        assert.deepStrictEqual(result.params, { id: 7 });
+        assert.deepStrictEqual(result.query, { verbose: true, tags: ['x'] });
+
+        assert.throws(
+            () => validateRequestData(schemas, { params: { id: '0' }, query: {}, body: {} }),
+            error => error instanceof ValidationError &&
+                error.statusCode === 400 &&
+                error.context.violations.map(v => v.field).join() === '/params/id,/body/name'
+        );
+    });
+
+    it('rejects an invalid pattern when the route is registered', () => {
+        const schema = { body: { type: 'object', properties: { code: { type: 'string', pattern: '([a-z' } } } };
+
+        assert.throws(() => compileRouteSchemas(schema), error =>
+            error instanceof ValidationError && error.field === '/body/properties/code/pattern');
+        assert.throws(() => createRouter().post('/codes', () => {}, { schema }), ValidationError);
+    });
+});
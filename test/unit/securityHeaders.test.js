@@ -0,0 +1,103 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SecurityHeaderPolicy, createReportHandler } = require('../../lib/securityHeaders');
+const { ValidationError } = require('../../lib/errors');
+
+/**
+ * Minimal stand-in for a ServerResponse, optionally on an encrypted socket
+ */
+function fakeResponse({ encrypted = false, clientIdentity } = {}) {
+    const headers = {};
+    return {
+        headers,
+        headersSent: false,
+        statusCode: 200,
+        socket: { encrypted },
+        req: clientIdentity ? { clientIdentity } : undefined,
+        setHeader(name, value) {
+            headers[name.toLowerCase()] = value;
+        },
+        end() {}
+    };
+}
+
+describe('security headers', () => {
+    it('sends the default headers and no HSTS over plain HTTP', () => {
+        const res = fakeResponse();
+
+        new SecurityHeaderPolicy().apply(res);
+
+        assert.strictEqual(res.headers['x-content-type-options'], 'nosniff');
+        assert.strictEqual(res.headers['x-frame-options'], 'DENY');
+        assert.strictEqual(res.headers['cross-origin-opener-policy'], 'same-origin');
+        assert.match(res.headers['content-security-policy'], /^default-src 'none'; frame-ancestors 'none'/);
+        assert.strictEqual(res.headers['strict-transport-security'], undefined);
+    });
+
+    it('sends HSTS on TLS and on forwarded HTTPS requests', () => {
+        const policy = new SecurityHeaderPolicy({ hstsPreload: true });
+
+        const direct = fakeResponse({ encrypted: true });
+        policy.apply(direct);
+        assert.strictEqual(direct.headers['strict-transport-security'], 'max-age=15552000; includeSubDomains; preload');
+
+        const forwarded = fakeResponse({ clientIdentity: { protocol: 'https' } });
+        policy.apply(forwarded);
+        assert.ok(forwarded.headers['strict-transport-security']);
+
+        const forwardedPlain = fakeResponse({ encrypted: true, clientIdentity: { protocol: 'http' } });
+        policy.apply(forwardedPlain);
+        assert.strictEqual(forwardedPlain.headers['strict-transport-security'], undefined);
+    });
+
+    it('omits headers set to off', () => {
+        const res = fakeResponse({ encrypted: true });
+
+        new SecurityHeaderPolicy({ contentSecurityPolicy: 'off', frameOptions: 'off', hstsMaxAge: 0 }).apply(res);
+
+        assert.strictEqual(res.headers['content-security-policy'], undefined);
+        assert.strictEqual(res.headers['x-frame-options'], undefined);
+        assert.strictEqual(res.headers['strict-transport-security'], undefined);
+    });
+
+    it('adds a per-response nonce to script-src and style-src', () => {
+        const policy = new SecurityHeaderPolicy({ contentSecurityPolicy: "default-src 'none'; script-src 'self'", cspNonce: true });
+        const first = fakeResponse();
+        const second = fakeResponse();
+
+        const nonce = policy.apply(first);
+        policy.apply(second);
+
+        assert.ok(nonce);
+        assert.notStrictEqual(nonce, second.cspNonce);
+        assert.strictEqual(first.headers['content-security-policy'],
+            `default-src 'none'; script-src 'self' 'nonce-${nonce}'; style-src 'nonce-${nonce}'`);
+        assert.strictEqual(policy.apply(first), nonce, 'applying twice keeps the first nonce');
+    });
+
+    it('reports violations to the configured endpoint in report-only mode', () => {
+        const res = fakeResponse();
+
+        new SecurityHeaderPolicy({ cspReportOnly: true, reportPath: '/csp-reports' }).apply(res);
+
+        assert.strictEqual(res.headers['content-security-policy'], undefined);
+        assert.match(res.headers['content-security-policy-report-only'], /report-uri \/csp-reports; report-to csp-endpoint$/);
+        assert.strictEqual(res.headers['reporting-endpoints'], 'csp-endpoint="/csp-reports"');
+    });
+
+    it('logs legacy and Reporting API violation reports', () => {
+        const warnings = [];
+        const handler = createReportHandler({ logWarning: (message, context) => warnings.push(context) });
+
+        const legacy = fakeResponse();
+        handler({ body: Buffer.from(JSON.stringify({ 'csp-report': { 'blocked-uri': 'https://cdn.test/x.js' } })) }, legacy);
+        handler({ body: [{ type: 'csp-violation', body: { blockedURL: 'inline', effectiveDirective: 'script-src' } }] }, fakeResponse());
+
+        assert.strictEqual(legacy.statusCode, 204);
+        assert.deepStrictEqual(warnings.map(context => context.blockedURL), ['https://cdn.test/x.js', 'inline']);
+        assert.strictEqual(warnings[1].effectiveDirective, 'script-src');
+        assert.throws(() => handler({ body: '{not json' }, fakeResponse()), ValidationError);
+    });
+});
@@ -0,0 +1,295 @@
+'use strict';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { silenceConsole, listen, request, waitFor } = require('../helpers');
+const shutdown = require('../../lib/shutdown');
+const { ShutdownError } = require('../../lib/errors');
+
+describe('shutdown facade', () => {
+    before(silenceConsole);
+
+    afterEach(() => {
+        const coordinator = shutdown.getShutdownCoordinator();
+        if (coordinator) {
+            coordinator.dispose();
+        }
+    });
+
+    it('is inert before initializeShutdown', () => {
+        assert.strictEqual(shutdown.getShutdownCoordinator(), null);
+        assert.strictEqual(shutdown.isShuttingDown(), false);
+        assert.doesNotThrow(() => shutdown.registerConnection('req-1', null, null));
+        assert.doesNotThrow(() => shutdown.unregisterConnection('req-1'));
+    });
+
+    it('creates one shared coordinator and registers the server with it', () => {
+        const server = http.createServer();
+        const coordinator = shutdown.initializeShutdown(server, { gracePeriodMs: 1234 });
+
+        assert.ok(coordinator instanceof shutdown.ShutdownCoordinator);
+        assert.strictEqual(shutdown.getShutdownCoordinator(), coordinator);
+        assert.strictEqual(coordinator.server, server);
+        assert.strictEqual(coordinator.config.gracePeriodMs, 1234);
+        assert.throws(() => shutdown.initializeShutdown(server), /already registered/);
+    });
+
+    it('tracks requests registered through the facade', () => {
+        const coordinator = shutdown.initializeShutdown(http.createServer());
+
+        shutdown.registerConnection('req-1', null, null);
+        assert.ok(coordinator.activeRequests.has('req-1'));
+
+        shutdown.unregisterConnection('req-1');
+        assert.strictEqual(coordinator.activeRequests.size, 0);
+    });
+
+    it('reports shutdown once the shared coordinator leaves the active state', async () => {
+        const server = http.createServer((req, res) => res.end('ok'));
+        const exitCodes = [];
+        const coordinator = shutdown.initializeShutdown(server, {
+            gracePeriodMs: 200,
+            exit: code => exitCodes.push(code)
+        });
+        const port = await listen(server);
+
+        assert.strictEqual((await request(port)).status, 200);
+        assert.strictEqual(shutdown.isShuttingDown(), false);
+
+        const summary = await coordinator.shutdown('TEST');
+
+        assert.strictEqual(shutdown.isShuttingDown(), true);
+        assert.strictEqual(summary.signal, 'TEST');
+        assert.strictEqual(summary.exitCode, shutdown.EXIT_CODES.GRACEFUL);
+        assert.deepStrictEqual(exitCodes, [shutdown.EXIT_CODES.GRACEFUL]);
+    });
+
+    it('starts a new shared coordinator after dispose', () => {
+        const first = shutdown.initializeShutdown(http.createServer());
+        first.dispose();
+
+        const second = shutdown.initializeShutdown(http.createServer());
+        assert.notStrictEqual(second, first);
+        assert.strictEqual(shutdown.getShutdownCoordinator(), second);
+    });
+});
+
+describe('keep-alive draining', () => {
+    let server;
+    let coordinator;
+    let port;
+    let release;
+
+    before(silenceConsole);
+
+    beforeEach(async () => {
+        let requestCounter = 0;
+        const held = new Promise(resolve => { release = resolve; });
+
+        server = http.createServer((req, res) => {
+            const requestId = ++requestCounter;
+            coordinator.registerRequest(requestId, req.socket, res);
+            res.once('close', () => coordinator.unregisterRequest(requestId));
+
+            if (req.url === '/slow') {
+                held.then(() => res.end('slow'));
+            } else {
+                res.end('ok');
+            }
+        });
+        coordinator = new shutdown.ShutdownCoordinator({ gracePeriodMs: 5000, exit: () => {} });
+        coordinator.registerServer(server);
+        port = await listen(server);
+    });
+
+    afterEach(() => {
+        release();
+        coordinator.dispose();
+        server.close();
+    });
+
+    /**
+     * Open a raw keep-alive connection and collect what the server sends on it
+     */
+    async function openConnection() {
+        const socket = net.connect(port, '127.0.0.1');
+        const connection = { socket, received: '' };
+        socket.on('data', chunk => { connection.received += chunk; });
+        connection.closed = new Promise(resolve => socket.on('close', resolve));
+        await new Promise(resolve => socket.on('connect', resolve));
+        return connection;
+    }
+
+    it('counts requests per connection', async () => {
+        const connection = await openConnection();
+
+        connection.socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\nGET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+        await waitFor(() => connection.received.split('HTTP/1.1 200').length === 3);
+
+        const [connectionInfo] = coordinator.activeConnections.values();
+        assert.strictEqual(connectionInfo.requestCount, 2);
+        assert.strictEqual(connectionInfo.inFlight, 0);
+        connection.socket.destroy();
+    });
+
+    it('closes idle keep-alive connections as soon as draining starts', async () => {
+        const connection = await openConnection();
+        connection.socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+        await waitFor(() => connection.received.includes('ok'));
+
+        const startTime = Date.now();
+        const summary = await coordinator.shutdown('TEST');
+        await connection.closed;
+
+        assert.strictEqual(summary.exitCode, shutdown.EXIT_CODES.GRACEFUL);
+        assert.ok(Date.now() - startTime < 1000, 'shutdown does not wait for the grace period');
+        assert.doesNotMatch(connection.received, /Connection: close/i);
+    });
+
+    it('sends Connection: close on busy connections and closes them after the response', async () => {
+        const connection = await openConnection();
+        connection.socket.write('GET /slow HTTP/1.1\r\nHost: localhost\r\n\r\n');
+        await waitFor(() => coordinator.activeRequests.size === 1);
+
+        const completion = coordinator.shutdown('TEST');
+        await waitFor(() => coordinator.state === shutdown.SHUTDOWN_STATES.DRAINING);
+        release();
+
+        await connection.closed;
+        const summary = await completion;
+
+        assert.match(connection.received, /^HTTP\/1\.1 200 /);
+        assert.match(connection.received, /Connection: close/i);
+        assert.match(connection.received, /slow$/);
+        assert.strictEqual(summary.exitCode, shutdown.EXIT_CODES.GRACEFUL);
+    });
+});
+
+describe('shutdown hooks', () => {
+    let coordinator;
+    let exitCodes;
+
+    before(silenceConsole);
+
+    beforeEach(() => {
+        exitCodes = [];
+        coordinator = new shutdown.ShutdownCoordinator({
+            gracePeriodMs: 100,
+            forceTimeoutMs: 100,
+            hookTimeoutMs: 1000,
+            exit: code => exitCodes.push(code)
+        });
+    });
+
+    afterEach(() => coordinator.dispose());
+
+    it('runs cleanup before shutdown hooks, by dependency and then by priority', async () => {
+        const order = [];
+        const hook = name => () => { order.push(name); };
+
+        coordinator.onShutdown(hook('announce'), { name: 'announce' });
+        coordinator.onResourceCleanup(hook('database'), { name: 'database', dependsOn: 'cache' });
+        coordinator.onResourceCleanup(hook('cache'), { name: 'cache' });
+        coordinator.onResourceCleanup(hook('metrics'), { name: 'metrics', priority: 10 });
+
+        const summary = await coordinator.shutdown('TEST');
+
+        assert.deepStrictEqual(order, ['metrics', 'cache', 'database', 'announce']);
+        assert.deepStrictEqual(summary.hooks.succeeded.sort(), ['announce', 'cache', 'database', 'metrics']);
+        assert.strictEqual(summary.exitCode, shutdown.EXIT_CODES.GRACEFUL);
+    });
+
+    it('reports failed and timed out hooks without stopping the others', async () => {
+        const ran = [];
+        coordinator.onResourceCleanup(() => { throw new Error('disk full'); }, { name: 'flush' });
+        coordinator.onResourceCleanup(() => new Promise(() => {}), { name: 'hang', timeoutMs: 20 });
+        coordinator.onResourceCleanup(() => { ran.push('after'); }, { name: 'after', dependsOn: ['flush', 'hang'] });
+
+        const summary = await coordinator.shutdown('TEST');
+
+        assert.deepStrictEqual(ran, ['after']);
+        assert.deepStrictEqual(summary.hooks.failed, ['flush']);
+        assert.deepStrictEqual(summary.hooks.timedOut, ['hang']);
+        assert.deepStrictEqual(summary.hooks.succeeded, ['after']);
+
+        const timedOut = coordinator.shutdownErrors.find(error => error.message.includes("'hang' timed out"));
+        assert.ok(timedOut instanceof ShutdownError);
+        assert.strictEqual(timedOut.context.shutdownPhase, 'cleanup');
+        assert.strictEqual(summary.exitCode, shutdown.EXIT_CODES.RESOURCE_CLEANUP_FAILED);
+    });
+
+    it('aborts running hooks and exits with TIMEOUT when the force timeout expires', async () => {
+        let abortReason;
+        coordinator.onResourceCleanup(signal => new Promise(resolve => {
+            signal.addEventListener('abort', () => {
+                abortReason = signal.reason;
+                resolve();
+            });
+        }), { name: 'slow', timeoutMs: 5000 });
+
+        const summary = await coordinator.shutdown('TEST');
+
+        assert.ok(abortReason instanceof ShutdownError);
+        assert.strictEqual(summary.forced, true);
+        assert.deepStrictEqual(summary.hooks.aborted, ['slow']);
+        assert.strictEqual(summary.exitCode, shutdown.EXIT_CODES.TIMEOUT);
+        assert.deepStrictEqual(exitCodes, [shutdown.EXIT_CODES.TIMEOUT]);
+    });
+
+    it('exits with TIMEOUT when the sequence is stuck before the hooks run', async () => {
+        // A drain that never finishes, as when the server cannot close
+        coordinator.drainConnections = () => new Promise(() => {});
+        let hookRan = false;
+        coordinator.onResourceCleanup(() => { hookRan = true; });
+
+        const summary = await coordinator.shutdown('TEST');
+
+        assert.strictEqual(hookRan, false);
+        assert.strictEqual(summary.forced, true);
+        assert.deepStrictEqual(exitCodes, [shutdown.EXIT_CODES.TIMEOUT]);
+    });
+});
+
+describe('dispose', () => {
+    before(silenceConsole);
+
+    it('removes the process and server listeners the coordinator installed', () => {
+        const server = http.createServer();
+        const signals = ['SIGTERM', 'SIGINT', 'SIGHUP', 'uncaughtException'];
+        const counts = () => signals.map(signal => process.listenerCount(signal));
+        const initial = counts();
+        const serverListeners = server.listenerCount('connection');
+        const coordinator = new shutdown.ShutdownCoordinator({ exit: () => {} });
+
+        coordinator.registerServer(server);
+        assert.notDeepStrictEqual(counts(), initial);
+
+        coordinator.dispose();
+        assert.deepStrictEqual(counts(), initial);
+        assert.strictEqual(server.listenerCount('connection'), serverListeners);
+    });
+
+    it('settles an in-flight shutdown without exiting', async () => {
+        const exitCodes = [];
+        const coordinator = new shutdown.ShutdownCoordinator({ forceTimeoutMs: 100, gracePeriodMs: 100, exit: code => exitCodes.push(code) });
+        let hookSignal;
+        coordinator.onResourceCleanup(signal => {
+            hookSignal = signal;
+            return new Promise(() => {});
+        }, { name: 'stuck' });
+
+        const completion = coordinator.shutdown('TEST');
+        await waitFor(() => hookSignal);
+        coordinator.dispose();
+
+        const summary = await completion;
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        assert.strictEqual(summary.disposed, true);
+        assert.strictEqual(summary.exitCode, null);
+        assert.ok(hookSignal.aborted);
+        assert.deepStrictEqual(exitCodes, [], 'a disposed coordinator never exits');
+    });
+});
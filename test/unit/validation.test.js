@@ -0,0 +1,199 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const {
+    watchBodyDeadlines,
+    validateRequestStream,
+    validateRequestFraming,
+    logFramingParseError,
+    validateHost
+} = require('../../lib/validation');
+const { TimeoutError, ValidationError, logger } = require('../../lib/errors');
+
+describe('body deadlines', () => {
+    afterEach(() => mock.timers.reset());
+
+    /**
+     * A request stand-in whose body chunks are emitted by the test, under mocked timers
+     */
+    function slowRequest(options) {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+        const req = new EventEmitter();
+        const deadlines = watchBodyDeadlines(req, options);
+        let outcome = null;
+        deadlines.violation.catch(error => { outcome = error; });
+        return { req, deadlines, outcome: () => outcome };
+    }
+
+    it('fails with request_body_start when no body byte arrives in time', async () => {
+        const { outcome } = slowRequest({ bodyStartTimeoutMs: 500 });
+
+        mock.timers.tick(499);
+        await Promise.resolve();
+        assert.strictEqual(outcome(), null);
+
+        mock.timers.tick(1);
+        await Promise.resolve();
+        assert.ok(outcome() instanceof TimeoutError);
+        assert.strictEqual(outcome().context.operation, 'request_body_start');
+    });
+
+    it('fails with request_body_rate when the average throughput drops after the grace period', async () => {
+        const { req, outcome } = slowRequest({ bodyStartTimeoutMs: 500, minBodyRate: 100, bodyRateGraceMs: 2000 });
+
+        req.emit('data', Buffer.alloc(50));
+        mock.timers.tick(1000);
+        await Promise.resolve();
+        assert.strictEqual(outcome(), null, 'throughput is not checked during the grace period');
+
+        mock.timers.tick(1000);
+        await Promise.resolve();
+        assert.ok(outcome() instanceof TimeoutError);
+        assert.strictEqual(outcome().context.operation, 'request_body_rate');
+        assert.strictEqual(outcome().context.bytesReceived, 50);
+    });
+
+    it('accepts bodies that arrive fast enough and stops watching at the end', async () => {
+        const { req, outcome } = slowRequest({ bodyStartTimeoutMs: 500, minBodyRate: 100, bodyRateGraceMs: 1000 });
+
+        for (let second = 0; second < 3; second++) {
+            req.emit('data', Buffer.alloc(200));
+            mock.timers.tick(1000);
+        }
+        req.emit('end');
+        mock.timers.tick(10000);
+        await Promise.resolve();
+
+        assert.strictEqual(outcome(), null);
+        assert.strictEqual(req.listenerCount('data'), 0);
+    });
+
+    it('watches nothing when every deadline is disabled', async () => {
+        const { deadlines, outcome } = slowRequest({});
+
+        mock.timers.tick(60000);
+        await Promise.resolve();
+        deadlines.stop();
+
+        assert.strictEqual(outcome(), null);
+    });
+});
+
+describe('request stream validation', () => {
+    it('stops reading when the connection closes before the body is complete', async () => {
+        const req = new EventEmitter();
+        req.httpVersionMajor = 1;
+        req.socket = new EventEmitter();
+
+        const reading = validateRequestStream(req, 1024, { timeout: 60000 });
+        req.emit('data', Buffer.alloc(10));
+        req.socket.emit('close');
+
+        await assert.rejects(reading, ValidationError);
+        assert.strictEqual(req.listenerCount('data'), 0);
+        assert.strictEqual(req.socket.listenerCount('close'), 0);
+    });
+});
+
+describe('request framing', () => {
+    let securityEvents;
+
+    beforeEach(() => {
+        securityEvents = [];
+        mock.method(logger, 'logSecurityEvent', (event, req, context) => securityEvents.push({ event, context }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * A request stand-in with the given raw header pairs
+     */
+    function framedRequest(...rawHeaders) {
+        const headers = {};
+        for (let i = 0; i < rawHeaders.length; i += 2) {
+            headers[rawHeaders[i].toLowerCase()] = rawHeaders[i + 1];
+        }
+        return { method: 'POST', url: '/', headers, rawHeaders };
+    }
+
+    it('accepts a single length, chunked encoding or no body', () => {
+        assert.strictEqual(validateRequestFraming(framedRequest('Content-Length', '10')).framing, 'content-length');
+        assert.strictEqual(validateRequestFraming(framedRequest('Transfer-Encoding', 'Chunked')).framing, 'chunked');
+        assert.strictEqual(validateRequestFraming(framedRequest('Host', 'localhost')).framing, 'none');
+        assert.strictEqual(securityEvents.length, 0);
+    });
+
+    it('rejects ambiguous framing with 400 and logs each attempt', () => {
+        const cases = [
+            [['Content-Length', '5', 'Transfer-Encoding', 'chunked'], 'content_length_with_transfer_encoding'],
+            [['Content-Length', '5', 'Content-Length', '5'], 'duplicate_content_length'],
+            [['Content-Length', '5, 5'], 'duplicate_content_length'],
+            [['Content-Length', '10abc'], 'invalid_content_length'],
+            [['Content-Length', '-1'], 'invalid_content_length'],
+            [['Transfer-Encoding', 'gzip, chunked'], 'unknown_transfer_coding'],
+            [['Transfer-Encoding', 'chunked, chunked'], 'invalid_transfer_encoding'],
+            [['X-Folded', 'first\r\n second'], 'obsolete_line_folding']
+        ];
+
+        cases.forEach(([rawHeaders, reason]) => {
+            assert.throws(() => validateRequestFraming(framedRequest(...rawHeaders)), error =>
+                error instanceof ValidationError && error.statusCode === 400 && error.context.reason === reason,
+            `${rawHeaders.join(': ')} is rejected as ${reason}`);
+        });
+
+        assert.deepStrictEqual(securityEvents.map(entry => entry.context.reason), cases.map(([, reason]) => reason));
+        assert.ok(securityEvents.every(entry => entry.event === 'request_smuggling'));
+    });
+
+    it('logs parser errors caused by framing and ignores the others', () => {
+        const socket = { remoteAddress: '192.0.2.1' };
+
+        assert.strictEqual(logFramingParseError(Object.assign(new Error('bad'), { code: 'HPE_UNEXPECTED_CONTENT_LENGTH' }), socket), true);
+        assert.strictEqual(logFramingParseError(Object.assign(new Error('bad'), { code: 'HPE_INVALID_METHOD' }), socket), false);
+
+        assert.strictEqual(securityEvents.length, 1);
+        assert.strictEqual(securityEvents[0].context.remoteAddress, '192.0.2.1');
+    });
+});
+
+describe('host allowlist', () => {
+    let securityEvents;
+
+    beforeEach(() => {
+        securityEvents = [];
+        mock.method(logger, 'logSecurityEvent', (event, req, context) => securityEvents.push({ event, context }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const allowedHosts = ['example.com', '*.example.org', 'admin.example.net:8443'];
+    const hostRequest = (host, clientIdentity) => ({ method: 'GET', url: '/', headers: { host }, clientIdentity });
+
+    it('allows listed hosts, subdomains of wildcards and listed ports', () => {
+        ['example.com', 'example.com:3000', 'api.example.org', 'admin.example.net:8443'].forEach(host => {
+            assert.strictEqual(validateHost(hostRequest(host), allowedHosts).host, host);
+        });
+        assert.strictEqual(validateHost(hostRequest('anything.test'), []).isValid, true, 'an empty list allows any host');
+    });
+
+    it('rejects unlisted hosts and ports with 400 and a security log entry', () => {
+        ['evil.test', 'example.org', 'admin.example.net:443'].forEach(host => {
+            assert.throws(() => validateHost(hostRequest(host), allowedHosts), error =>
+                error instanceof ValidationError && error.statusCode === 400);
+        });
+
+        assert.strictEqual(securityEvents.length, 3);
+        assert.ok(securityEvents.every(entry => entry.event === 'host_header_rejected'));
+    });
+
+    it('checks the host forwarded by a trusted proxy as well', () => {
+        const forwarded = hostRequest('example.com', { proxied: true, host: 'evil.test' });
+
+        assert.throws(() => validateHost(forwarded, allowedHosts), ValidationError);
+        assert.strictEqual(securityEvents[0].context.rejected, 'evil.test');
+        assert.strictEqual(validateHost(hostRequest('example.com', { proxied: true, host: 'www.example.org' }), allowedHosts).host,
+            'www.example.org');
+    });
+});
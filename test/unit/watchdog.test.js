@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const v8 = require('v8');
+const { silenceConsole } = require('../helpers');
+const { Watchdog, LEVELS } = require('../../lib/watchdog');
+const { ServiceUnavailableError } = require('../../lib/errors');
+
+const MiB = 1024 * 1024;
+
+/**
+ * Make process.memoryUsage report the given heap and RSS
+ */
+function reportMemory(heapUsed, rss = heapUsed) {
+    mock.method(process, 'memoryUsage', () => ({ heapUsed, rss, heapTotal: heapUsed, external: 0, arrayBuffers: 0 }));
+}
+
+describe('watchdog', () => {
+    before(silenceConsole);
+
+    afterEach(() => mock.restoreAll());
+
+    it('derives the heap thresholds from the V8 heap limit', () => {
+        const heapLimit = v8.getHeapStatistics().heap_size_limit;
+        const watchdog = new Watchdog();
+
+        assert.strictEqual(watchdog.options.memoryThreshold, Math.floor(heapLimit * 0.75));
+        assert.strictEqual(watchdog.options.memoryHardThreshold, Math.floor(heapLimit * 0.9));
+        assert.ok(watchdog.options.memoryThreshold > 100 * MiB, 'a typical heap is not shed by default');
+    });
+
+    it('sheds while a soft threshold is exceeded and recovers below it', () => {
+        const watchdog = new Watchdog({ memoryThreshold: 50 * MiB, memoryHardThreshold: 500 * MiB, retryAfterSeconds: 7 });
+
+        reportMemory(60 * MiB);
+        watchdog.sample();
+        assert.strictEqual(watchdog.level, LEVELS.SOFT);
+        assert.ok(watchdog.isShedding());
+
+        const error = watchdog.createSheddingError();
+        assert.ok(error instanceof ServiceUnavailableError);
+        assert.strictEqual(error.context.retryAfter, 7);
+        assert.deepStrictEqual(error.context.reasons, ['heap']);
+
+        reportMemory(40 * MiB);
+        watchdog.sample();
+        assert.strictEqual(watchdog.level, LEVELS.OK);
+        assert.ok(!watchdog.isShedding());
+    });
+
+    it('requests one graceful shutdown when a hard threshold is exceeded', () => {
+        const reasons = [];
+        const coordinator = { shutdown: reason => reasons.push(reason) };
+        const watchdog = new Watchdog({ coordinator, memoryThreshold: 50 * MiB, rssHardThreshold: 100 * MiB });
+
+        reportMemory(10 * MiB, 200 * MiB);
+        watchdog.sample();
+        watchdog.sample();
+
+        assert.strictEqual(watchdog.level, LEVELS.HARD);
+        assert.deepStrictEqual(reasons, ['MEMORY_PRESSURE']);
+    });
+
+    it('ignores disabled thresholds and applies new ones on configure', () => {
+        const watchdog = new Watchdog({ memoryThreshold: 50 * MiB, eventLoopDelayThreshold: null });
+
+        reportMemory(60 * MiB);
+        watchdog.sample();
+        assert.strictEqual(watchdog.level, LEVELS.SOFT);
+
+        watchdog.configure({ memoryThreshold: 80 * MiB });
+        watchdog.sample();
+        assert.strictEqual(watchdog.level, LEVELS.OK);
+    });
+});